@@ -0,0 +1,81 @@
+/**
+ * Abductee Registry for Retro UFO Game
+ * Pluggable abductable types: each defines its model, weight in the beam, score,
+ * sounds and how it behaves on the ground
+ */
+
+/**
+ * Abductee type definition:
+ * {
+ *   label: 'Cow',                 // display name
+ *   build: () => THREE.Object3D,  // model template for the type's instanced batch
+ *   decorate: (obj, rng) => {},   // optional per-instance extras (cow spots), from its random stream
+ *   capacity: 64,                 // initial instanced batch size
+ *   weight: 1,                    // heavier abductees rise slower and drain more beam energy
+ *   score: 100,                   // points for an abduction
+ *   radius: 1.5,                  // collision radius
+ *   standHeight: 1,               // model origin height above the ground
+ *   pace: 1,                      // walking and fleeing speed multiplier
+ *   fearless: false,              // true for abductees that don't run from the UFO
+ *   sounds: {                     // SoundManager category and sound names
+ *     category: 'cow',
+ *     grab: 'moo',                // caught, dropped or hurt
+ *     complete: 'abduction_complete'
+ *   },
+ *   spawnWeight: 1                // relative chance of appearing in a herd
+ * }
+ */
+class AbducteeRegistry {
+    constructor() {
+        // Type definitions by name
+        this.types = {};
+    }
+
+    /**
+     * Register an abductee type (replacing any type with the same name)
+     * @param {string} name - Type name
+     * @param {Object} definition - Type definition
+     */
+    register(name, definition) {
+        this.types[name] = {
+            name: name,
+            label: name,
+            decorate: null,
+            capacity: 64,
+            weight: 1,
+            score: 100,
+            radius: 1.5,
+            standHeight: 1,
+            pace: 1,
+            fearless: false,
+            spawnWeight: 1,
+            ...definition
+        };
+    }
+
+    /**
+     * Get a type definition
+     * @param {string} name - Type name
+     * @returns {Object} The type definition
+     */
+    get(name) {
+        return this.types[name];
+    }
+
+    /**
+     * Get every registered type name
+     * @returns {Array} Type names
+     */
+    getNames() {
+        return Object.keys(this.types);
+    }
+
+    /**
+     * Pick a type for a new abductee, weighted by spawnWeight
+     * @param {SeededRandom} rng - Random stream
+     * @returns {string} Type name
+     */
+    pickType(rng) {
+        return rng.pickWeighted(this.getNames(), name => this.types[name].spawnWeight);
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Abduction Beam for Retro UFO Game
+ * Tractor beam energy, and the tug-of-war with the cows caught in it
+ */
+
+class AbductionBeam {
+    constructor(settings = {}) {
+        // Beam settings (rates are per simulation tick)
+        this.settings = {
+            drainRate: 0.002,           // energy used per tick while the beam is on (about 8 seconds)
+            drainPerWeight: 0.001,      // extra energy per unit of weight being lifted (a cow weighs 1)
+            rechargeRate: 0.004,        // energy regained per tick while the beam is off
+            recoverEnergy: 0.3,         // a drained beam unlocks above this
+            struggleChance: 0.012,      // chance per tick that a caught cow starts to kick
+            struggleTime: [30, 75],     // ticks a bout of kicking lasts
+            struggleGrip: 0.008,        // grip lost per tick of kicking
+            struggleLift: 0.3,          // lift speed while kicking (fraction of normal)
+            maxHoldSpeed: 0.35,         // flying faster than this shakes cows loose...
+            speedGrip: 0.06,            // ...losing this much grip per tick per unit of extra speed
+            gripRecovery: 0.002,        // grip regained per tick
+            ...settings
+        };
+
+        // Beam state (grip is the weakest hold on a caught cow, null when holding none)
+        this.energy = 1;
+        this.depleted = false;
+        this.grip = null;
+
+        // Energy meter DOM element
+        this.element = this.createEnergyDisplay();
+    }
+
+    /**
+     * Create the energy meter
+     * @returns {HTMLElement} The energy meter element
+     */
+    createEnergyDisplay() {
+        const element = document.createElement('div');
+        element.id = 'beam-energy';
+        element.innerHTML = `
+            <span class="beam-energy-label">Beam</span>
+            <div class="beam-energy-bar"><div class="beam-energy-fill"></div></div>
+            <span class="beam-grip-label">Grip</span>
+            <div class="beam-grip-bar"><div class="beam-grip-fill"></div></div>
+        `;
+
+        this.fill = element.querySelector('.beam-energy-fill');
+        this.gripFill = element.querySelector('.beam-grip-fill');
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Check whether the beam has the energy to run
+     * @returns {boolean} True unless drained and still recharging
+     */
+    canUse() {
+        return !this.depleted;
+    }
+
+    /**
+     * Drain or recharge the beam's energy for one tick
+     * @param {boolean} active - Whether the beam is on this tick
+     * @param {Array} lifting - Cows being lifted
+     */
+    update(active, lifting) {
+        const settings = this.settings;
+        this.grip = lifting.length > 0 ? Math.min(...lifting.map(cow => cow.userData.grip)) : null;
+
+        if (active) {
+            this.energy = Math.max(0, this.energy - settings.drainRate - settings.drainPerWeight *
+                lifting.reduce((total, cow) => total + cow.userData.weight, 0));
+            if (this.energy === 0) {
+                this.depleted = true;
+            }
+        } else {
+            this.energy = Math.min(1, this.energy + settings.rechargeRate);
+            if (this.depleted && this.energy >= settings.recoverEnergy) {
+                this.depleted = false;
+            }
+        }
+
+        this.updateDisplay();
+    }
+
+    /**
+     * Start the tug-of-war with a newly caught cow
+     * @param {THREE.Object3D} cow - The cow
+     */
+    catch(cow) {
+        cow.userData.grip = 1;
+        cow.userData.struggle = 0;
+    }
+
+    /**
+     * Let a caught cow kick for a tick and work out how firmly the beam still holds it
+     * @param {THREE.Object3D} cow - The cow being lifted
+     * @param {number} ufoSpeed - UFO speed this tick (units per tick)
+     * @param {SeededRandom} rng - Random stream
+     * @returns {boolean} False once the cow has slipped free
+     */
+    updateGrip(cow, ufoSpeed, rng) {
+        const settings = this.settings;
+        const data = cow.userData;
+
+        // Kick now and then
+        if (data.struggle > 0) {
+            data.struggle--;
+        } else if (rng.next() < settings.struggleChance) {
+            const [min, max] = settings.struggleTime;
+            data.struggle = Math.floor(min + rng.next() * (max - min));
+        }
+
+        const loss = (data.struggle > 0 ? settings.struggleGrip : 0) +
+            Math.max(0, ufoSpeed - settings.maxHoldSpeed) * settings.speedGrip;
+        data.grip = Math.min(1, data.grip - loss + settings.gripRecovery);
+
+        return data.grip > 0;
+    }
+
+    /**
+     * Get how fast a caught cow rises this tick
+     * @param {THREE.Object3D} cow - The cow being lifted
+     * @returns {number} Lift multiplier (lower while it kicks)
+     */
+    getLift(cow) {
+        return cow.userData.struggle > 0 ? this.settings.struggleLift : 1;
+    }
+
+    /**
+     * Refill the beam (on game start)
+     */
+    reset() {
+        this.energy = 1;
+        this.depleted = false;
+        this.grip = null;
+        this.updateDisplay();
+    }
+
+    /**
+     * Update the energy meter
+     */
+    updateDisplay() {
+        this.fill.style.width = `${Math.round(this.energy * 100)}%`;
+        this.element.classList.toggle('depleted', this.depleted);
+
+        // The grip meter only shows while a cow is in the beam
+        this.element.classList.toggle('holding', this.grip !== null);
+        this.element.classList.toggle('slipping', this.grip !== null && this.grip < 0.3);
+        this.gripFill.style.width = `${Math.round(Math.max(0, this.grip || 0) * 100)}%`;
+    }
+
+    /**
+     * Show or hide the energy meter (only while playing)
+     * @param {boolean} visible - Whether the meter should be visible
+     */
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Asset Manager for Retro UFO Game
+ * Preloads GLB models, shows loading progress, and hands out per-instance clones
+ */
+
+class AssetManager {
+    constructor() {
+        // Model manifest: file path plus how to fit the model to game units.
+        // size is the largest bounding-box dimension in game units, baseY (if set)
+        // rests the bottom of the model at that height instead of centering it,
+        // and rotation (radians) corrects the authoring orientation of the file.
+        this.manifest = {
+            ufo: { path: 'assets/models/ufo.glb', size: 4 },
+            cow: { path: 'assets/models/cow.glb', size: 3, baseY: -1.75 },
+            jet: { path: 'assets/models/jet.glb', size: 5 },
+            missile: { path: 'assets/models/missile.glb', size: 1.5 },
+            tree: { path: 'assets/models/tree.glb', size: 5, baseY: -1 },
+            rock: { path: 'assets/models/rock.glb', size: 2 }
+        };
+
+        // Loaded (normalized) model templates
+        this.models = {};
+
+        // Models that failed to load and use the procedural fallback
+        this.failed = [];
+
+        // Track loading progress
+        this.totalAssets = 0;
+        this.loadedAssets = 0;
+        this.progress = {};
+
+        // GLTF loader (may be missing if the example script failed to load)
+        this.loader = typeof THREE.GLTFLoader === 'function' ? new THREE.GLTFLoader() : null;
+
+        // Loading screen
+        this.loadingScreen = this.createLoadingScreen();
+        this.progressBar = this.loadingScreen.querySelector('.progress-fill');
+        this.progressText = this.loadingScreen.querySelector('.progress-text');
+    }
+
+    /**
+     * Create the loading screen element
+     * @returns {HTMLElement} The loading screen element
+     */
+    createLoadingScreen() {
+        const loadingScreen = document.createElement('div');
+        loadingScreen.id = 'loading-screen';
+        loadingScreen.className = 'overlay';
+
+        loadingScreen.innerHTML = `
+            <h1>Loading...</h1>
+            <div class="progress-bar">
+                <div class="progress-fill"></div>
+            </div>
+            <p class="progress-text">0%</p>
+        `;
+
+        document.getElementById('ui-overlay').appendChild(loadingScreen);
+
+        return loadingScreen;
+    }
+
+    /**
+     * Preload all models in the manifest
+     * @param {Function} onComplete - Callback when every model has loaded or failed
+     */
+    preload(onComplete) {
+        this.onComplete = onComplete;
+
+        const names = Object.keys(this.manifest);
+        this.totalAssets = names.length;
+        this.loadedAssets = 0;
+
+        if (!this.loader) {
+            console.warn('GLTFLoader is unavailable; using procedural models.');
+            this.failed = names;
+            this.finishLoading();
+            return;
+        }
+
+        names.forEach(name => this.loadModel(name));
+    }
+
+    /**
+     * Load a single model file
+     * @param {string} name - Model name from the manifest
+     */
+    loadModel(name) {
+        const entry = this.manifest[name];
+        this.progress[name] = 0;
+
+        this.loader.load(
+            entry.path,
+            (gltf) => {
+                this.models[name] = this.normalizeModel(gltf.scene, entry);
+                this.onAssetLoaded();
+            },
+            (xhr) => {
+                // Loading progress
+                if (xhr.total) {
+                    this.progress[name] = xhr.loaded / xhr.total;
+                    this.updateProgress();
+                }
+            },
+            (error) => {
+                console.error(`Error loading model: ${entry.path}`, error);
+
+                // Fall back to the procedural builder for this model
+                this.failed.push(name);
+                this.onAssetLoaded();
+            }
+        );
+    }
+
+    /**
+     * Center and scale a loaded model to fit its manifest entry
+     * @param {THREE.Object3D} model - The loaded scene
+     * @param {Object} entry - Manifest entry
+     * @returns {THREE.Group} Wrapper group holding the normalized model
+     */
+    normalizeModel(model, entry) {
+        if (entry.rotation) {
+            model.rotation.set(entry.rotation.x || 0, entry.rotation.y || 0, entry.rotation.z || 0);
+        }
+
+        // Measure the model
+        model.updateMatrixWorld(true);
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+
+        // Scale so the largest dimension matches the target size
+        const maxDimension = Math.max(size.x, size.y, size.z) || 1;
+        const scale = entry.size / maxDimension;
+        model.scale.multiplyScalar(scale);
+
+        // Center on the origin (or rest the base at baseY)
+        model.position.sub(center.multiplyScalar(scale));
+        if (entry.baseY !== undefined) {
+            model.position.y += (size.y * scale) / 2 + entry.baseY;
+        }
+
+        // Enable shadows on every mesh
+        model.traverse(child => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+
+        const wrapper = new THREE.Group();
+        wrapper.add(model);
+
+        return wrapper;
+    }
+
+    /**
+     * Count a finished asset and complete loading when all are done
+     */
+    onAssetLoaded() {
+        this.loadedAssets++;
+        this.updateProgress();
+
+        if (this.loadedAssets === this.totalAssets) {
+            if (this.failed.length > 0) {
+                console.log(`Models loaded with procedural fallbacks for: ${this.failed.join(', ')}`);
+            } else {
+                console.log('All models loaded successfully');
+            }
+            this.finishLoading();
+        }
+    }
+
+    /**
+     * Update the loading screen progress bar
+     */
+    updateProgress() {
+        let total = this.loadedAssets;
+
+        // Add partial progress for files still downloading
+        Object.keys(this.progress).forEach(name => {
+            if (!this.models[name] && !this.failed.includes(name)) {
+                total += this.progress[name];
+            }
+        });
+
+        const percent = this.totalAssets > 0 ? Math.round((total / this.totalAssets) * 100) : 100;
+        this.progressBar.style.width = `${percent}%`;
+        this.progressText.textContent = `${percent}%`;
+    }
+
+    /**
+     * Hide the loading screen and fire the completion callback
+     */
+    finishLoading() {
+        this.progressBar.style.width = '100%';
+        this.progressText.textContent = '100%';
+        this.loadingScreen.classList.add('hidden');
+
+        if (this.onComplete) this.onComplete();
+    }
+
+    /**
+     * Check whether a model was loaded from file
+     * @param {string} name - Model name
+     * @returns {boolean} True if the model is available
+     */
+    hasModel(name) {
+        return Boolean(this.models[name]);
+    }
+
+    /**
+     * Get a new instance of a loaded model
+     * @param {string} name - Model name
+     * @returns {THREE.Group|null} A clone of the model, or null if it must be built procedurally
+     */
+    getModel(name) {
+        const template = this.models[name];
+        if (!template) {
+            return null;
+        }
+
+        // Geometry and materials are shared between clones
+        return template.clone(true);
+    }
+}
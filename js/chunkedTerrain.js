@@ -0,0 +1,216 @@
+/**
+ * Chunked Terrain for Retro UFO Game
+ * Streams square terrain tiles in and out around the player for an open world
+ */
+
+class ChunkedTerrain {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        // Chunk dimensions; chunk (0, 0) is centered on the world origin
+        this.chunkSize = options.chunkSize || 100;
+        this.segments = options.segments || 10; // Heightfield segments per chunk side
+
+        // Level of detail by ring (chunk distance from the player's chunk).
+        // Mesh segments must divide the heightfield segments. Chunk skirts hide
+        // the cracks between neighbours at different levels.
+        this.lodLevels = options.lodLevels || [
+            { maxRing: 1, segments: 10 },
+            { maxRing: 2, segments: 5 },
+            { maxRing: 3, segments: 2 }
+        ];
+        this.viewRing = this.lodLevels[this.lodLevels.length - 1].maxRing;
+
+        // Chunks are kept one ring past the view distance so flying back and
+        // forth over a chunk border doesn't reload them
+        this.unloadRing = this.viewRing + 1;
+
+        // Height and color functions shared by every chunk
+        this.heightFunction = options.heightFunction || Terrain.defaultHeight;
+        this.colorFunction = options.colorFunction || null;
+
+        // Loaded chunks by key ("cx,cz")
+        this.chunks = new Map();
+        this.centerChunk = null;
+
+        // Callbacks
+        this.onChunkLoad = null;
+        this.onChunkUnload = null;
+    }
+
+    /**
+     * Initialize the chunked terrain
+     * @param {Object} callbacks - Callback functions for chunk loading
+     */
+    init(callbacks = {}) {
+        this.onChunkLoad = callbacks.onChunkLoad || null;
+        this.onChunkUnload = callbacks.onChunkUnload || null;
+    }
+
+    /**
+     * Get the chunk coordinate containing a world coordinate
+     * @param {number} value - World X or Z
+     * @returns {number} Chunk coordinate
+     */
+    getChunkCoord(value) {
+        return Math.floor(value / this.chunkSize + 0.5);
+    }
+
+    /**
+     * Get the map key for a chunk
+     * @param {number} cx - Chunk X
+     * @param {number} cz - Chunk Z
+     * @returns {string} Chunk key
+     */
+    getKey(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    /**
+     * Get the mesh segments for a chunk ring
+     * @param {number} ring - Chunk distance from the player's chunk
+     * @returns {number} Mesh segments
+     */
+    getLodSegments(ring) {
+        const level = this.lodLevels.find(lod => ring <= lod.maxRing) || this.lodLevels[this.lodLevels.length - 1];
+        return level.segments;
+    }
+
+    /**
+     * Load, refine and unload chunks around a position
+     * @param {THREE.Vector3} position - Player position
+     */
+    update(position) {
+        const centerX = this.getChunkCoord(position.x);
+        const centerZ = this.getChunkCoord(position.z);
+
+        // Nothing changes until the player crosses into another chunk
+        if (this.centerChunk && this.centerChunk.x === centerX && this.centerChunk.z === centerZ) {
+            return;
+        }
+        this.centerChunk = { x: centerX, z: centerZ };
+
+        // Load missing chunks and update the detail of loaded ones
+        for (let cz = centerZ - this.viewRing; cz <= centerZ + this.viewRing; cz++) {
+            for (let cx = centerX - this.viewRing; cx <= centerX + this.viewRing; cx++) {
+                const ring = Math.max(Math.abs(cx - centerX), Math.abs(cz - centerZ));
+                const segments = this.getLodSegments(ring);
+                const chunk = this.chunks.get(this.getKey(cx, cz));
+
+                if (!chunk) {
+                    this.loadChunk(cx, cz, segments);
+                } else if (chunk.segments !== segments) {
+                    this.setChunkDetail(chunk, segments);
+                }
+            }
+        }
+
+        // Unload chunks that are now far away
+        this.chunks.forEach(chunk => {
+            const ring = Math.max(Math.abs(chunk.x - centerX), Math.abs(chunk.z - centerZ));
+            if (ring >= this.unloadRing) {
+                this.unloadChunk(chunk);
+            }
+        });
+    }
+
+    /**
+     * Generate a chunk and add it to the scene
+     * @param {number} cx - Chunk X
+     * @param {number} cz - Chunk Z
+     * @param {number} segments - Mesh segments
+     */
+    loadChunk(cx, cz, segments) {
+        const terrain = new Terrain({
+            size: this.chunkSize,
+            segments: this.segments,
+            centerX: cx * this.chunkSize,
+            centerZ: cz * this.chunkSize,
+            heightFunction: this.heightFunction,
+            colorFunction: this.colorFunction,
+            skirt: true
+        });
+        terrain.sample();
+        this.scene.add(terrain.createMesh(segments));
+
+        // Objects placed on the chunk (removed with it by onChunkUnload)
+        const chunk = {
+            key: this.getKey(cx, cz),
+            x: cx,
+            z: cz,
+            terrain: terrain,
+            segments: segments,
+            objects: []
+        };
+        this.chunks.set(chunk.key, chunk);
+
+        if (this.onChunkLoad) {
+            this.onChunkLoad(chunk);
+        }
+    }
+
+    /**
+     * Rebuild a chunk's mesh at another level of detail
+     * @param {Object} chunk - The chunk
+     * @param {number} segments - Mesh segments
+     */
+    setChunkDetail(chunk, segments) {
+        this.scene.remove(chunk.terrain.mesh);
+        this.scene.add(chunk.terrain.createMesh(segments));
+        chunk.segments = segments;
+    }
+
+    /**
+     * Remove a chunk and free its resources
+     * @param {Object} chunk - The chunk
+     */
+    unloadChunk(chunk) {
+        if (this.onChunkUnload) {
+            this.onChunkUnload(chunk);
+        }
+
+        this.scene.remove(chunk.terrain.mesh);
+        chunk.terrain.dispose();
+        this.chunks.delete(chunk.key);
+    }
+
+    /**
+     * Unload every chunk
+     */
+    dispose() {
+        this.chunks.forEach(chunk => this.unloadChunk(chunk));
+        this.centerChunk = null;
+    }
+
+    /**
+     * Get the loaded chunk containing a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {Object|null} The chunk, if loaded
+     */
+    getChunkAt(x, z) {
+        return this.chunks.get(this.getKey(this.getChunkCoord(x), this.getChunkCoord(z))) || null;
+    }
+
+    /**
+     * Get the ground height at a world position. Loaded chunks answer from their
+     * full-detail heightfield; anywhere else falls back to the height function.
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Ground height
+     */
+    getHeightAt(x, z) {
+        const chunk = this.getChunkAt(x, z);
+        return chunk ? chunk.terrain.getHeightAt(x, z) : this.heightFunction(x, z);
+    }
+
+    /**
+     * Check whether a point is at or below the ground
+     * @param {THREE.Vector3} position - World position
+     * @param {number} clearance - Extra height above the ground that still counts
+     * @returns {boolean} True if the point touches the ground
+     */
+    isBelowGround(position, clearance = 0) {
+        return position.y <= this.getHeightAt(position.x, position.z) + clearance;
+    }
+}
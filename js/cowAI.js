@@ -0,0 +1,316 @@
+/**
+ * Cow AI for Retro UFO Game
+ * Cows (and the other abductees) graze, wander after their herd and stampede
+ * away from the UFO's shadow and beam
+ */
+
+class CowAI {
+    constructor(settings = {}) {
+        // AI states
+        this.states = {
+            GRAZE: 'graze',
+            WANDER: 'wander',
+            FLEE: 'flee',
+            FALL: 'fall',           // dropped from the beam
+            DAZED: 'dazed'          // getting up after a hard landing
+        };
+
+        // AI settings (distances in units, speeds in units per tick, times in ticks)
+        this.settings = {
+            walkSpeed: 0.03,
+            fleeSpeed: 0.2,         // well under the UFO's top speed
+            turnRate: 0.08,         // yaw radians per tick
+            grazeTime: [120, 420],  // ticks spent grazing in one spot
+            wanderRadius: 12,
+            herdRadius: 20,         // cows this close count as the herd
+            regroupRadius: 80,      // a lone cow heads for a cow this close
+            spacing: 3.5,           // personal space inside the herd
+            cohesion: 0.5,          // pull toward the herd while fleeing
+            separation: 1.5,
+            panicRange: 15,         // the UFO's shadow this close scares a cow...
+            panicAltitude: 30,      // ...when the UFO is this low
+            beamPanicRange: 25,     // an active beam scares cows from further
+            alarmChance: 0.05,      // chance per tick of catching a herdmate's panic
+            calmTime: 150,          // ticks of fleeing after the threat is gone
+            minAlarm: 20,           // panic passed on fades by half each cow; below this it stops
+            bobHeight: 0.05,
+            gravity: 0.012,         // units per tick per tick while falling
+            injurySpeed: 0.45,      // landing faster than this hurts
+            dazedTime: 180,
+            limp: 0.6,              // an injured cow's fraction of normal speed
+            ...settings
+        };
+
+        // Reusable vectors
+        this.desired = new THREE.Vector3();
+        this.offset = new THREE.Vector3();
+        this.herdCenter = new THREE.Vector3();
+        this.push = new THREE.Vector3();
+    }
+
+    /**
+     * Give a newly placed cow its AI state
+     * @param {THREE.Object3D} cow - The cow (positioned on the ground, facing its start direction)
+     * @param {Object} context - {rng, type (abductee definition: pace, fearless, standHeight)}
+     */
+    reset(cow, context) {
+        cow.userData.ai = {
+            pace: context.type.pace,
+            fearless: context.type.fearless,
+            standHeight: context.type.standHeight,
+            state: this.states.GRAZE,
+            timer: this.randomGrazeTime(context.rng),
+            calm: 0,
+            waypoint: cow.position.clone(),
+            yaw: cow.rotation.y,
+            stride: 0,
+            bob: context.rng.next() * Math.PI * 2,
+            bobSpeed: 0.01 + context.rng.next() * 0.01,
+            velocity: new THREE.Vector3(),      // while falling
+            injured: false,
+            landed: null                        // 'safe' or 'hurt' on the tick a fall ends
+        };
+    }
+
+    /**
+     * Let go of a cow in mid-air
+     * @param {THREE.Object3D} cow - The cow
+     * @param {THREE.Vector3} velocity - Velocity it is flung with (units per tick)
+     */
+    drop(cow, velocity) {
+        const ai = cow.userData.ai;
+        ai.state = this.states.FALL;
+        ai.velocity.copy(velocity);
+        ai.yaw = cow.rotation.y;
+    }
+
+    /**
+     * Check whether a cow is falling
+     * @param {THREE.Object3D} cow - The cow
+     * @returns {boolean} True while falling
+     */
+    isFalling(cow) {
+        return cow.userData.ai.state === this.states.FALL;
+    }
+
+    /**
+     * Move a falling cow and land it when it hits the ground
+     * @param {THREE.Object3D} cow - The cow
+     * @param {Object} context - {getHeightAt, bounds, rng}
+     */
+    updateFall(cow, context) {
+        const ai = cow.userData.ai;
+        const settings = this.settings;
+
+        ai.velocity.y -= settings.gravity;
+        cow.position.add(ai.velocity);
+        cow.rotation.z += ai.velocity.x * 0.2; // Tumble
+
+        if (context.bounds) {
+            cow.position.x = THREE.MathUtils.clamp(cow.position.x, -context.bounds, context.bounds);
+            cow.position.z = THREE.MathUtils.clamp(cow.position.z, -context.bounds, context.bounds);
+        }
+
+        const floor = context.getHeightAt(cow.position.x, cow.position.z) + ai.standHeight;
+        if (cow.position.y > floor) return;
+
+        // Land: a soft landing sends the cow running, a hard one leaves it dazed and limping
+        cow.position.y = floor;
+        cow.rotation.set(0, ai.yaw, 0);
+        if (-ai.velocity.y > settings.injurySpeed) {
+            ai.injured = true;
+            ai.landed = 'hurt';
+            ai.state = this.states.DAZED;
+            ai.timer = settings.dazedTime;
+        } else {
+            ai.landed = 'safe';
+            ai.state = this.states.FLEE;
+            ai.calm = settings.calmTime;
+        }
+    }
+
+    /**
+     * Pick how long a cow grazes before moving on
+     * @param {SeededRandom} rng - Random stream
+     * @returns {number} Ticks
+     */
+    randomGrazeTime(rng) {
+        const [min, max] = this.settings.grazeTime;
+        return Math.floor(min + rng.next() * (max - min));
+    }
+
+    /**
+     * Advance a cow's AI by one tick
+     * @param {THREE.Object3D} cow - The cow
+     * @param {Object} context - {target, beamActive, cows, getHeightAt, bounds, rng}
+     */
+    update(cow, context) {
+        const ai = cow.userData.ai;
+        const settings = this.settings;
+        ai.landed = null;
+
+        if (ai.state === this.states.FALL) {
+            this.updateFall(cow, context);
+            return;
+        }
+
+        // A dazed cow wobbles on the spot until it finds its feet
+        if (ai.state === this.states.DAZED) {
+            if (--ai.timer <= 0) {
+                ai.state = this.states.GRAZE;
+                ai.timer = this.randomGrazeTime(context.rng);
+            }
+            cow.rotation.set(0, ai.yaw, Math.sin(ai.timer * 0.2) * 0.15);
+            return;
+        }
+
+        const ground = context.getHeightAt(cow.position.x, cow.position.z);
+
+        // The UFO's shadow (when it flies low) or its beam sends a cow running
+        const distance = this.flatDistance(cow.position, context.target);
+        const spooked = !ai.fearless && (context.beamActive
+            ? distance < settings.beamPanicRange
+            : distance < settings.panicRange && context.target.y - ground < settings.panicAltitude);
+
+        // Look at the rest of the herd: where it is, who is too close and who is running
+        const herd = this.surveyHerd(cow, context.cows);
+
+        if (spooked) {
+            ai.state = this.states.FLEE;
+            ai.calm = settings.calmTime;
+        } else if (!ai.fearless && herd.alarm > Math.max(ai.calm, settings.minAlarm) &&
+            context.rng.next() < settings.alarmChance) {
+            // Catch a fading share of a herdmate's panic
+            ai.state = this.states.FLEE;
+            ai.calm = herd.alarm;
+        }
+
+        let speed = 0;
+        this.desired.set(0, 0, 0);
+
+        if (ai.state === this.states.FLEE) {
+            // Run directly away from the UFO, sticking with the herd
+            this.desired.subVectors(cow.position, context.target).setY(0).normalize();
+            if (herd.count > 0) {
+                this.offset.subVectors(this.herdCenter, cow.position).setY(0);
+                if (this.offset.lengthSq() > 0) {
+                    this.desired.addScaledVector(this.offset.normalize(), settings.cohesion);
+                }
+            }
+            speed = settings.fleeSpeed;
+
+            if (!spooked && --ai.calm <= 0) {
+                ai.state = this.states.GRAZE;
+                ai.timer = this.randomGrazeTime(context.rng);
+            }
+        } else if (ai.state === this.states.WANDER) {
+            // Amble to the next patch of grass
+            this.desired.subVectors(ai.waypoint, cow.position).setY(0);
+            if (this.desired.length() < 1) {
+                ai.state = this.states.GRAZE;
+                ai.timer = this.randomGrazeTime(context.rng);
+            } else {
+                this.desired.normalize();
+                speed = settings.walkSpeed;
+            }
+        } else if (--ai.timer <= 0) {
+            // Done grazing here: pick a spot near the herd, the nearest stray or itself
+            const home = herd.count > 0 ? this.herdCenter : (herd.nearest ? herd.nearest.position : cow.position);
+            const angle = context.rng.next() * Math.PI * 2;
+            const radius = context.rng.next() * settings.wanderRadius;
+            ai.waypoint.set(home.x + Math.cos(angle) * radius, 0, home.z + Math.sin(angle) * radius);
+            ai.state = this.states.WANDER;
+        }
+
+        // Keep some personal space, whatever the cow is doing
+        if (herd.crowded) {
+            this.desired.addScaledVector(this.push, settings.separation);
+            speed = Math.max(speed, settings.walkSpeed);
+        }
+
+        // Turn toward the desired heading, then walk forward (cows face +X)
+        speed *= ai.pace;
+        if (ai.injured) {
+            speed *= settings.limp;
+        }
+        if (speed > 0 && this.desired.lengthSq() > 0) {
+            const targetYaw = Math.atan2(-this.desired.z, this.desired.x);
+            const turn = THREE.MathUtils.euclideanModulo(targetYaw - ai.yaw + Math.PI, Math.PI * 2) - Math.PI;
+            ai.yaw += THREE.MathUtils.clamp(turn, -settings.turnRate, settings.turnRate);
+
+            cow.position.x += Math.cos(ai.yaw) * speed;
+            cow.position.z -= Math.sin(ai.yaw) * speed;
+            ai.stride += speed * 3;
+        }
+
+        // Classic mode cows stay inside the fence
+        if (context.bounds) {
+            cow.position.x = THREE.MathUtils.clamp(cow.position.x, -context.bounds, context.bounds);
+            cow.position.z = THREE.MathUtils.clamp(cow.position.z, -context.bounds, context.bounds);
+        }
+
+        // Follow the terrain, with a gentle bob while grazing and a bounce while moving
+        ai.bob += ai.bobSpeed;
+        cow.position.y = context.getHeightAt(cow.position.x, cow.position.z) + ai.standHeight +
+            Math.sin(ai.bob) * settings.bobHeight + Math.abs(Math.sin(ai.stride)) * 0.15;
+        cow.rotation.set(0, ai.yaw, 0);
+    }
+
+    /**
+     * Find a cow's herdmates: their center, the push away from any that are too
+     * close (left in this.push), the panic they could pass on and the nearest
+     * cow to regroup with
+     * @param {THREE.Object3D} cow - The cow
+     * @param {Array} cows - Every cow
+     * @returns {Object} {count, crowded, alarm (ticks of fleeing to catch), nearest}
+     */
+    surveyHerd(cow, cows) {
+        const settings = this.settings;
+        const herd = { count: 0, crowded: false, alarm: 0, nearest: null };
+        let nearestDistance = settings.regroupRadius;
+        this.herdCenter.set(0, 0, 0);
+        this.push.set(0, 0, 0);
+
+        cows.forEach(other => {
+            // Only the same kind of abductee counts as herd
+            if (other === cow || other.userData.isBeingAbducted || other.userData.type !== cow.userData.type) return;
+
+            const distance = this.flatDistance(cow.position, other.position);
+            if (distance < nearestDistance) {
+                herd.nearest = other;
+                nearestDistance = distance;
+            }
+            if (distance > settings.herdRadius) return;
+
+            herd.count++;
+            this.herdCenter.add(other.position);
+            if (other.userData.ai.state === this.states.FLEE) {
+                herd.alarm = Math.max(herd.alarm, other.userData.ai.calm / 2);
+            }
+
+            // Push harder the closer the other cow is
+            if (distance < settings.spacing && distance > 0) {
+                this.offset.subVectors(cow.position, other.position).setY(0);
+                this.push.addScaledVector(this.offset, (settings.spacing - distance) / (distance * settings.spacing));
+                herd.crowded = true;
+            }
+        });
+
+        if (herd.count > 0) {
+            this.herdCenter.divideScalar(herd.count);
+        }
+        return herd;
+    }
+
+    /**
+     * Get the distance between two points on the ground plane
+     * @param {THREE.Vector3} a - First point
+     * @param {THREE.Vector3} b - Second point
+     * @returns {number} Horizontal distance
+     */
+    flatDistance(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Debug Stats for Retro UFO Game
+ * Shows live GPU resources and pooled object counts to catch leaks
+ */
+
+class DebugStats {
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        // Refresh the text at most this often (ms)
+        this.updateInterval = 500;
+        this.lastUpdate = 0;
+
+        this.visible = false;
+        this.element = this.createDisplay();
+    }
+
+    /**
+     * Create the stats panel
+     * @returns {HTMLElement} The stats element
+     */
+    createDisplay() {
+        const element = document.createElement('div');
+        element.id = 'debug-stats';
+        element.className = 'hidden';
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Show or hide the stats panel
+     * @returns {boolean} True if now visible
+     */
+    toggle() {
+        this.visible = !this.visible;
+        this.element.classList.toggle('hidden', !this.visible);
+
+        // Refresh on the next update
+        this.lastUpdate = 0;
+
+        return this.visible;
+    }
+
+    /**
+     * Refresh the panel (throttled)
+     * @param {Object} counters - Extra counters to show, by label. Values are
+     *     numbers or pool stats ({active, total})
+     */
+    update(counters = {}) {
+        if (!this.visible) return;
+
+        const now = performance.now();
+        if (now - this.lastUpdate < this.updateInterval) return;
+        this.lastUpdate = now;
+
+        const info = this.renderer.info;
+        const lines = [
+            `Geometries: ${info.memory.geometries}`,
+            `Textures: ${info.memory.textures}`,
+            `Programs: ${info.programs ? info.programs.length : 0}`
+        ];
+
+        Object.keys(counters).forEach(label => {
+            const value = counters[label];
+            if (typeof value === 'object') {
+                lines.push(`${label}: ${value.active} / ${value.total}`);
+            } else {
+                lines.push(`${label}: ${value}`);
+            }
+        });
+
+        this.element.textContent = lines.join('\n');
+    }
+}
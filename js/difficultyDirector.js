@@ -0,0 +1,155 @@
+/**
+ * Difficulty Director for Retro UFO Game
+ * Watches how the player is doing and nudges enemy pressure up or down in real time
+ */
+
+class DifficultyDirector {
+    constructor(settings = {}) {
+        // Director settings (times in simulation milliseconds). Targets are the
+        // per-minute rates of a player who is being challenged about right.
+        this.settings = {
+            minIntensity: 0.6,
+            maxIntensity: 1.6,
+            window: 60000,          // performance is measured over this much recent play
+            warmup: 15000,          // rates are averaged over at least this long
+            adjustRate: 0.0005,     // largest intensity change per update (tick)
+            sensitivity: 0.5,       // how far performance moves the target intensity
+            damageTarget: 1,        // health lost per minute
+            abductionTarget: 4,     // cows abducted per minute
+            nearMissTarget: 6,      // projectiles dodged per minute
+            nearMissWeight: 0.5,    // near misses count this much as stress next to damage
+            nearMissDistance: 4,    // a projectile passing this close is a near miss
+            aggression: 0.75,       // fraction of the intensity applied to enemy fire rate
+            powerUps: 1.5,          // how strongly drops favor a struggling player
+            ...settings
+        };
+
+        // Event timestamps inside the window
+        this.events = {
+            damage: [],
+            abductions: [],
+            nearMisses: []
+        };
+
+        // Current intensity (1 = the level's own pacing)
+        this.intensity = 1;
+        this.startTime = 0;
+    }
+
+    /**
+     * Start watching a new run
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    reset(time) {
+        this.events.damage = [];
+        this.events.abductions = [];
+        this.events.nearMisses = [];
+        this.intensity = 1;
+        this.startTime = time;
+    }
+
+    /**
+     * Record health lost
+     * @param {number} amount - Damage taken
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordDamage(amount, time) {
+        for (let i = 0; i < amount; i++) {
+            this.events.damage.push(time);
+        }
+    }
+
+    /**
+     * Record a cow abduction
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordAbduction(time) {
+        this.events.abductions.push(time);
+    }
+
+    /**
+     * Record a projectile that passed close to the player without hitting
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordNearMiss(time) {
+        this.events.nearMisses.push(time);
+    }
+
+    /**
+     * Get an event rate over the window
+     * @param {string} name - Event list name
+     * @param {number} time - Simulation time (milliseconds)
+     * @returns {number} Events per minute
+     */
+    getRate(name, time) {
+        const span = Math.min(this.settings.window, Math.max(this.settings.warmup, time - this.startTime));
+        return this.events[name].length * 60000 / span;
+    }
+
+    /**
+     * Re-evaluate the player and ease the intensity toward where it should be
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    update(time) {
+        const settings = this.settings;
+
+        // Forget events that have left the window
+        Object.values(this.events).forEach(list => {
+            while (list.length > 0 && time - list[0] > settings.window) {
+                list.shift();
+            }
+        });
+
+        // Fast abductions push the intensity up; damage and close calls pull it
+        // down (both are 1 for a player right on the targets)
+        const success = this.getRate('abductions', time) / settings.abductionTarget;
+        const stress = (this.getRate('damage', time) / settings.damageTarget +
+            settings.nearMissWeight * this.getRate('nearMisses', time) / settings.nearMissTarget) /
+            (1 + settings.nearMissWeight);
+        const target = THREE.MathUtils.clamp(
+            1 + settings.sensitivity * (success - stress),
+            settings.minIntensity,
+            settings.maxIntensity
+        );
+
+        this.intensity += THREE.MathUtils.clamp(target - this.intensity, -settings.adjustRate, settings.adjustRate);
+    }
+
+    /**
+     * Get the spawn interval multiplier (below 1 spawns enemies faster)
+     * @returns {number} Multiplier for the time between spawns
+     */
+    getSpawnMultiplier() {
+        return 1 / this.intensity;
+    }
+
+    /**
+     * Get the enemy fire rate multiplier
+     * @returns {number} Multiplier for how often enemies fire
+     */
+    getAggression() {
+        return 1 + (this.intensity - 1) * this.settings.aggression;
+    }
+
+    /**
+     * Get the power-up drop chance multiplier (above 1 when the player is struggling)
+     * @returns {number} Multiplier for power-up drop chances
+     */
+    getPowerUpMultiplier() {
+        return Math.max(0, 1 + (1 - this.intensity) * this.settings.powerUps);
+    }
+
+    /**
+     * Get the director's state for debug overlays
+     * @param {number} time - Simulation time (milliseconds)
+     * @returns {Object} Intensity and measured rates per minute
+     */
+    getStats(time) {
+        return {
+            intensity: this.intensity,
+            damage: this.getRate('damage', time),
+            abductions: this.getRate('abductions', time),
+            nearMisses: this.getRate('nearMisses', time)
+        };
+    }
+}
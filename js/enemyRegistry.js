@@ -0,0 +1,133 @@
+/**
+ * Enemy Registry for Retro UFO Game
+ * Pluggable enemy types: each defines its model, AI, weapons, score and spawning
+ */
+
+/**
+ * Enemy type definition:
+ * {
+ *   build: () => THREE.Object3D,  // builds a model for the type's pool
+ *   ai: controller,               // reset(enemy, context), update(enemy, context),
+ *                                 // canFire(enemy, target) and optionally
+ *                                 // getMuzzle(enemy, out)
+ *   radius: 2.5,                  // collision radius
+ *   health: 1,                    // bolt hits to destroy
+ *   contactDamage: 1,             // damage when the UFO rams it (0 = no collision)
+ *   speed: 0.3,                   // base speed in units per tick
+ *   speedVariation: 0.2,          // +/- fraction of speed
+ *   loadout: [{ weapon, weight }],// weighted EnemyWeapons names
+ *   flares: 0,                    // flares carried
+ *   score: 50,                    // points for shooting it down
+ *   placement: 'air',             // 'air' (edge of the area), 'ground' or 'herd' (beside a cow)
+ *   spawnWeight: 1,               // relative chance of spawning
+ *   maxActive: Infinity           // cap on live enemies of this type
+ * }
+ */
+class EnemyRegistry {
+    constructor() {
+        // Type definitions by name
+        this.types = {};
+
+        // Model pool for each type
+        this.pools = {};
+    }
+
+    /**
+     * Register an enemy type (replacing any type with the same name)
+     * @param {string} name - Type name
+     * @param {Object} definition - Type definition
+     */
+    register(name, definition) {
+        if (this.pools[name]) {
+            this.pools[name].clear();
+        }
+
+        this.types[name] = {
+            name: name,
+            health: 1,
+            contactDamage: 1,
+            speedVariation: 0,
+            flares: 0,
+            score: 0,
+            placement: 'air',
+            spawnWeight: 1,
+            maxActive: Infinity,
+            ...definition
+        };
+        this.pools[name] = new ObjectPool(definition.build);
+    }
+
+    /**
+     * Get a type definition
+     * @param {string} name - Type name
+     * @returns {Object} The type definition
+     */
+    get(name) {
+        return this.types[name];
+    }
+
+    /**
+     * Get every registered type name
+     * @returns {Array} Type names
+     */
+    getNames() {
+        return Object.keys(this.types);
+    }
+
+    /**
+     * Pick a type to spawn, weighted by spawnWeight or by a mix of weights
+     * @param {SeededRandom} rng - Random stream
+     * @param {Function} canSpawn - Filters out types that can't spawn right now
+     * @param {Object|null} weights - Spawn weight per type name (types left out
+     * never spawn); null uses each type's spawnWeight
+     * @returns {string|null} Type name, or null if none can spawn
+     */
+    pickType(rng, canSpawn = () => true, weights = null) {
+        const weightOf = name => weights ? (weights[name] || 0) : this.types[name].spawnWeight;
+        const names = this.getNames().filter(name => weightOf(name) > 0 && canSpawn(this.types[name]));
+        return rng.pickWeighted(names, weightOf);
+    }
+
+    /**
+     * Take a model for a type from its pool
+     * @param {string} name - Type name
+     * @returns {THREE.Object3D} The model
+     */
+    acquire(name) {
+        const enemy = this.pools[name].acquire();
+        enemy.userData.enemyType = name;
+        return enemy;
+    }
+
+    /**
+     * Return a model to its type's pool
+     * @param {THREE.Object3D} enemy - The model
+     */
+    release(enemy) {
+        this.pools[enemy.userData.enemyType].release(enemy);
+    }
+
+    /**
+     * Count live enemies of a type
+     * @param {string} name - Type name
+     * @returns {number} Active count
+     */
+    getActiveCount(name) {
+        return this.pools[name].getStats().active;
+    }
+
+    /**
+     * Get pool statistics for every type
+     * @returns {Object} Active and total models
+     */
+    getStats() {
+        const stats = { active: 0, free: 0, total: 0 };
+        Object.values(this.pools).forEach(pool => {
+            const poolStats = pool.getStats();
+            stats.active += poolStats.active;
+            stats.free += poolStats.free;
+            stats.total += poolStats.total;
+        });
+        return stats;
+    }
+}
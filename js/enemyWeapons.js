@@ -0,0 +1,140 @@
+/**
+ * Enemy Weapons for Retro UFO Game
+ * Weapon definitions for enemies (missiles, homing missiles, cannons, flak,
+ * shotguns) and the flares jets drop
+ */
+
+class EnemyWeapons {
+    constructor() {
+        // Weapon definitions. Speeds are units per tick, lifetimes and burst
+        // intervals are ticks, fire intervals are milliseconds.
+        this.weapons = {
+            missile: {
+                name: 'Missile',
+                model: 'missile',       // projectile pool
+                speed: 0.5,
+                damage: 1,
+                lifetime: 500,
+                radius: 0.5,
+                fireInterval: [3000, 5000],
+                exhaustColor: 0x33aaff,
+                sound: 'missile'
+            },
+            homing: {
+                name: 'Homing Missile',
+                model: 'missile',
+                speed: 0.4,             // slower than the UFO so it can be outrun
+                damage: 2,
+                lifetime: 360,
+                radius: 0.5,
+                turnRate: 0.025,        // radians per tick
+                fireInterval: [4500, 6500],
+                exhaustColor: 0xff3333,
+                sound: 'missile'
+            },
+            cannon: {
+                name: 'Burst Cannon',
+                model: 'shell',
+                speed: 1.2,
+                damage: 1,
+                lifetime: 150,
+                radius: 0.4,
+                burst: 4,               // shells per trigger pull
+                burstInterval: 6,
+                spread: 0.06,           // random aim error per shell
+                fireInterval: [2500, 4000],
+                exhaustColor: null,
+                sound: null
+            },
+            flak: {
+                name: 'Flak',
+                model: 'shell',
+                speed: 1.0,
+                damage: 1,
+                lifetime: 160,
+                radius: 0.6,
+                burst: 2,
+                burstInterval: 12,
+                spread: 0.04,
+                fireInterval: [2000, 3200],
+                exhaustColor: null,
+                sound: null
+            },
+            shotgun: {
+                name: 'Shotgun',
+                model: 'shell',
+                speed: 0.9,
+                damage: 1,
+                lifetime: 50,           // short range
+                radius: 0.3,
+                pellets: 3,             // shells per shot
+                spread: 0.12,
+                fireInterval: [1800, 2600],
+                exhaustColor: null,
+                sound: null
+            }
+        };
+
+        // Flare countermeasures (how many each enemy carries is set by its type)
+        this.flares = {
+            cooldown: 90,               // ticks between drops
+            lifetime: 120,
+            radius: 1.5,                // decoy radius for player bolts
+            drift: 0.15,                // launch speed backward from the jet
+            gravity: 0.004
+        };
+
+        // Reusable quaternion for steering
+        this.turn = new THREE.Quaternion();
+        this.identity = new THREE.Quaternion();
+    }
+
+    /**
+     * Get a weapon definition
+     * @param {string} name - Weapon name
+     * @returns {Object} The weapon definition
+     */
+    get(name) {
+        return this.weapons[name];
+    }
+
+    /**
+     * Pick a weapon for a new enemy from a weighted loadout
+     * @param {SeededRandom} rng - Random stream
+     * @param {Array} loadout - [{weapon, weight}, ...]
+     * @returns {string} Weapon name
+     */
+    pickWeapon(rng, loadout) {
+        return rng.pickWeighted(loadout, entry => entry.weight).weapon;
+    }
+
+    /**
+     * Pick a time between trigger pulls for a weapon
+     * @param {string} name - Weapon name
+     * @param {SeededRandom} rng - Random stream
+     * @returns {number} Fire interval in milliseconds
+     */
+    getFireInterval(name, rng) {
+        const [min, max] = this.weapons[name].fireInterval;
+        return min + rng.next() * (max - min);
+    }
+
+    /**
+     * Turn a direction toward a desired direction by at most turnRate
+     * @param {THREE.Vector3} direction - Normalized current direction (modified)
+     * @param {THREE.Vector3} desired - Normalized desired direction
+     * @param {number} turnRate - Maximum turn in radians
+     * @returns {THREE.Vector3} The direction
+     */
+    steer(direction, desired, turnRate) {
+        const angle = direction.angleTo(desired);
+        if (angle <= turnRate) {
+            return direction.copy(desired);
+        }
+
+        // Rotate part of the way along the arc between the two directions
+        this.turn.setFromUnitVectors(direction, desired);
+        this.turn.slerp(this.identity, 1 - turnRate / angle);
+        return direction.applyQuaternion(this.turn).normalize();
+    }
+}
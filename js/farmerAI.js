@@ -0,0 +1,157 @@
+/**
+ * Farmer AI for Retro UFO Game
+ * Farmers mind their cows and run out with a shotgun when the UFO comes for them
+ */
+
+class FarmerAI {
+    constructor(settings = {}) {
+        // AI states
+        this.states = {
+            TEND: 'tend',
+            DEFEND: 'defend'
+        };
+
+        // AI settings (distances in units, times in ticks)
+        this.settings = {
+            walkFactor: settings.walkFactor || 0.4,     // fraction of top speed while tending
+            defendRange: settings.defendRange || 60,    // UFO this close to the herd is a threat
+            fireRange: settings.fireRange || 40,
+            keepAway: settings.keepAway || 8,           // don't stand right under the UFO
+            wanderRadius: settings.wanderRadius || 10,
+            idleTime: settings.idleTime || 120
+        };
+
+        // Reusable vector
+        this.offset = new THREE.Vector3();
+    }
+
+    /**
+     * Give a newly placed farmer its AI state and the nearest cow to look after
+     * @param {THREE.Object3D} farmer - The farmer (positioned on the ground)
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    reset(farmer, context) {
+        farmer.userData.ai = {
+            state: this.states.TEND,
+            timer: 0,
+            herd: this.findNearestCow(farmer.position, context.cows),
+            waypoint: farmer.position.clone(),
+            yaw: context.rng.next() * Math.PI * 2,
+            stride: 0
+        };
+        farmer.rotation.set(0, farmer.userData.ai.yaw, 0);
+    }
+
+    /**
+     * Find the cow nearest a position
+     * @param {THREE.Vector3} position - The position
+     * @param {Array} cows - Every cow
+     * @returns {THREE.Object3D|null} The nearest cow
+     */
+    findNearestCow(position, cows) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        cows.forEach(cow => {
+            const distance = cow.position.distanceToSquared(position);
+            if (distance < nearestDistance) {
+                nearest = cow;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Advance a farmer's AI by one tick
+     * @param {THREE.Object3D} farmer - The farmer
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    update(farmer, context) {
+        const ai = farmer.userData.ai;
+        const settings = this.settings;
+        ai.timer++;
+
+        // Look after another cow once this one has been taken
+        if (ai.herd && !context.cows.includes(ai.herd)) {
+            ai.herd = this.findNearestCow(farmer.position, context.cows);
+        }
+        const home = ai.herd ? ai.herd.position : farmer.position;
+
+        // Defend the herd when the UFO comes near it (or the farmer)
+        const threatened = this.flatDistance(home, context.target) < settings.defendRange ||
+            this.flatDistance(farmer.position, context.target) < settings.defendRange;
+        ai.state = threatened ? this.states.DEFEND : this.states.TEND;
+
+        let speed = 0;
+        if (ai.state === this.states.DEFEND) {
+            // Run to a spot just short of the UFO's shadow
+            this.offset.subVectors(farmer.position, context.target);
+            this.offset.y = 0;
+            this.offset.setLength(settings.keepAway);
+            ai.waypoint.copy(context.target).add(this.offset);
+            speed = farmer.userData.speed;
+        } else {
+            // Amble between spots around the herd, pausing now and then
+            if (ai.timer > settings.idleTime && this.flatDistance(farmer.position, ai.waypoint) < 1) {
+                const angle = context.rng.next() * Math.PI * 2;
+                const radius = context.rng.next() * settings.wanderRadius;
+                ai.waypoint.set(home.x + Math.cos(angle) * radius, 0, home.z + Math.sin(angle) * radius);
+                ai.timer = 0;
+            }
+            speed = farmer.userData.speed * settings.walkFactor;
+        }
+
+        // Walk toward the waypoint
+        this.offset.subVectors(ai.waypoint, farmer.position);
+        this.offset.y = 0;
+        const distance = this.offset.length();
+        if (distance > 0.5) {
+            farmer.position.addScaledVector(this.offset, Math.min(speed, distance) / distance);
+            ai.yaw = Math.atan2(-this.offset.z, this.offset.x);
+            ai.stride += speed * 2;
+        }
+
+        // Face the UFO while defending
+        if (ai.state === this.states.DEFEND) {
+            ai.yaw = Math.atan2(-(context.target.z - farmer.position.z), context.target.x - farmer.position.x);
+        }
+
+        // Stay on the ground, with a little bounce while walking
+        farmer.position.y = context.getHeightAt(farmer.position.x, farmer.position.z) +
+            Math.abs(Math.sin(ai.stride)) * 0.15;
+        farmer.rotation.set(0, ai.yaw, 0);
+    }
+
+    /**
+     * Get the distance between two points on the ground plane
+     * @param {THREE.Vector3} a - First point
+     * @param {THREE.Vector3} b - Second point
+     * @returns {number} Horizontal distance
+     */
+    flatDistance(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * Check whether a farmer can take a shot at a point
+     * @param {THREE.Object3D} farmer - The farmer
+     * @param {THREE.Vector3} point - The target position
+     * @returns {boolean} True if the farmer may fire
+     */
+    canFire(farmer, point) {
+        return farmer.userData.ai.state === this.states.DEFEND &&
+            farmer.position.distanceTo(point) < this.settings.fireRange;
+    }
+
+    /**
+     * Get the muzzle position at the end of the shotgun
+     * @param {THREE.Object3D} farmer - The farmer
+     * @param {THREE.Vector3} out - Muzzle position (written)
+     * @returns {THREE.Vector3} The muzzle position
+     */
+    getMuzzle(farmer, out) {
+        return out.copy(farmer.position).setY(farmer.position.y + 1.6);
+    }
+}
@@ -0,0 +1,470 @@
+/**
+ * Game Config for Retro UFO Game
+ * Loads tuning values from a JSON file and validates them against a schema
+ */
+
+/**
+ * Schema nodes:
+ *   { type: 'number', min, max, integer }   // finite number in range
+ *   { type: 'boolean' }
+ *   { type: 'string' }
+ *   { type: 'color' }                        // 0xRRGGBB number or '#rrggbb' string
+ *   { type: 'object', properties: {...} }    // fixed keys; unknown keys are errors
+ *   { type: 'map', values: node, keys, merge } // any keys (or only those in keys);
+ *                                            // merge keeps default entries not in the file
+ *   { type: 'array', items: node, minItems }
+ * Any node may set nullable: true to accept null.
+ *
+ * Values missing from the file keep their defaults. A bad value is reported and
+ * replaced by its default; a list or new entry with errors is dropped as a whole.
+ */
+class GameConfig {
+    constructor(options = {}) {
+        // Enemy type names that level enemy mixes may use, and the difficulty presets
+        const enemyTypes = options.enemyTypes || null;
+        const difficulties = options.difficulties || [];
+
+        // Reusable schema pieces
+        const positive = { type: 'number', min: 0 };
+        const fraction = { type: 'number', min: 0, max: 1 };
+        const spawn = {
+            type: 'object',
+            properties: {
+                delay: positive,
+                interval: { type: 'number', min: 100 },
+                min: { type: 'number', min: 100 },
+                speedup: fraction
+            }
+        };
+        const level = {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                cows: { type: 'number', min: 1, max: 100, integer: true },
+                enemies: { type: 'map', values: positive, keys: enemyTypes, nullable: true },
+                spawn: spawn,
+                timeLimit: positive
+            }
+        };
+        const multiplier = { type: 'number', min: 0.1, max: 10 };
+        const difficulty = {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                health: { type: 'number', min: 1, max: 20, integer: true },
+                enemySpeed: multiplier,
+                fireRate: multiplier,
+                missileSpeed: multiplier,
+                spawnInterval: multiplier,
+                spawnSpeedup: multiplier,
+                score: multiplier
+            }
+        };
+        const powerUp = (properties) => ({
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                color: { type: 'color' },
+                weight: positive,
+                duration: positive,
+                ...properties
+            }
+        });
+        const effect = (properties) => ({
+            type: 'object',
+            properties: { enabled: { type: 'boolean' }, ...properties }
+        });
+
+        // Config file schema
+        this.schema = {
+            type: 'object',
+            properties: {
+                world: {
+                    type: 'object',
+                    properties: {
+                        bounds: { type: 'number', min: 50, max: 1000 }
+                    }
+                },
+                ufo: {
+                    type: 'object',
+                    properties: {
+                        maxSpeed: { type: 'number', min: 0.01, max: 5 },
+                        acceleration: { type: 'number', min: 0.001, max: 1 },
+                        deceleration: fraction,
+                        hoverSpeed: positive,
+                        hoverHeight: positive,
+                        minAltitude: positive
+                    }
+                },
+                beam: {
+                    type: 'object',
+                    properties: {
+                        range: { type: 'number', min: 1, max: 50 },
+                        strength: { type: 'number', min: 0.001, max: 1 }
+                    }
+                },
+                enemies: {
+                    type: 'object',
+                    properties: {
+                        jetSpeed: { type: 'number', min: 0.01, max: 5 },
+                        minAltitude: positive
+                    }
+                },
+                difficulties: {
+                    type: 'object',
+                    properties: difficulties.reduce((properties, name) => ({ ...properties, [name]: difficulty }), {})
+                },
+                levels: { type: 'array', items: level, minItems: 1 },
+                endless: {
+                    type: 'object',
+                    properties: {
+                        cows: { type: 'number', min: 0, integer: true },
+                        interval: { type: 'number', min: 0.1, max: 1 },
+                        minInterval: { type: 'number', min: 100 }
+                    }
+                },
+                director: {
+                    type: 'object',
+                    properties: {
+                        minIntensity: { type: 'number', min: 0.1, max: 1 },
+                        maxIntensity: { type: 'number', min: 1, max: 5 },
+                        window: { type: 'number', min: 1000 },
+                        warmup: { type: 'number', min: 1000 },
+                        adjustRate: { type: 'number', min: 0, max: 0.1 },
+                        sensitivity: positive,
+                        damageTarget: { type: 'number', min: 0.01 },
+                        abductionTarget: { type: 'number', min: 0.01 },
+                        nearMissTarget: { type: 'number', min: 0.01 },
+                        nearMissWeight: positive,
+                        nearMissDistance: positive,
+                        aggression: fraction,
+                        powerUps: positive
+                    }
+                },
+                scoring: {
+                    type: 'object',
+                    properties: {
+                        comboWindow: { type: 'number', min: 0 },
+                        comboStep: positive,
+                        maxMultiplier: { type: 'number', min: 1, max: 20 },
+                        multiWindow: { type: 'number', min: 0 },
+                        multiBonus: positive,
+                        nearMissBonus: positive,
+                        streakInterval: { type: 'number', min: 1000 },
+                        streakBonus: positive,
+                        popupLifetime: { type: 'number', min: 100 },
+                        popupRise: positive,
+                        maxPopups: { type: 'number', min: 1, max: 100, integer: true }
+                    }
+                },
+                powerUps: {
+                    type: 'object',
+                    properties: {
+                        dropChance: fraction,
+                        fieldInterval: { type: 'number', min: 1000 },
+                        fieldMinDistance: positive,
+                        fieldMaxDistance: positive,
+                        maxPickups: { type: 'number', min: 0, max: 50, integer: true },
+                        lifetime: { type: 'number', min: 1000 },
+                        hoverHeight: positive,
+                        fallSpeed: positive,
+                        radius: positive,
+                        types: {
+                            type: 'object',
+                            properties: {
+                                shield: powerUp({}),
+                                repair: powerUp({ amount: { type: 'number', min: 1, max: 20, integer: true } }),
+                                speed: powerUp({ multiplier: multiplier }),
+                                beam: powerUp({ range: multiplier, strength: multiplier }),
+                                magnet: powerUp({ radius: positive, pull: positive })
+                            }
+                        }
+                    }
+                },
+                freeRoam: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        enemies: level.properties.enemies,
+                        spawn: spawn
+                    }
+                },
+                particles: {
+                    type: 'map',
+                    merge: true,
+                    values: {
+                        type: 'object',
+                        properties: {
+                            color: { type: 'color' },
+                            size: positive,
+                            count: { type: 'number', min: 1, max: 1000, integer: true },
+                            lifetime: { type: 'number', min: 1, integer: true },
+                            speed: positive,
+                            spread: positive,
+                            gravity: { type: 'number' },
+                            opacity: fraction,
+                            fadeRate: fraction
+                        }
+                    }
+                },
+                visualEffects: {
+                    type: 'object',
+                    properties: {
+                        scanlines: effect({ density: positive, opacity: fraction }),
+                        pixelation: effect({ pixelSize: { type: 'number', min: 1, max: 32 } }),
+                        vignette: effect({ offset: positive, darkness: positive }),
+                        colorShift: effect({ amount: positive }),
+                        screenShake: effect({ intensity: positive, decay: fraction, maxOffset: positive })
+                    }
+                }
+            }
+        };
+
+        // Problems found in the last load
+        this.errors = [];
+
+        // Error panel (shown when the file has problems)
+        this.element = this.createErrorDisplay();
+    }
+
+    /**
+     * Create the config error panel
+     * @returns {HTMLElement} The panel element
+     */
+    createErrorDisplay() {
+        const element = document.createElement('div');
+        element.id = 'config-errors';
+        element.className = 'hidden';
+        element.innerHTML = `
+            <h2>Config problems</h2>
+            <p>These settings were ignored and use their defaults:</p>
+            <ul class="config-error-list"></ul>
+            <button class="config-errors-close">Dismiss</button>
+        `;
+
+        this.list = element.querySelector('.config-error-list');
+        element.querySelector('.config-errors-close').addEventListener('click', () => {
+            element.classList.add('hidden');
+        });
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Load and validate a config file
+     * @param {string} url - Config file URL
+     * @param {Object} defaults - Values used for anything missing or invalid
+     * @param {Function} onComplete - Called with the validated config
+     */
+    load(url, defaults, onComplete) {
+        this.errors = [];
+
+        fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    // A broken file is a designer mistake, so it is shown on screen
+                    this.addError(`${url} is not valid JSON: ${error.message}`);
+                    data = {};
+                }
+                onComplete(this.apply(data, defaults));
+            }, error => {
+                // No file (or no server, e.g. opened from disk) just means default tuning
+                console.warn(`Could not load ${url} (${error.message}); using default settings.`);
+                onComplete(defaults);
+            });
+    }
+
+    /**
+     * Validate config data over the defaults and report any problems
+     * @param {Object} data - Parsed config file
+     * @param {Object} defaults - Default values
+     * @returns {Object} The validated config
+     */
+    apply(data, defaults) {
+        const config = this.validate(data, this.schema, defaults, 'config');
+        this.showErrors();
+        return config;
+    }
+
+    /**
+     * Record a config problem
+     * @param {string} message - What is wrong
+     */
+    addError(message) {
+        this.errors.push(message);
+        console.error(`Config: ${message}`);
+    }
+
+    /**
+     * Validate a value against a schema node
+     * @param {*} value - Value from the file (undefined if missing)
+     * @param {Object} schema - Schema node
+     * @param {*} fallback - Default value (undefined if there is none)
+     * @param {string} path - Setting path for error messages
+     * @returns {*} The value, or the fallback if it was invalid
+     */
+    validate(value, schema, fallback, path) {
+        if (value === undefined) {
+            if (fallback === undefined) {
+                this.addError(`${path} is missing`);
+            }
+            return fallback;
+        }
+        if (value === null && schema.nullable) {
+            return null;
+        }
+
+        const problem = this.check(value, schema);
+        if (problem) {
+            this.addError(`${path} ${problem} (got ${JSON.stringify(value)})`);
+            return fallback;
+        }
+
+        switch (schema.type) {
+            case 'color':
+                return typeof value === 'string' ? parseInt(value.slice(1), 16) : value;
+            case 'object':
+                return this.validateObject(value, schema, fallback, path);
+            case 'map':
+                return this.validateMap(value, schema, fallback, path);
+            case 'array':
+                return this.validateArray(value, schema, fallback, path);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Check a value's type and range
+     * @param {*} value - The value
+     * @param {Object} schema - Schema node
+     * @returns {string|null} What is wrong with the value, or null if it is fine
+     */
+    check(value, schema) {
+        switch (schema.type) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+                if (schema.integer && !Number.isInteger(value)) return 'must be a whole number';
+                if (schema.min !== undefined && value < schema.min) return `must be at least ${schema.min}`;
+                if (schema.max !== undefined && value > schema.max) return `must be at most ${schema.max}`;
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'string':
+                return typeof value === 'string' ? null : 'must be a string';
+            case 'color':
+                if (typeof value === 'string') {
+                    return /^#[0-9a-f]{6}$/i.test(value) ? null : 'must be a color like "#33ff33"';
+                }
+                return Number.isInteger(value) && value >= 0 && value <= 0xffffff
+                    ? null
+                    : 'must be a color like "#33ff33"';
+            case 'object':
+            case 'map':
+                return typeof value === 'object' && value !== null && !Array.isArray(value)
+                    ? null
+                    : 'must be an object';
+            case 'array':
+                if (!Array.isArray(value)) return 'must be a list';
+                if (schema.minItems && value.length < schema.minItems) {
+                    return `must have at least ${schema.minItems} entries`;
+                }
+                return null;
+            default:
+                return `has an unknown schema type ${schema.type}`;
+        }
+    }
+
+    /**
+     * Validate an object with fixed properties
+     * @param {Object} value - Object from the file
+     * @param {Object} schema - Object schema node
+     * @param {Object} fallback - Default object
+     * @param {string} path - Setting path
+     * @returns {Object} The validated object
+     */
+    validateObject(value, schema, fallback, path) {
+        Object.keys(value).forEach(key => {
+            if (!schema.properties[key]) {
+                this.addError(`${path}.${key} is not a known setting`);
+            }
+        });
+
+        const result = {};
+        Object.keys(schema.properties).forEach(key => {
+            result[key] = this.validate(
+                value[key],
+                schema.properties[key],
+                fallback ? fallback[key] : undefined,
+                `${path}.${key}`
+            );
+        });
+        return result;
+    }
+
+    /**
+     * Validate an object with any keys (or a known set) and one value schema
+     * @param {Object} value - Object from the file
+     * @param {Object} schema - Map schema node
+     * @param {Object} fallback - Default entries
+     * @param {string} path - Setting path
+     * @returns {Object} The validated entries
+     */
+    validateMap(value, schema, fallback, path) {
+        const result = schema.merge && fallback ? { ...fallback } : {};
+
+        Object.keys(value).forEach(key => {
+            if (schema.keys && !schema.keys.includes(key)) {
+                this.addError(`${path}.${key} is not one of ${schema.keys.join(', ')}`);
+                return;
+            }
+
+            const entryFallback = schema.merge && fallback ? fallback[key] : undefined;
+            const errorCount = this.errors.length;
+            const entry = this.validate(value[key], schema.values, entryFallback, `${path}.${key}`);
+
+            // A new entry needs every value to be usable
+            if (entryFallback === undefined && this.errors.length > errorCount) return;
+            result[key] = entry;
+        });
+        return result;
+    }
+
+    /**
+     * Validate a list (replaced as a whole; an invalid list keeps the defaults)
+     * @param {Array} value - List from the file
+     * @param {Object} schema - Array schema node
+     * @param {Array} fallback - Default list
+     * @param {string} path - Setting path
+     * @returns {Array} The validated list
+     */
+    validateArray(value, schema, fallback, path) {
+        const errorCount = this.errors.length;
+        const result = value.map((item, index) => this.validate(item, schema.items, undefined, `${path}[${index}]`));
+        return this.errors.length > errorCount ? fallback : result;
+    }
+
+    /**
+     * Show the error panel if the last load found problems
+     */
+    showErrors() {
+        this.list.innerHTML = '';
+        this.errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            this.list.appendChild(item);
+        });
+        this.element.classList.toggle('hidden', this.errors.length === 0);
+    }
+}
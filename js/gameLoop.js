@@ -0,0 +1,184 @@
+/**
+ * Game Loop for Retro UFO Game
+ * Runs game logic on a fixed timestep and renders with interpolation
+ */
+
+class GameLoop {
+    constructor(options = {}) {
+        // Simulation rate (ticks per second); all per-tick tuning assumes 60
+        this.tickRate = options.tickRate || 60;
+        this.timestep = 1000 / this.tickRate; // milliseconds per tick
+
+        // Clamp long frames (tab switches, breakpoints) to avoid a spiral of death
+        this.maxFrameTime = options.maxFrameTime || 250;
+
+        // Loop state
+        this.accumulator = 0;
+        this.lastTimestamp = null;
+        this.simulationTime = 0; // Total simulated milliseconds
+        this.tick = 0; // Total simulated ticks
+        this.alpha = 0; // Interpolation factor between the last two ticks
+        this.timeScale = 1; // Simulation speed multiplier (replay speed controls)
+        this.running = false;
+
+        // Callbacks
+        this.onTick = null;
+        this.onRender = null;
+        this.isActive = null;
+        this.getInterpolatedObjects = null;
+
+        // Previous/current transforms for interpolated objects
+        this.previousState = new Map();
+        this.currentState = new Map();
+    }
+
+    /**
+     * Initialize the game loop
+     * @param {Object} callbacks - Callback functions for the loop
+     */
+    init(callbacks = {}) {
+        this.onTick = callbacks.onTick || null;
+        this.onRender = callbacks.onRender || null;
+        this.isActive = callbacks.isActive || null;
+        this.getInterpolatedObjects = callbacks.getInterpolatedObjects || null;
+    }
+
+    /**
+     * Start the requestAnimationFrame loop
+     */
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.lastTimestamp = null;
+        requestAnimationFrame((timestamp) => this.frame(timestamp));
+    }
+
+    /**
+     * Reset simulation time (e.g. when a new game starts)
+     */
+    reset() {
+        this.accumulator = 0;
+        this.simulationTime = 0;
+        this.tick = 0;
+        this.alpha = 0;
+        this.previousState.clear();
+        this.currentState.clear();
+    }
+
+    /**
+     * Process a single animation frame
+     * @param {number} timestamp - Timestamp from requestAnimationFrame
+     */
+    frame(timestamp) {
+        requestAnimationFrame((nextTimestamp) => this.frame(nextTimestamp));
+
+        // Calculate delta time
+        if (this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+        }
+        const deltaTime = Math.min(timestamp - this.lastTimestamp, this.maxFrameTime);
+        this.lastTimestamp = timestamp;
+
+        // Don't bank time while the simulation is halted (start screen, pause)
+        if (this.isActive && !this.isActive()) {
+            this.accumulator = 0;
+            this.previousState.clear();
+        } else {
+            this.accumulator += deltaTime * this.timeScale;
+        }
+
+        // Run as many fixed ticks as the elapsed time covers
+        while (this.accumulator >= this.timestep) {
+            this.step();
+            this.accumulator -= this.timestep;
+        }
+
+        this.alpha = this.accumulator / this.timestep;
+
+        // Render interpolated between the previous and current tick
+        this.applyInterpolation();
+
+        if (this.onRender) {
+            this.onRender(deltaTime, this.alpha);
+        }
+
+        this.restoreState();
+    }
+
+    /**
+     * Advance the simulation by exactly one tick
+     */
+    step() {
+        this.savePreviousState();
+
+        if (this.onTick) {
+            this.onTick(this.timestep, this.tick);
+        }
+
+        this.simulationTime += this.timestep;
+        this.tick++;
+    }
+
+    /**
+     * Snapshot transforms of interpolated objects before a tick
+     */
+    savePreviousState() {
+        if (!this.getInterpolatedObjects) return;
+
+        const objects = this.getInterpolatedObjects();
+        this.previousState.clear();
+
+        objects.forEach(object => {
+            this.previousState.set(object, {
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone()
+            });
+        });
+    }
+
+    /**
+     * Move interpolated objects to their render transforms
+     */
+    applyInterpolation() {
+        if (!this.getInterpolatedObjects) return;
+
+        const objects = this.getInterpolatedObjects();
+        this.currentState.clear();
+
+        objects.forEach(object => {
+            const previous = this.previousState.get(object);
+            if (!previous) return; // Spawned this frame, nothing to blend from
+
+            const current = {
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone()
+            };
+            this.currentState.set(object, current);
+
+            object.position.lerpVectors(previous.position, current.position, this.alpha);
+            object.quaternion.copy(previous.quaternion).slerp(current.quaternion, this.alpha);
+        });
+    }
+
+    /**
+     * Restore simulated transforms after rendering
+     */
+    restoreState() {
+        this.currentState.forEach((state, object) => {
+            object.position.copy(state.position);
+            object.quaternion.copy(state.quaternion);
+        });
+        this.currentState.clear();
+    }
+
+    /**
+     * Convert a per-tick rate to a per-frame factor for frame-driven effects
+     * @param {number} factor - Blend factor tuned for one tick (0.0 to 1.0)
+     * @param {number} deltaTime - Frame time in milliseconds
+     * @returns {number} Blend factor for the given frame time
+     */
+    frameBlend(factor, deltaTime) {
+        return 1 - Math.pow(1 - factor, deltaTime / this.timestep);
+    }
+}
@@ -4,14 +4,74 @@
  */
 
 class GameStateManager {
-    constructor() {
+    constructor(bindings, gamepad) {
+        // Input bindings (used for pause and for generating controls text)
+        this.bindings = bindings;
+        
+        // Gamepad input (its dead zone and trigger threshold are set on the settings screen)
+        this.gamepad = gamepad;
+        
         // Game states
         this.states = {
             START: 'start',
             PLAYING: 'playing',
             PAUSED: 'paused',
+            LEVEL_COMPLETE: 'levelComplete',
             GAME_OVER: 'gameOver',
-            HELP: 'help'
+            HELP: 'help',
+            SETTINGS: 'settings'
+        };
+        
+        // Game modes
+        this.modes = {
+            CLASSIC: 'classic',      // Bounded arena
+            FREE_ROAM: 'freeRoam'    // Open world streamed around the player
+        };
+        
+        // Difficulty presets. Speeds, fire rate and score are multipliers on the
+        // normal values; spawnInterval scales the time between enemy spawns
+        // (higher = fewer enemies) and spawnSpeedup how much each cow shortens it.
+        this.difficulties = {
+            easy: {
+                name: 'Easy',
+                health: 5,
+                enemySpeed: 0.8,
+                fireRate: 0.7,
+                missileSpeed: 0.8,
+                spawnInterval: 1.4,
+                spawnSpeedup: 0.7,
+                score: 0.5
+            },
+            normal: {
+                name: 'Normal',
+                health: 3,
+                enemySpeed: 1,
+                fireRate: 1,
+                missileSpeed: 1,
+                spawnInterval: 1,
+                spawnSpeedup: 1,
+                score: 1
+            },
+            hard: {
+                name: 'Hard',
+                health: 2,
+                enemySpeed: 1.15,
+                fireRate: 1.3,
+                missileSpeed: 1.15,
+                spawnInterval: 0.8,
+                spawnSpeedup: 1.2,
+                score: 1.5
+            },
+            insane: {
+                name: 'Insane',
+                health: 1,
+                enemySpeed: 1.3,
+                fireRate: 1.6,
+                missileSpeed: 1.3,
+                spawnInterval: 0.6,
+                spawnSpeedup: 1.5,
+                score: 2.5
+            }
         };
         
         // Current state
@@ -21,15 +81,30 @@ class GameStateManager {
         this.startScreen = document.getElementById('start-screen');
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.pauseScreen = this.createPauseScreen();
+        this.levelCompleteScreen = this.createLevelCompleteScreen();
         this.helpScreen = this.createHelpScreen();
+        this.settingsScreen = this.createSettingsScreen();
+        this.controlsInfo = document.getElementById('controls-info');
         this.scoreDisplay = document.getElementById('score');
         this.healthDisplay = document.getElementById('health');
         this.finalScoreDisplay = document.getElementById('final-score');
+        this.gameOverReason = this.createGameOverReason();
+        this.scoreBreakdown = this.createScoreBreakdown();
         this.highScoreDisplay = this.createHighScoreDisplay();
+        this.modeSelect = this.createModeControls();
+        this.difficultySelect = this.createDifficultyControls();
+        this.seedControls = this.createSeedControls();
+        this.replayControls = this.createReplayControls();
         
         // Game data
         this.score = 0;
         this.health = 3;
+        this.seed = null;
+        this.mode = this.loadMode();
+        this.modeSelect.value = this.mode;
+        this.difficulty = this.loadDifficulty();
+        this.difficultySelect.value = this.difficulty;
+        this.isReplay = false;
         this.highScores = this.loadHighScores();
         
         // Event listeners
@@ -40,6 +115,11 @@ class GameStateManager {
         this.onRestartGame = null;
         this.onPauseGame = null;
         this.onResumeGame = null;
+        this.onStartReplay = null;
+        this.onExportReplay = null;
+        this.onImportReplay = null;
+        this.onNextLevel = null;
+        this.onGameOver = null;
     }
     
     /**
@@ -51,10 +131,22 @@ class GameStateManager {
         this.onRestartGame = callbacks.onRestartGame || null;
         this.onPauseGame = callbacks.onPauseGame || null;
         this.onResumeGame = callbacks.onResumeGame || null;
+        this.onStartReplay = callbacks.onStartReplay || null;
+        this.onExportReplay = callbacks.onExportReplay || null;
+        this.onImportReplay = callbacks.onImportReplay || null;
+        this.onNextLevel = callbacks.onNextLevel || null;
+        this.onGameOver = callbacks.onGameOver || null;
         
         // Update high score display
         this.updateHighScoreDisplay();
         
+        // Generate controls text from the current bindings
+        this.updateControlsText();
+        this.bindings.onChange(() => {
+            this.updateControlsText();
+            this.updateSettingsScreen();
+        });
+        
         // Set initial state
         this.changeState(this.states.START);
     }
@@ -70,7 +162,7 @@ class GameStateManager {
         
         pauseScreen.innerHTML = `
             <h1>Game Paused</h1>
-            <p>Press P to resume</p>
+            <p>Press <span class="pause-key"></span> to resume</p>
             <button id="resume-button">Resume Game</button>
         `;
         
@@ -79,6 +171,54 @@ class GameStateManager {
         return pauseScreen;
     }
     
+    /**
+     * Create the level complete screen element
+     * @returns {HTMLElement} The level complete screen element
+     */
+    createLevelCompleteScreen() {
+        const levelCompleteScreen = document.createElement('div');
+        levelCompleteScreen.id = 'level-complete-screen';
+        levelCompleteScreen.className = 'overlay hidden';
+        
+        levelCompleteScreen.innerHTML = `
+            <h1>Level Complete</h1>
+            <p class="level-name"></p>
+            <ul class="level-stats"></ul>
+            <p class="next-level-name"></p>
+            <button id="next-level-button">Next Level</button>
+        `;
+        
+        document.getElementById('ui-overlay').appendChild(levelCompleteScreen);
+        
+        return levelCompleteScreen;
+    }
+    
+    /**
+     * Create the line on the game over screen saying why the run ended
+     * @returns {HTMLElement} The reason element
+     */
+    createGameOverReason() {
+        const reason = document.createElement('p');
+        reason.id = 'game-over-reason';
+        
+        this.gameOverScreen.insertBefore(reason, this.finalScoreDisplay.parentNode);
+        
+        return reason;
+    }
+    
+    /**
+     * Create the list on the game over screen showing where the score came from
+     * @returns {HTMLElement} The breakdown list
+     */
+    createScoreBreakdown() {
+        const breakdown = document.createElement('ul');
+        breakdown.id = 'score-breakdown';
+        
+        this.gameOverScreen.insertBefore(breakdown, this.gameOverScreen.querySelector('button'));
+        
+        return breakdown;
+    }
+    
     /**
      * Create the help screen element
      * @returns {HTMLElement} The help screen element
@@ -92,17 +232,31 @@ class GameStateManager {
             <h1>How to Play</h1>
             <div class="help-content">
                 <p><strong>Controls:</strong></p>
+                <ul class="keyboard-controls"></ul>
+                <p><strong>Gamepad:</strong></p>
                 <ul>
-                    <li>Arrow Keys: Move UFO</li>
-                    <li>Space: Ascend</li>
-                    <li>Shift: Descend</li>
-                    <li>E: Activate Tractor Beam</li>
-                    <li>P: Pause Game</li>
-                    <li>M: Toggle Sound</li>
+                    <li>Left Stick: Move UFO</li>
+                    <li>Right/Left Trigger: Ascend/Descend</li>
+                    <li>A: Activate Tractor Beam</li>
+                    <li>X: Fire</li>
+                    <li>Start: Pause Game</li>
                 </ul>
                 <p><strong>Objective:</strong></p>
                 <p>Abduct cows using your tractor beam while avoiding enemy jets and missiles.</p>
+                <p>Cows scatter when your shadow or beam gets close. Herd them against the fence or swoop in fast.</p>
+                <p>Sheep, pigs, chickens, tractors and farmhands can be abducted too. Heavier catches rise slower and drain more beam energy, but are worth more.</p>
+                <p>The beam runs on energy that recharges while it is off. Caught cows kick, and flying too fast shakes them loose. Dropped cows fall, and a long fall leaves them limping.</p>
+                <p>Helicopters guard the herds, anti-air turrets dot the hills and farmers will fight for their cows.</p>
+                <p>Shoot down jets and missiles for extra points, but don't let your weapon overheat.</p>
+                <p>Watch out for homing missiles and cannon bursts. Jets drop flares to throw off your aim.</p>
                 <p>Each cow abducted increases your score and the difficulty.</p>
+                <p>Abduct in quick succession to build a combo multiplier, and grab several at once for a multi-abduction bonus. Dodging missiles by a hair and going a while without damage earn bonus points too.</p>
+                <p>Fly through glowing pickups for shields, repairs, speed boosts, a super beam or a cow magnet. Destroyed enemies sometimes drop them.</p>
+                <p>Clear the herd before the clock runs out to finish a level. Time left on the clock earns bonus points.</p>
+                <p><strong>Modes:</strong></p>
+                <p>Classic keeps you inside the farm. Free Roam has no walls: the world keeps generating as you fly.</p>
+                <p><strong>Difficulty:</strong></p>
+                <p>Harder settings give you less health and faster, angrier enemies, but multiply your score.</p>
             </div>
             <button id="help-back-button">Back to Menu</button>
         `;
@@ -112,6 +266,127 @@ class GameStateManager {
         return helpScreen;
     }
     
+    /**
+     * Create the settings screen element
+     * @returns {HTMLElement} The settings screen element
+     */
+    createSettingsScreen() {
+        const settingsScreen = document.createElement('div');
+        settingsScreen.id = 'settings-screen';
+        settingsScreen.className = 'overlay hidden';
+        
+        const rows = Object.keys(this.bindings.actions).map(action => `
+            <li>
+                <span>${this.bindings.actions[action].label}</span>
+                <button class="rebind-button" data-action="${action}"></button>
+            </li>
+        `).join('');
+        
+        settingsScreen.innerHTML = `
+            <h1>Controls</h1>
+            <div class="help-content">
+                <p>Click an action, then press the new key (Esc to cancel).</p>
+                <ul class="binding-list">${rows}</ul>
+                <p class="binding-message"></p>
+                <p><strong>Gamepad:</strong></p>
+                <ul class="binding-list">
+                    <li>
+                        <label for="dead-zone-slider">Stick dead zone</label>
+                        <input type="range" id="dead-zone-slider" class="settings-slider" min="0" max="0.9" step="0.05">
+                        <span class="slider-value" id="dead-zone-value"></span>
+                    </li>
+                    <li>
+                        <label for="trigger-threshold-slider">Trigger threshold</label>
+                        <input type="range" id="trigger-threshold-slider" class="settings-slider" min="0" max="1" step="0.05">
+                        <span class="slider-value" id="trigger-threshold-value"></span>
+                    </li>
+                </ul>
+            </div>
+            <button id="reset-bindings-button">Reset Defaults</button>
+            <button id="settings-back-button">Back to Menu</button>
+        `;
+        
+        document.getElementById('ui-overlay').appendChild(settingsScreen);
+        
+        return settingsScreen;
+    }
+    
+    /**
+     * Refresh the key names shown on the settings screen
+     */
+    updateSettingsScreen() {
+        this.settingsScreen.querySelectorAll('.rebind-button').forEach(button => {
+            button.textContent = this.bindings.describe(button.dataset.action);
+            button.classList.remove('waiting');
+        });
+        
+        this.updateGamepadSettings();
+    }
+    
+    /**
+     * Refresh the gamepad sliders shown on the settings screen
+     */
+    updateGamepadSettings() {
+        const settings = this.gamepad.settings;
+        this.settingsScreen.querySelector('#dead-zone-slider').value = settings.deadZone;
+        this.settingsScreen.querySelector('#dead-zone-value').textContent = `${Math.round(settings.deadZone * 100)}%`;
+        this.settingsScreen.querySelector('#trigger-threshold-slider').value = settings.triggerThreshold;
+        this.settingsScreen.querySelector('#trigger-threshold-value').textContent = `${Math.round(settings.triggerThreshold * 100)}%`;
+    }
+    
+    /**
+     * Wait for a new key for an action on the settings screen
+     * @param {HTMLElement} button - The clicked rebind button
+     */
+    startRebind(button) {
+        const action = button.dataset.action;
+        const message = this.settingsScreen.querySelector('.binding-message');
+        
+        this.updateSettingsScreen();
+        button.textContent = 'Press a key...';
+        button.classList.add('waiting');
+        message.textContent = '';
+        
+        this.bindings.startCapture(action, (code, conflict) => {
+            this.updateSettingsScreen();
+            
+            if (conflict) {
+                const key = this.bindings.getKeyName(code);
+                const other = this.bindings.actions[conflict].label;
+                message.textContent = `${key} was bound to ${other}; the two actions swapped keys.`;
+            }
+        });
+    }
+    
+    /**
+     * Generate all controls text from the current bindings
+     */
+    updateControlsText() {
+        const b = this.bindings;
+        
+        // Help screen
+        this.helpScreen.querySelector('.keyboard-controls').innerHTML = `
+            <li>${b.describeMovement()}: Move UFO</li>
+            <li>${b.describe('ascend')}: Ascend</li>
+            <li>${b.describe('descend')}: Descend</li>
+            <li>${b.describe('beam')}: Activate Tractor Beam</li>
+            <li>${b.describe('fire')}: Fire</li>
+            <li>${b.describe('pause')}: Pause Game</li>
+            <li>${b.describe('mute')}: Toggle Sound</li>
+        `;
+        
+        // Pause screen
+        this.pauseScreen.querySelector('.pause-key').textContent = b.describe('pause');
+        
+        // In-game controls panel
+        this.controlsInfo.innerHTML = `
+            <p>${b.describeMovement()}: Move UFO</p>
+            <p>${b.describe('ascend')}: Ascend | ${b.describe('descend')}: Descend</p>
+            <p>${b.describe('beam')}: Activate Tractor Beam | ${b.describe('fire')}: Fire</p>
+            <p>${b.describe('pause')}: Pause | ${b.describe('mute')}: Mute</p>
+        `;
+    }
+    
     /**
      * Create the high score display element
      * @returns {HTMLElement} The high score display element
@@ -137,6 +412,161 @@ class GameStateManager {
         };
     }
     
+    /**
+     * Create the game mode selector on the start screen
+     * @returns {HTMLSelectElement} The mode select element
+     */
+    createModeControls() {
+        const modeControls = document.createElement('div');
+        modeControls.id = 'mode-controls';
+        modeControls.innerHTML = `
+            <label for="mode-select">Mode:</label>
+            <select id="mode-select">
+                <option value="${this.modes.CLASSIC}">Classic</option>
+                <option value="${this.modes.FREE_ROAM}">Free Roam</option>
+            </select>
+        `;
+        
+        this.startScreen.insertBefore(modeControls, document.getElementById('start-button'));
+        
+        return modeControls.querySelector('#mode-select');
+    }
+    
+    /**
+     * Create the difficulty selector on the start screen
+     * @returns {HTMLSelectElement} The difficulty select element
+     */
+    createDifficultyControls() {
+        const difficultyControls = document.createElement('div');
+        difficultyControls.id = 'difficulty-controls';
+        
+        const options = Object.keys(this.difficulties).map(key =>
+            `<option value="${key}">${this.difficulties[key].name}</option>`
+        ).join('');
+        
+        difficultyControls.innerHTML = `
+            <label for="difficulty-select">Difficulty:</label>
+            <select id="difficulty-select">${options}</select>
+        `;
+        
+        this.startScreen.insertBefore(difficultyControls, document.getElementById('start-button'));
+        
+        return difficultyControls.querySelector('#difficulty-select');
+    }
+    
+    /**
+     * Replace the difficulty presets (e.g. with tuned values from the config)
+     * @param {Object} difficulties - Presets keyed like the built-in ones
+     */
+    setDifficulties(difficulties) {
+        this.difficulties = difficulties;
+        Array.from(this.difficultySelect.options).forEach(option => {
+            option.textContent = this.difficulties[option.value].name;
+        });
+        this.updateHighScoreDisplay();
+    }
+    
+    /**
+     * Load the last chosen difficulty from localStorage
+     * @returns {string} Difficulty key
+     */
+    loadDifficulty() {
+        const saved = localStorage.getItem('ufoGameDifficulty');
+        return this.isValidDifficulty(saved) ? saved : 'normal';
+    }
+    
+    /**
+     * Check if a value is a known difficulty
+     * @param {string} difficulty - Difficulty key
+     * @returns {boolean} True if the difficulty exists
+     */
+    isValidDifficulty(difficulty) {
+        return Object.prototype.hasOwnProperty.call(this.difficulties, difficulty);
+    }
+    
+    /**
+     * Get the current run's difficulty preset
+     * @returns {Object} The difficulty preset
+     */
+    getDifficulty() {
+        return this.difficulties[this.difficulty];
+    }
+    
+    /**
+     * Load the last chosen game mode from localStorage
+     * @returns {string} Game mode
+     */
+    loadMode() {
+        const saved = localStorage.getItem('ufoGameMode');
+        return this.isValidMode(saved) ? saved : this.modes.CLASSIC;
+    }
+    
+    /**
+     * Check if a value is a known game mode
+     * @param {string} mode - Game mode
+     * @returns {boolean} True if the mode exists
+     */
+    isValidMode(mode) {
+        return Object.values(this.modes).includes(mode);
+    }
+    
+    /**
+     * Create the seed input (start screen) and seed display (game over screen)
+     * @returns {Object} The seed input and display elements
+     */
+    createSeedControls() {
+        // Seed input for starting a run from a given seed
+        const seedControls = document.createElement('div');
+        seedControls.id = 'seed-controls';
+        seedControls.innerHTML = `
+            <label for="seed-input">Seed:</label>
+            <input type="text" id="seed-input" placeholder="Random" maxlength="32">
+            <button id="daily-seed-button">Daily Seed</button>
+        `;
+        
+        this.startScreen.insertBefore(seedControls, document.getElementById('start-button'));
+        
+        // Seed display and retry button for the game over screen
+        const seedDisplay = document.createElement('p');
+        seedDisplay.id = 'seed-display';
+        seedDisplay.innerHTML = 'Seed: <span id="run-seed"></span>';
+        
+        this.gameOverScreen.insertBefore(seedDisplay, this.finalScoreDisplay.parentNode.nextSibling);
+        
+        const retryButton = document.createElement('button');
+        retryButton.id = 'retry-seed-button';
+        retryButton.textContent = 'Retry Seed';
+        this.gameOverScreen.appendChild(retryButton);
+        
+        return {
+            input: seedControls.querySelector('#seed-input'),
+            display: seedDisplay.querySelector('#run-seed')
+        };
+    }
+    
+    /**
+     * Create the replay export/import controls on the game over screen
+     * @returns {Object} The replay control elements
+     */
+    createReplayControls() {
+        const replayControls = document.createElement('div');
+        replayControls.id = 'replay-file-controls';
+        replayControls.innerHTML = `
+            <button id="export-replay-button">Export Replay</button>
+            <button id="import-replay-button">Watch Replay</button>
+            <input type="file" id="replay-file-input" accept=".json,application/json" hidden>
+            <p class="replay-error hidden"></p>
+        `;
+        
+        this.gameOverScreen.appendChild(replayControls);
+        
+        return {
+            exportButton: replayControls.querySelector('#export-replay-button'),
+            fileInput: replayControls.querySelector('#replay-file-input'),
+            error: replayControls.querySelector('.replay-error')
+        };
+    }
+    
     /**
      * Set up event listeners for buttons and keyboard
      */
@@ -144,7 +574,25 @@ class GameStateManager {
         // Button event listeners
         document.getElementById('start-button').addEventListener('click', () => this.startGame());
         document.getElementById('restart-button').addEventListener('click', () => this.restartGame());
+        document.getElementById('retry-seed-button').addEventListener('click', () => this.restartGame(this.seed));
+        document.getElementById('export-replay-button').addEventListener('click', () => {
+            if (this.onExportReplay) this.onExportReplay();
+        });
+        document.getElementById('import-replay-button').addEventListener('click', () => {
+            this.replayControls.fileInput.click();
+        });
+        this.replayControls.fileInput.addEventListener('change', () => this.readReplayFile());
+        this.difficultySelect.addEventListener('change', () => {
+            // Show the high scores for the chosen difficulty
+            this.difficulty = this.difficultySelect.value;
+            this.updateHighScoreDisplay();
+        });
+        document.getElementById('daily-seed-button').addEventListener('click', () => {
+            this.seedControls.input.value = RandomService.dailySeed();
+            this.startGame();
+        });
         document.getElementById('resume-button').addEventListener('click', () => this.resumeGame());
+        document.getElementById('next-level-button').addEventListener('click', () => this.nextLevel());
         document.getElementById('help-back-button').addEventListener('click', () => this.changeState(this.states.START));
         
         // Add help button to start screen
@@ -154,15 +602,38 @@ class GameStateManager {
         helpButton.addEventListener('click', () => this.changeState(this.states.HELP));
         this.startScreen.appendChild(helpButton);
         
-        // Keyboard event listeners
-        document.addEventListener('keydown', (event) => {
-            // Pause/resume with P key
-            if (event.code === 'KeyP') {
-                if (this.currentState === this.states.PLAYING) {
-                    this.pauseGame();
-                } else if (this.currentState === this.states.PAUSED) {
-                    this.resumeGame();
-                }
+        // Add controls settings button to start screen
+        const settingsButton = document.createElement('button');
+        settingsButton.id = 'settings-button';
+        settingsButton.textContent = 'Controls';
+        settingsButton.addEventListener('click', () => this.changeState(this.states.SETTINGS));
+        this.startScreen.appendChild(settingsButton);
+        
+        // Settings screen buttons
+        this.settingsScreen.querySelectorAll('.rebind-button').forEach(button => {
+            button.addEventListener('click', () => this.startRebind(button));
+        });
+        document.getElementById('reset-bindings-button').addEventListener('click', () => {
+            this.bindings.cancelCapture();
+            this.bindings.resetToDefaults();
+            this.settingsScreen.querySelector('.binding-message').textContent = '';
+        });
+        document.getElementById('dead-zone-slider').addEventListener('input', (event) => {
+            this.gamepad.setDeadZone(parseFloat(event.target.value));
+            this.updateGamepadSettings();
+        });
+        document.getElementById('trigger-threshold-slider').addEventListener('input', (event) => {
+            this.gamepad.setTriggerThreshold(parseFloat(event.target.value));
+            this.updateGamepadSettings();
+        });
+        document.getElementById('settings-back-button').addEventListener('click', () => this.changeState(this.states.START));
+        
+        // Pause/resume with the bound pause key
+        this.bindings.onAction('pause', () => {
+            if (this.currentState === this.states.PLAYING) {
+                this.pauseGame();
+            } else if (this.currentState === this.states.PAUSED) {
+                this.resumeGame();
             }
         });
     }
@@ -183,12 +654,19 @@ class GameStateManager {
             case this.states.PAUSED:
                 this.pauseScreen.classList.add('hidden');
                 break;
+            case this.states.LEVEL_COMPLETE:
+                this.levelCompleteScreen.classList.add('hidden');
+                break;
             case this.states.GAME_OVER:
                 this.gameOverScreen.classList.add('hidden');
                 break;
             case this.states.HELP:
                 this.helpScreen.classList.add('hidden');
                 break;
+            case this.states.SETTINGS:
+                this.bindings.cancelCapture();
+                this.settingsScreen.classList.add('hidden');
+                break;
         }
         
         // Enter new state
@@ -204,13 +682,24 @@ class GameStateManager {
             case this.states.PAUSED:
                 this.pauseScreen.classList.remove('hidden');
                 break;
+            case this.states.LEVEL_COMPLETE:
+                this.levelCompleteScreen.classList.remove('hidden');
+                break;
             case this.states.GAME_OVER:
                 this.finalScoreDisplay.textContent = this.score;
+                this.seedControls.display.textContent = this.seed;
+                this.replayControls.exportButton.classList.toggle('hidden', this.isReplay);
+                this.replayControls.error.classList.add('hidden');
                 this.gameOverScreen.classList.remove('hidden');
                 break;
             case this.states.HELP:
                 this.helpScreen.classList.remove('hidden');
                 break;
+            case this.states.SETTINGS:
+                this.updateSettingsScreen();
+                this.settingsScreen.querySelector('.binding-message').textContent = '';
+                this.settingsScreen.classList.remove('hidden');
+                break;
         }
     }
     
@@ -218,10 +707,14 @@ class GameStateManager {
      * Start the game
      */
     startGame() {
-        this.score = 0;
-        this.health = 3;
-        this.updateScore(0);
-        this.updateHealth(3);
+        // Use the entered seed, or a fresh one if the field is empty
+        this.seed = this.seedControls.input.value.trim().toUpperCase() || RandomService.randomSeed();
+        this.mode = this.modeSelect.value;
+        localStorage.setItem('ufoGameMode', this.mode);
+        this.difficulty = this.difficultySelect.value;
+        localStorage.setItem('ufoGameDifficulty', this.difficulty);
+        this.isReplay = false;
+        this.resetStats();
         
         this.changeState(this.states.PLAYING);
         
@@ -231,13 +724,17 @@ class GameStateManager {
     }
     
     /**
-     * Restart the game
+     * Restart the game (in the same mode)
+     * @param {string} seed - Seed for the new run (random if omitted)
      */
-    restartGame() {
-        this.score = 0;
-        this.health = 3;
-        this.updateScore(0);
-        this.updateHealth(3);
+    restartGame(seed = RandomService.randomSeed()) {
+        this.seed = seed;
+        
+        // A watched replay may have switched mode and difficulty; go back to the player's
+        this.isReplay = false;
+        this.mode = this.modeSelect.value;
+        this.difficulty = this.difficultySelect.value;
+        this.resetStats();
         
         this.changeState(this.states.PLAYING);
         
@@ -246,6 +743,64 @@ class GameStateManager {
         }
     }
     
+    /**
+     * Start playing back a replay
+     * @param {string} seed - Seed the replay was recorded with
+     * @param {string} mode - Game mode the replay was recorded in
+     * @param {string} difficulty - Difficulty the replay was recorded at
+     */
+    startReplay(seed, mode = this.modes.CLASSIC, difficulty = 'normal') {
+        this.seed = seed;
+        this.mode = mode;
+        this.difficulty = difficulty;
+        this.isReplay = true;
+        this.resetStats();
+        
+        this.changeState(this.states.PLAYING);
+        
+        if (this.onStartReplay) {
+            this.onStartReplay();
+        }
+    }
+    
+    /**
+     * Leave replay playback and return to the start screen
+     */
+    exitReplay() {
+        this.isReplay = false;
+        this.mode = this.modeSelect.value;
+        this.difficulty = this.difficultySelect.value;
+        this.updateHighScoreDisplay();
+        this.changeState(this.states.START);
+    }
+    
+    /**
+     * Read the replay file chosen on the game over screen
+     */
+    readReplayFile() {
+        const file = this.replayControls.fileInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            if (this.onImportReplay) this.onImportReplay(reader.result);
+        };
+        reader.onerror = () => this.showReplayError('Could not read replay file');
+        reader.readAsText(file);
+        
+        // Allow the same file to be chosen again
+        this.replayControls.fileInput.value = '';
+    }
+    
+    /**
+     * Show a replay loading error on the game over screen
+     * @param {string} message - Error message
+     */
+    showReplayError(message) {
+        this.replayControls.error.textContent = message;
+        this.replayControls.error.classList.remove('hidden');
+    }
+    
     /**
      * Pause the game
      */
@@ -268,13 +823,91 @@ class GameStateManager {
         }
     }
     
+    /**
+     * Show the level complete screen
+     * @param {Object} summary - {level, name, nextName, cows, time, bonus}
+     */
+    completeLevel(summary) {
+        // Replays carry straight on, as the recorded run did when it continued
+        if (this.isReplay) {
+            if (this.onNextLevel) {
+                this.onNextLevel();
+            }
+            return;
+        }
+        
+        this.levelCompleteScreen.querySelector('.level-name').textContent =
+            `Level ${summary.level}: ${summary.name}`;
+        this.levelCompleteScreen.querySelector('.level-stats').innerHTML = `
+            <li>Cows abducted: ${summary.cows}</li>
+            <li>Time: ${summary.time}</li>
+            <li>Time bonus: ${summary.bonus}</li>
+            <li>Score: ${this.score}</li>
+        `;
+        this.levelCompleteScreen.querySelector('.next-level-name').textContent =
+            `Next up: Level ${summary.level + 1}: ${summary.nextName}`;
+        
+        this.changeState(this.states.LEVEL_COMPLETE);
+    }
+    
+    /**
+     * Continue from the level complete screen to the next level
+     */
+    nextLevel() {
+        this.changeState(this.states.PLAYING);
+        
+        if (this.onNextLevel) {
+            this.onNextLevel();
+        }
+    }
+    
     /**
      * End the game
+     * @param {string} reason - Why the run ended (shown on the game over screen)
      */
-    endGame() {
-        this.saveHighScore(this.score);
-        this.updateHighScoreDisplay();
+    endGame(reason = '') {
+        // Replays don't count towards high scores
+        if (!this.isReplay) {
+            this.saveHighScore(this.score);
+            this.updateHighScoreDisplay();
+        }
+        this.gameOverReason.textContent = reason;
+        
         this.changeState(this.states.GAME_OVER);
+        
+        if (this.onGameOver) {
+            this.onGameOver();
+        }
+    }
+    
+    /**
+     * Fill in the score breakdown on the game over screen
+     * @param {Array} breakdown - {label, points} for each score source
+     */
+    showScoreBreakdown(breakdown) {
+        this.scoreBreakdown.innerHTML = breakdown.map(row => `
+            <li><span>${row.label}</span><span>${row.points}</span></li>
+        `).join('');
+    }
+    
+    /**
+     * Reset score and health for a new run (health depends on the difficulty)
+     */
+    resetStats() {
+        this.score = 0;
+        this.updateScore(0);
+        this.updateHealth(this.getDifficulty().health);
+    }
+    
+    /**
+     * Add points to the score, scaled by the difficulty's score multiplier
+     * @param {number} points - Unscaled points
+     * @returns {number} Points actually added
+     */
+    addScore(points) {
+        const scaled = Math.round(points * this.getDifficulty().score);
+        this.updateScore(this.score + scaled);
+        return scaled;
     }
     
     /**
@@ -293,11 +926,6 @@ class GameStateManager {
     updateHealth(newHealth) {
         this.health = newHealth;
         this.healthDisplay.textContent = this.health;
-        
-        // End game if health reaches zero
-        if (this.health <= 0) {
-            this.endGame();
-        }
     }
     
     /**
@@ -310,21 +938,33 @@ class GameStateManager {
     }
     
     /**
-     * Save a new high score
+     * Get the high scores for a difficulty (scores saved before difficulties
+     * existed count as Normal)
+     * @param {string} difficulty - Difficulty key
+     * @returns {Array} High scores, highest first
+     */
+    getHighScores(difficulty) {
+        return this.highScores.filter(entry => (entry.difficulty || 'normal') === difficulty);
+    }
+    
+    /**
+     * Save a new high score for the current difficulty
      * @param {number} score - The score to save
      */
     saveHighScore(score) {
         // Add new score
         this.highScores.push({
             score: score,
+            difficulty: this.difficulty,
             date: new Date().toISOString()
         });
         
         // Sort high scores (highest first)
         this.highScores.sort((a, b) => b.score - a.score);
         
-        // Keep only top 5 scores
-        this.highScores = this.highScores.slice(0, 5);
+        // Keep only the top 5 scores for each difficulty
+        const kept = Object.keys(this.difficulties).map(difficulty => this.getHighScores(difficulty).slice(0, 5));
+        this.highScores = [].concat(...kept).sort((a, b) => b.score - a.score);
         
         // Save to localStorage
         localStorage.setItem('ufoGameHighScores', JSON.stringify(this.highScores));
@@ -334,14 +974,15 @@ class GameStateManager {
      * Update the high score display
      */
     updateHighScoreDisplay() {
-        // Format high scores
-        let highScoreHtml = '<h2>High Scores</h2>';
+        // Format high scores for the current difficulty
+        const highScores = this.getHighScores(this.difficulty);
+        let highScoreHtml = `<h2>High Scores (${this.getDifficulty().name})</h2>`;
         
-        if (this.highScores.length === 0) {
+        if (highScores.length === 0) {
             highScoreHtml += '<p>No high scores yet!</p>';
         } else {
             highScoreHtml += '<ul>';
-            this.highScores.forEach((entry, index) => {
+            highScores.forEach((entry, index) => {
                 const date = new Date(entry.date);
                 const dateStr = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
                 highScoreHtml += `<li>${entry.score} pts (${dateStr})</li>`;
@@ -361,6 +1002,14 @@ class GameStateManager {
     isGameActive() {
         return this.currentState === this.states.PLAYING;
     }
+
+    /**
+     * Check if the current run is in free roam mode
+     * @returns {boolean} True for the open-world mode
+     */
+    isFreeRoam() {
+        return this.mode === this.modes.FREE_ROAM;
+    }
     
     /**
      * Get the current game state
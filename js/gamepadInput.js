@@ -0,0 +1,253 @@
+/**
+ * Gamepad Input for Retro UFO Game
+ * Reads controllers through the Gamepad API (standard mapping) with hot-plug support
+ */
+
+class GamepadInput {
+    constructor() {
+        // Standard-mapping button indices
+        this.buttons = {
+            beam: 0,      // A / Cross
+            fire: 2,      // X / Square
+            descend: 6,   // Left trigger
+            ascend: 7,    // Right trigger
+            start: 9      // Start / Options
+        };
+
+        // Standard-mapping axis indices (left stick)
+        this.axes = {
+            moveX: 0,
+            moveZ: 1
+        };
+
+        // Dead zone settings
+        this.settings = this.loadSettings();
+
+        // Connected gamepad index (first one wins)
+        this.gamepadIndex = null;
+
+        // Current state
+        this.state = createEmptyInput();
+        this.startPressed = false;
+
+        // Callbacks
+        this.onStartButton = null;
+        this.onConnectionChange = null;
+
+        // Connection status DOM element
+        this.statusElement = this.createStatusDisplay();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Initialize the gamepad input
+     * @param {Object} callbacks - Callback functions for gamepad events
+     */
+    init(callbacks = {}) {
+        this.onStartButton = callbacks.onStartButton || null;
+        this.onConnectionChange = callbacks.onConnectionChange || null;
+    }
+
+    /**
+     * Create the gamepad connection indicator
+     * @returns {HTMLElement} The status element
+     */
+    createStatusDisplay() {
+        const status = document.createElement('div');
+        status.id = 'gamepad-status';
+        status.className = 'hidden';
+        status.textContent = 'Gamepad connected';
+
+        document.getElementById('ui-overlay').appendChild(status);
+
+        return status;
+    }
+
+    /**
+     * Listen for gamepads being plugged in and removed
+     */
+    setupEventListeners() {
+        window.addEventListener('gamepadconnected', (event) => {
+            if (this.gamepadIndex === null) {
+                this.connect(event.gamepad);
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', (event) => {
+            if (event.gamepad.index === this.gamepadIndex) {
+                this.disconnect();
+
+                // Fall back to any other connected gamepad
+                const other = this.getConnectedGamepads()[0];
+                if (other) {
+                    this.connect(other);
+                }
+            }
+        });
+    }
+
+    /**
+     * Start reading from a gamepad
+     * @param {Gamepad} gamepad - The gamepad to use
+     */
+    connect(gamepad) {
+        this.gamepadIndex = gamepad.index;
+        this.startPressed = false;
+
+        console.log(`Gamepad connected: ${gamepad.id}`);
+        this.statusElement.textContent = 'Gamepad connected';
+        this.statusElement.classList.remove('hidden');
+
+        if (this.onConnectionChange) this.onConnectionChange(true, gamepad);
+    }
+
+    /**
+     * Stop reading from the current gamepad
+     */
+    disconnect() {
+        console.log('Gamepad disconnected');
+        this.gamepadIndex = null;
+        this.state = createEmptyInput();
+        this.statusElement.classList.add('hidden');
+
+        if (this.onConnectionChange) this.onConnectionChange(false, null);
+    }
+
+    /**
+     * Get all currently connected gamepads
+     * @returns {Gamepad[]} Connected gamepads
+     */
+    getConnectedGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+    }
+
+    /**
+     * Check if a gamepad is connected
+     * @returns {boolean} True if a gamepad is in use
+     */
+    isConnected() {
+        return this.gamepadIndex !== null;
+    }
+
+    /**
+     * Poll the gamepad (call once per frame; browsers only update state on poll)
+     */
+    update() {
+        if (!this.isConnected()) return;
+
+        const gamepad = navigator.getGamepads()[this.gamepadIndex];
+        if (!gamepad) return;
+
+        // Left stick with a radial dead zone
+        const stick = this.applyDeadZone(
+            gamepad.axes[this.axes.moveX] || 0,
+            gamepad.axes[this.axes.moveZ] || 0
+        );
+        this.state.moveX = stick.x;
+        this.state.moveZ = stick.y;
+
+        // Triggers and face buttons
+        this.state.ascend = this.getButtonValue(gamepad, this.buttons.ascend) > this.settings.triggerThreshold;
+        this.state.descend = this.getButtonValue(gamepad, this.buttons.descend) > this.settings.triggerThreshold;
+        this.state.beam = this.isButtonPressed(gamepad, this.buttons.beam);
+        this.state.fire = this.isButtonPressed(gamepad, this.buttons.fire);
+
+        // Start button fires once per press
+        const startPressed = this.isButtonPressed(gamepad, this.buttons.start);
+        if (startPressed && !this.startPressed && this.onStartButton) {
+            this.onStartButton();
+        }
+        this.startPressed = startPressed;
+    }
+
+    /**
+     * Apply a radial dead zone and rescale the remaining range to 0..1
+     * @param {number} x - Raw X axis value
+     * @param {number} y - Raw Y axis value
+     * @returns {Object} Filtered {x, y}
+     */
+    applyDeadZone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        const deadZone = this.settings.deadZone;
+
+        if (magnitude < deadZone) {
+            return { x: 0, y: 0 };
+        }
+
+        const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+        return {
+            x: (x / magnitude) * scaled,
+            y: (y / magnitude) * scaled
+        };
+    }
+
+    /**
+     * Get the analog value of a button
+     * @param {Gamepad} gamepad - The gamepad
+     * @param {number} index - Button index
+     * @returns {number} Value (0.0 to 1.0)
+     */
+    getButtonValue(gamepad, index) {
+        const button = gamepad.buttons[index];
+        return button ? button.value : 0;
+    }
+
+    /**
+     * Check if a button is pressed
+     * @param {Gamepad} gamepad - The gamepad
+     * @param {number} index - Button index
+     * @returns {boolean} True if pressed
+     */
+    isButtonPressed(gamepad, index) {
+        const button = gamepad.buttons[index];
+        return Boolean(button && button.pressed);
+    }
+
+    /**
+     * Get the current gamepad input state
+     * @returns {Object} Input state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Set the stick dead zone
+     * @param {number} deadZone - Dead zone radius (0.0 to 0.9)
+     */
+    setDeadZone(deadZone) {
+        this.settings.deadZone = Math.max(0, Math.min(0.9, deadZone));
+        this.saveSettings();
+    }
+
+    /**
+     * Set the trigger activation threshold
+     * @param {number} threshold - Threshold (0.0 to 1.0)
+     */
+    setTriggerThreshold(threshold) {
+        this.settings.triggerThreshold = Math.max(0, Math.min(1, threshold));
+        this.saveSettings();
+    }
+
+    /**
+     * Load gamepad settings from localStorage
+     * @returns {Object} Gamepad settings
+     */
+    loadSettings() {
+        const defaults = {
+            deadZone: 0.15,
+            triggerThreshold: 0.3
+        };
+        const saved = localStorage.getItem('ufoGameGamepad');
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    }
+
+    /**
+     * Save gamepad settings to localStorage
+     */
+    saveSettings() {
+        localStorage.setItem('ufoGameGamepad', JSON.stringify(this.settings));
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Helicopter AI for Retro UFO Game
+ * Attack helicopters circle a cow herd and hover at a standoff distance to shoot
+ */
+
+class HelicopterAI {
+    constructor(settings = {}) {
+        // AI states
+        this.states = {
+            GUARD: 'guard',
+            ENGAGE: 'engage'
+        };
+
+        // AI settings (distances in units, times in ticks)
+        this.settings = {
+            altitude: settings.altitude || 18,          // cruising height above the ground
+            guardRadius: settings.guardRadius || 25,    // orbit around the herd
+            orbitSpeed: settings.orbitSpeed || 0.006,   // radians per tick
+            engageRange: settings.engageRange || 80,
+            standoff: settings.standoff || 40,          // hover distance when engaging
+            fireRange: settings.fireRange || 90,
+            fireAngle: settings.fireAngle || Math.PI / 10,
+            turnRate: settings.turnRate || 0.04,        // yaw radians per tick
+            acceleration: settings.acceleration || 0.01,
+            retargetTime: settings.retargetTime || 300
+        };
+
+        // Reusable vectors
+        this.desired = new THREE.Vector3();
+        this.offset = new THREE.Vector3();
+    }
+
+    /**
+     * Give a newly spawned helicopter its AI state and a herd to guard
+     * @param {THREE.Object3D} heli - The helicopter (positioned)
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    reset(heli, context) {
+        heli.userData.ai = {
+            state: this.states.GUARD,
+            timer: 0,
+            velocity: new THREE.Vector3(),
+            herd: null,
+            guardPoint: new THREE.Vector3().copy(context.target),
+            orbitAngle: context.rng.next() * Math.PI * 2,
+            yaw: 0
+        };
+        this.pickHerd(heli, context);
+    }
+
+    /**
+     * Pick a cow to guard (the herd around it)
+     * @param {THREE.Object3D} heli - The helicopter
+     * @param {Object} context - {target, cows, rng}
+     */
+    pickHerd(heli, context) {
+        const ai = heli.userData.ai;
+        ai.herd = context.cows.length > 0
+            ? context.cows[Math.floor(context.rng.next() * context.cows.length)]
+            : null;
+        ai.timer = 0;
+    }
+
+    /**
+     * Advance a helicopter's AI by one tick
+     * @param {THREE.Object3D} heli - The helicopter
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    update(heli, context) {
+        const ai = heli.userData.ai;
+        const settings = this.settings;
+        ai.timer++;
+
+        // Find a new herd when the old one has been abducted (or now and then)
+        if (!ai.herd || !context.cows.includes(ai.herd) || ai.timer > settings.retargetTime) {
+            this.pickHerd(heli, context);
+        }
+        if (ai.herd) {
+            ai.guardPoint.copy(ai.herd.position);
+        }
+
+        // Engage the UFO when it comes near the helicopter or its herd
+        const distance = heli.position.distanceTo(context.target);
+        const nearHerd = ai.guardPoint.distanceTo(context.target) < settings.engageRange;
+        ai.state = distance < settings.engageRange || nearHerd ? this.states.ENGAGE : this.states.GUARD;
+
+        if (ai.state === this.states.ENGAGE) {
+            // Hover at the standoff distance on this side of the UFO
+            this.offset.subVectors(heli.position, context.target);
+            this.offset.y = 0;
+            this.offset.setLength(settings.standoff);
+            this.desired.copy(context.target).add(this.offset);
+            this.desired.y = context.target.y;
+        } else {
+            // Circle the herd
+            ai.orbitAngle += settings.orbitSpeed;
+            this.desired.set(
+                ai.guardPoint.x + Math.cos(ai.orbitAngle) * settings.guardRadius,
+                0,
+                ai.guardPoint.z + Math.sin(ai.orbitAngle) * settings.guardRadius
+            );
+            this.desired.y = context.getHeightAt(this.desired.x, this.desired.z) + settings.altitude;
+        }
+
+        // Never hover lower than the cruising height over the ground below
+        this.desired.y = Math.max(
+            this.desired.y,
+            context.getHeightAt(heli.position.x, heli.position.z) + settings.altitude * 0.5
+        );
+
+        // Arrive: full speed far away, easing in close to the spot
+        this.desired.sub(heli.position);
+        const speed = heli.userData.speed * Math.min(1, this.desired.length() / 20);
+        this.desired.setLength(speed).sub(ai.velocity).clampLength(0, settings.acceleration);
+        ai.velocity.add(this.desired).clampLength(0, heli.userData.speed);
+        heli.position.add(ai.velocity);
+
+        // Face the UFO when engaging, otherwise the direction of travel
+        let wantedYaw = ai.yaw;
+        if (ai.state === this.states.ENGAGE) {
+            wantedYaw = Math.atan2(-(context.target.z - heli.position.z), context.target.x - heli.position.x);
+        } else if (ai.velocity.lengthSq() > 0.0001) {
+            wantedYaw = Math.atan2(-ai.velocity.z, ai.velocity.x);
+        }
+        let turn = wantedYaw - ai.yaw;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        ai.yaw += THREE.MathUtils.clamp(turn, -settings.turnRate, settings.turnRate);
+
+        this.orient(heli);
+    }
+
+    /**
+     * Check whether a helicopter is lined up to shoot at a point
+     * @param {THREE.Object3D} heli - The helicopter
+     * @param {THREE.Vector3} point - The target position
+     * @returns {boolean} True if the helicopter may fire
+     */
+    canFire(heli, point) {
+        const ai = heli.userData.ai;
+        if (ai.state !== this.states.ENGAGE) return false;
+        if (heli.position.distanceTo(point) > this.settings.fireRange) return false;
+
+        let error = Math.atan2(-(point.z - heli.position.z), point.x - heli.position.x) - ai.yaw;
+        error = Math.abs(Math.atan2(Math.sin(error), Math.cos(error)));
+        return error < this.settings.fireAngle;
+    }
+
+    /**
+     * Point the helicopter along its yaw, tilted by its velocity, and spin the
+     * rotors. Helicopters face along local +X like jets.
+     * @param {THREE.Object3D} heli - The helicopter
+     */
+    orient(heli) {
+        const ai = heli.userData.ai;
+
+        // Velocity in the helicopter's frame: forward speed tips the nose down,
+        // sideways speed rolls it
+        const cos = Math.cos(ai.yaw);
+        const sin = Math.sin(ai.yaw);
+        const forward = ai.velocity.x * cos - ai.velocity.z * sin;
+        const right = ai.velocity.x * sin + ai.velocity.z * cos;
+
+        heli.rotation.order = 'YZX';
+        heli.rotation.set(right * 1.5, ai.yaw, -forward * 1.5);
+
+        if (heli.userData.rotor) {
+            heli.userData.rotor.rotation.y += 0.6;
+        }
+        if (heli.userData.tailRotor) {
+            heli.userData.tailRotor.rotation.z += 0.8;
+        }
+    }
+}
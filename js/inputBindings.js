@@ -0,0 +1,292 @@
+/**
+ * Input Bindings for Retro UFO Game
+ * Maps keyboard keys to game actions, with rebinding and persistence
+ */
+
+class InputBindings {
+    constructor() {
+        // Actions, their display names and default keys (KeyboardEvent.code)
+        this.actions = {
+            moveForward: { label: 'Move Forward', defaults: ['ArrowUp'] },
+            moveBack: { label: 'Move Back', defaults: ['ArrowDown'] },
+            moveLeft: { label: 'Move Left', defaults: ['ArrowLeft'] },
+            moveRight: { label: 'Move Right', defaults: ['ArrowRight'] },
+            ascend: { label: 'Ascend', defaults: ['Space'] },
+            descend: { label: 'Descend', defaults: ['ShiftLeft', 'ShiftRight'] },
+            beam: { label: 'Tractor Beam', defaults: ['KeyE'] },
+            fire: { label: 'Fire', defaults: ['KeyF'] },
+            pause: { label: 'Pause', defaults: ['KeyP'] },
+            mute: { label: 'Mute', defaults: ['KeyM'] },
+            debug: { label: 'Debug Stats', defaults: ['Backquote'] }
+        };
+
+        // Current bindings (action -> array of key codes)
+        this.bindings = this.loadBindings();
+
+        // Currently held keys
+        this.pressed = new Set();
+
+        // Listeners for single-press actions (pause, mute, debug)
+        this.actionListeners = {};
+
+        // Listeners notified when bindings change
+        this.changeListeners = [];
+
+        // Pending rebind capture
+        this.capture = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up keyboard event listeners
+     */
+    setupEventListeners() {
+        document.addEventListener('keydown', (event) => {
+            // Rebinding swallows the next key press
+            if (this.capture) {
+                event.preventDefault();
+                this.finishCapture(event.code);
+                return;
+            }
+
+            // Ignore typing in text fields (e.g. the seed input)
+            if (event.target.tagName === 'INPUT') return;
+
+            const wasPressed = this.pressed.has(event.code);
+            this.pressed.add(event.code);
+
+            // Fire single-press actions once per key press
+            if (!wasPressed) {
+                this.getActionsForKey(event.code).forEach(action => this.emit(action));
+            }
+        });
+
+        document.addEventListener('keyup', (event) => {
+            this.pressed.delete(event.code);
+        });
+
+        // Release everything when the window loses focus
+        window.addEventListener('blur', () => this.pressed.clear());
+    }
+
+    /**
+     * Check if any key bound to an action is held
+     * @param {string} action - Action name
+     * @returns {boolean} True if the action is active
+     */
+    isActive(action) {
+        return this.bindings[action].some(code => this.pressed.has(code));
+    }
+
+    /**
+     * Register a callback for when an action's key is pressed
+     * @param {string} action - Action name
+     * @param {Function} callback - Callback function
+     */
+    onAction(action, callback) {
+        if (!this.actionListeners[action]) {
+            this.actionListeners[action] = [];
+        }
+        this.actionListeners[action].push(callback);
+    }
+
+    /**
+     * Register a callback for when bindings change
+     * @param {Function} callback - Callback function
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    /**
+     * Notify listeners of an action press
+     * @param {string} action - Action name
+     */
+    emit(action) {
+        (this.actionListeners[action] || []).forEach(callback => callback());
+    }
+
+    /**
+     * Get the actions a key is bound to
+     * @param {string} code - Key code
+     * @returns {string[]} Action names
+     */
+    getActionsForKey(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
+    }
+
+    /**
+     * Bind a key to an action, replacing its current keys.
+     * If the key is used by other actions, they take this action's old key in
+     * its place (keeping their other keys) so no action is ever left unbound.
+     * @param {string} action - Action name
+     * @param {string} code - Key code
+     * @returns {string|null} The action the binding was swapped with, if any
+     */
+    rebind(action, code) {
+        const conflicts = this.getActionsForKey(code).filter(other => other !== action);
+        const oldKey = this.bindings[action].find(key => key !== code) || null;
+
+        conflicts.forEach(other => {
+            const keys = this.bindings[other].filter(key => key !== code);
+            if (oldKey && !keys.includes(oldKey)) {
+                keys.splice(this.bindings[other].indexOf(code), 0, oldKey);
+            }
+            if (keys.length > 0) {
+                this.bindings[other] = keys;
+            }
+        });
+        this.bindings[action] = [code];
+
+        this.saveBindings();
+        this.notifyChange();
+
+        return conflicts[0] || null;
+    }
+
+    /**
+     * Wait for the next key press and bind it to an action
+     * @param {string} action - Action name
+     * @param {Function} onComplete - Called with (code, conflict); code is null if cancelled
+     */
+    startCapture(action, onComplete) {
+        this.pressed.clear();
+        this.capture = { action, onComplete };
+    }
+
+    /**
+     * Complete a pending capture
+     * @param {string} code - Captured key code
+     */
+    finishCapture(code) {
+        const { action, onComplete } = this.capture;
+        this.capture = null;
+
+        // Escape cancels rebinding
+        if (code === 'Escape') {
+            onComplete(null, null);
+            return;
+        }
+
+        const conflict = this.rebind(action, code);
+        onComplete(code, conflict);
+    }
+
+    /**
+     * Cancel a pending capture
+     */
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    /**
+     * Restore default bindings
+     */
+    resetToDefaults() {
+        this.bindings = this.getDefaultBindings();
+        this.saveBindings();
+        this.notifyChange();
+    }
+
+    /**
+     * Notify listeners that bindings changed
+     */
+    notifyChange() {
+        this.changeListeners.forEach(callback => callback());
+    }
+
+    /**
+     * Get the default bindings
+     * @returns {Object} Action -> key codes
+     */
+    getDefaultBindings() {
+        const bindings = {};
+        Object.keys(this.actions).forEach(action => {
+            bindings[action] = this.actions[action].defaults.slice();
+        });
+        return bindings;
+    }
+
+    /**
+     * Load bindings from localStorage (falling back to defaults per action)
+     * @returns {Object} Action -> key codes
+     */
+    loadBindings() {
+        const bindings = this.getDefaultBindings();
+        const saved = localStorage.getItem('ufoGameBindings');
+
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            Object.keys(bindings).forEach(action => {
+                if (Array.isArray(parsed[action]) && parsed[action].length > 0) {
+                    bindings[action] = parsed[action];
+                }
+            });
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Save bindings to localStorage
+     */
+    saveBindings() {
+        localStorage.setItem('ufoGameBindings', JSON.stringify(this.bindings));
+    }
+
+    /**
+     * Get a readable name for a key code
+     * @param {string} code - Key code
+     * @returns {string} Key name
+     */
+    getKeyName(code) {
+        const names = {
+            ArrowUp: 'Up',
+            ArrowDown: 'Down',
+            ArrowLeft: 'Left',
+            ArrowRight: 'Right',
+            ShiftLeft: 'Shift',
+            ShiftRight: 'Shift',
+            ControlLeft: 'Ctrl',
+            ControlRight: 'Ctrl',
+            AltLeft: 'Alt',
+            AltRight: 'Alt',
+            Space: 'Space',
+            Enter: 'Enter',
+            Tab: 'Tab',
+            Backquote: '`'
+        };
+
+        if (names[code]) return names[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+        return code;
+    }
+
+    /**
+     * Describe the keys bound to an action
+     * @param {string} action - Action name
+     * @returns {string} e.g. "Shift" or "E / Q"
+     */
+    describe(action) {
+        const names = this.bindings[action].map(code => this.getKeyName(code));
+        return [...new Set(names)].join(' / ');
+    }
+
+    /**
+     * Describe the movement keys
+     * @returns {string} "Arrow Keys" for the default layout, otherwise each key
+     */
+    describeMovement() {
+        const moveActions = ['moveForward', 'moveLeft', 'moveBack', 'moveRight'];
+        const isArrows = moveActions.every(action =>
+            this.bindings[action].length === 1 &&
+            this.bindings[action][0] === this.actions[action].defaults[0]
+        );
+
+        if (isArrows) return 'Arrow Keys';
+        return moveActions.map(action => this.describe(action)).join('/');
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Instanced Renderer for Retro UFO Game
+ * Draws many copies of a model with one InstancedMesh per model part
+ */
+
+class InstancedRenderer {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Batches by model name
+        this.batches = {};
+
+        // Batch entries for each object (an object may have several, e.g. cow spots)
+        this.objectEntries = new Map();
+
+        // Reusable matrices
+        this.objectMatrix = new THREE.Matrix4();
+        this.instanceMatrix = new THREE.Matrix4();
+    }
+
+    /**
+     * Register a model to draw instanced. Every mesh in the template becomes one
+     * InstancedMesh, keeping its transform relative to the template.
+     * @param {string} name - Batch name
+     * @param {THREE.Object3D} template - Model at the origin
+     * @param {number} capacity - Initial instance capacity (grows as needed)
+     */
+    registerModel(name, template, capacity = 256) {
+        if (this.batches[name]) {
+            this.unregisterModel(name);
+        }
+
+        template.updateMatrixWorld(true);
+
+        const parts = [];
+        template.traverse(child => {
+            if (child.isMesh) {
+                parts.push({
+                    geometry: child.geometry,
+                    material: child.material,
+                    matrix: child.matrixWorld.clone(),
+                    castShadow: child.castShadow,
+                    receiveShadow: child.receiveShadow,
+                    mesh: null
+                });
+            }
+        });
+
+        this.batches[name] = {
+            name: name,
+            parts: parts,
+            entries: [],
+            capacity: 0
+        };
+
+        this.createMeshes(this.batches[name], capacity);
+    }
+
+    /**
+     * Remove a batch and its instances
+     * @param {string} name - Batch name
+     */
+    unregisterModel(name) {
+        const batch = this.batches[name];
+
+        batch.entries.slice().forEach(entry => this.remove(entry.object));
+        this.removeMeshes(batch);
+        delete this.batches[name];
+    }
+
+    /**
+     * Create the instanced meshes for a batch
+     * @param {Object} batch - The batch
+     * @param {number} capacity - Maximum instances
+     */
+    createMeshes(batch, capacity) {
+        batch.capacity = capacity;
+
+        batch.parts.forEach(part => {
+            const mesh = new THREE.InstancedMesh(part.geometry, part.material, capacity);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.castShadow = part.castShadow;
+            mesh.receiveShadow = part.receiveShadow;
+            mesh.count = 0;
+
+            // Instances are spread over the world, so the geometry's bounds don't apply
+            mesh.frustumCulled = false;
+
+            part.mesh = mesh;
+            this.scene.add(mesh);
+        });
+    }
+
+    /**
+     * Remove a batch's instanced meshes (shared geometry and materials are kept)
+     * @param {Object} batch - The batch
+     */
+    removeMeshes(batch) {
+        batch.parts.forEach(part => {
+            this.scene.remove(part.mesh);
+            part.mesh.dispose();
+            part.mesh = null;
+        });
+    }
+
+    /**
+     * Add an object to a batch. The object is a plain Object3D that game logic
+     * moves around; it is drawn as an instance and never added to the scene.
+     * @param {string} name - Batch name
+     * @param {THREE.Object3D} object - The object
+     * @param {THREE.Matrix4} localMatrix - Optional offset from the object (e.g. a cow spot)
+     * @returns {THREE.Object3D} The object
+     */
+    add(name, object, localMatrix = null) {
+        const batch = this.batches[name];
+        const entry = {
+            batch: batch,
+            object: object,
+            matrix: localMatrix
+        };
+
+        batch.entries.push(entry);
+
+        if (!this.objectEntries.has(object)) {
+            this.objectEntries.set(object, []);
+        }
+        this.objectEntries.get(object).push(entry);
+
+        // Grow the instanced meshes when full
+        if (batch.entries.length > batch.capacity) {
+            this.removeMeshes(batch);
+            this.createMeshes(batch, batch.capacity * 2);
+        }
+
+        return object;
+    }
+
+    /**
+     * Remove an object (and all its entries) from the batches
+     * @param {THREE.Object3D} object - The object
+     */
+    remove(object) {
+        const entries = this.objectEntries.get(object);
+        if (!entries) return;
+
+        entries.forEach(entry => {
+            const list = entry.batch.entries;
+            const index = list.indexOf(entry);
+
+            // Swap with the last entry so removal doesn't shift the list
+            list[index] = list[list.length - 1];
+            list.pop();
+        });
+
+        this.objectEntries.delete(object);
+    }
+
+    /**
+     * Copy object transforms into the instanced meshes (call before rendering)
+     */
+    update() {
+        Object.values(this.batches).forEach(batch => {
+            let count = 0;
+
+            batch.entries.forEach(entry => {
+                const object = entry.object;
+                if (!object.visible) return;
+
+                object.updateMatrix();
+                this.objectMatrix.copy(object.matrix);
+                if (entry.matrix) {
+                    this.objectMatrix.multiply(entry.matrix);
+                }
+
+                batch.parts.forEach(part => {
+                    this.instanceMatrix.multiplyMatrices(this.objectMatrix, part.matrix);
+                    part.mesh.setMatrixAt(count, this.instanceMatrix);
+                });
+                count++;
+            });
+
+            batch.parts.forEach(part => {
+                part.mesh.count = count;
+                part.mesh.instanceMatrix.needsUpdate = true;
+            });
+        });
+    }
+
+    /**
+     * Get the number of objects drawn by a batch
+     * @param {string} name - Batch name
+     * @returns {number} Instance count
+     */
+    getInstanceCount(name) {
+        return this.batches[name] ? this.batches[name].entries.length : 0;
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Jet AI for Retro UFO Game
+ * Flies jets with steering behaviours and an attack-pass state machine
+ */
+
+class JetAI {
+    constructor(settings = {}) {
+        // AI states
+        this.states = {
+            PATROL: 'patrol',
+            PURSUE: 'pursue',
+            STRAFE: 'strafe',
+            BREAK_OFF: 'breakOff',
+            REGROUP: 'regroup'
+        };
+
+        // AI settings (distances in units, times in ticks)
+        this.settings = {
+            maxForce: settings.maxForce || 0.012,          // steering acceleration per tick
+            minSpeedFactor: settings.minSpeedFactor || 0.6, // jets can't hover
+            detectRange: settings.detectRange || 160,      // patrol -> pursue
+            attackRange: settings.attackRange || 80,       // pursue -> strafing run
+            attackAngle: settings.attackAngle || Math.PI / 6,
+            fireRange: settings.fireRange || 120,
+            fireAngle: settings.fireAngle || Math.PI / 8,
+            breakDistance: settings.breakDistance || 15,   // strafing run -> break off
+            strafeTime: settings.strafeTime || 240,
+            breakTime: settings.breakTime || 90,
+            regroupDistance: settings.regroupDistance || 90,
+            regroupTime: settings.regroupTime || 240,
+            patrolRadius: settings.patrolRadius || 100,
+            separationRadius: settings.separationRadius || 12,
+            lookAhead: settings.lookAhead || 40,           // ticks ahead to check the terrain
+            minAltitude: settings.minAltitude || 8,
+            maxBank: settings.maxBank || Math.PI / 3
+        };
+
+        // Steering behaviour weights
+        this.weights = {
+            seek: 1,
+            separation: 1.5,
+            terrain: 3
+        };
+
+        // Reusable vectors
+        this.steering = new THREE.Vector3();
+        this.force = new THREE.Vector3();
+        this.offset = new THREE.Vector3();
+        this.ahead = new THREE.Vector3();
+    }
+
+    /**
+     * Give a newly spawned jet its AI state, heading for the target
+     * @param {THREE.Object3D} jet - The jet (positioned)
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    reset(jet, context) {
+        const velocity = new THREE.Vector3().subVectors(context.target, jet.position);
+        velocity.y = 0;
+        velocity.normalize().multiplyScalar(jet.userData.speed);
+
+        jet.userData.ai = {
+            state: this.states.PURSUE,
+            timer: 0,
+            velocity: velocity,
+            waypoint: new THREE.Vector3(),
+            bank: 0
+        };
+        this.orient(jet);
+    }
+
+    /**
+     * Advance a jet's AI by one tick
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    update(jet, context) {
+        const ai = jet.userData.ai;
+        ai.timer++;
+
+        this.updateState(jet, context);
+
+        // Blend the steering behaviours for the current state
+        this.steering.set(0, 0, 0);
+        if (ai.state === this.states.PATROL || ai.state === this.states.REGROUP) {
+            this.arrive(jet, ai.waypoint, 40, this.force);
+        } else if (ai.state === this.states.BREAK_OFF) {
+            this.seek(jet, ai.waypoint, this.force);
+        } else {
+            this.seek(jet, context.target, this.force);
+        }
+        this.steering.addScaledVector(this.force, this.weights.seek);
+
+        this.separation(jet, context.enemies, this.force);
+        this.steering.addScaledVector(this.force, this.weights.separation);
+
+        this.avoidTerrain(jet, context.getHeightAt, this.force);
+        this.steering.addScaledVector(this.force, this.weights.terrain);
+
+        // Apply the steering force, keeping speed between the jet's min and max
+        const previousHeading = Math.atan2(ai.velocity.x, ai.velocity.z);
+        this.steering.clampLength(0, this.settings.maxForce);
+        ai.velocity.add(this.steering);
+        ai.velocity.clampLength(jet.userData.speed * this.settings.minSpeedFactor, jet.userData.speed);
+
+        jet.position.add(ai.velocity);
+
+        // Bank into turns
+        let turn = Math.atan2(ai.velocity.x, ai.velocity.z) - previousHeading;
+        if (turn > Math.PI) turn -= Math.PI * 2;
+        if (turn < -Math.PI) turn += Math.PI * 2;
+        const targetBank = THREE.MathUtils.clamp(turn * 40, -this.settings.maxBank, this.settings.maxBank);
+        ai.bank += (targetBank - ai.bank) * 0.1;
+
+        this.orient(jet);
+    }
+
+    /**
+     * Switch states when a state's exit condition is met
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    updateState(jet, context) {
+        const ai = jet.userData.ai;
+        const distance = jet.position.distanceTo(context.target);
+
+        switch (ai.state) {
+            case this.states.PATROL:
+                if (distance < this.settings.detectRange) {
+                    this.setState(jet, this.states.PURSUE);
+                } else if (jet.position.distanceTo(ai.waypoint) < 20) {
+                    this.pickPatrolPoint(jet, context);
+                }
+                break;
+
+            case this.states.PURSUE:
+                if (distance < this.settings.attackRange && this.getAimAngle(jet, context.target) < this.settings.attackAngle) {
+                    this.setState(jet, this.states.STRAFE);
+                } else if (distance > this.settings.detectRange * 1.5) {
+                    this.setState(jet, this.states.PATROL);
+                    this.pickPatrolPoint(jet, context);
+                }
+                break;
+
+            case this.states.STRAFE:
+                if (distance < this.settings.breakDistance || ai.timer > this.settings.strafeTime) {
+                    this.setState(jet, this.states.BREAK_OFF);
+                    this.pickBreakPoint(jet, context);
+                }
+                break;
+
+            case this.states.BREAK_OFF:
+                if (ai.timer > this.settings.breakTime) {
+                    this.setState(jet, this.states.REGROUP);
+                    this.pickRegroupPoint(jet, context);
+                }
+                break;
+
+            case this.states.REGROUP:
+                if (jet.position.distanceTo(ai.waypoint) < 20 || ai.timer > this.settings.regroupTime) {
+                    this.setState(jet, this.states.PURSUE);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Change a jet's state
+     * @param {THREE.Object3D} jet - The jet
+     * @param {string} state - New state
+     */
+    setState(jet, state) {
+        jet.userData.ai.state = state;
+        jet.userData.ai.timer = 0;
+    }
+
+    /**
+     * Pick a patrol point on a circle around the target
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Object} context - {target, rng}
+     */
+    pickPatrolPoint(jet, context) {
+        const angle = context.rng.next() * Math.PI * 2;
+        jet.userData.ai.waypoint.set(
+            context.target.x + Math.cos(angle) * this.settings.patrolRadius,
+            context.target.y + 10,
+            context.target.z + Math.sin(angle) * this.settings.patrolRadius
+        );
+    }
+
+    /**
+     * Pick a point to climb away to, turning left or right past the target
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Object} context - {target, rng}
+     */
+    pickBreakPoint(jet, context) {
+        const ai = jet.userData.ai;
+        const side = context.rng.next() < 0.5 ? -1 : 1;
+
+        // Forward and to one side, climbing
+        this.offset.set(-ai.velocity.z * side, 0, ai.velocity.x * side).normalize();
+        ai.waypoint.copy(jet.position)
+            .addScaledVector(ai.velocity.clone().normalize(), 60)
+            .addScaledVector(this.offset, 40);
+        ai.waypoint.y += 25;
+    }
+
+    /**
+     * Pick a point away from the target to line up the next pass from
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Object} context - {target, rng}
+     */
+    pickRegroupPoint(jet, context) {
+        const ai = jet.userData.ai;
+
+        // Keep to the side of the target the jet is on, with some variation
+        this.offset.subVectors(jet.position, context.target);
+        const angle = Math.atan2(this.offset.z, this.offset.x) + (context.rng.next() - 0.5) * Math.PI / 2;
+        ai.waypoint.set(
+            context.target.x + Math.cos(angle) * this.settings.regroupDistance,
+            context.target.y + 15,
+            context.target.z + Math.sin(angle) * this.settings.regroupDistance
+        );
+    }
+
+    /**
+     * Seek: steer toward a point at full speed
+     * @param {THREE.Object3D} jet - The jet
+     * @param {THREE.Vector3} point - Point to seek
+     * @param {THREE.Vector3} out - Steering force (written)
+     * @returns {THREE.Vector3} The steering force
+     */
+    seek(jet, point, out) {
+        out.subVectors(point, jet.position).setLength(jet.userData.speed);
+        return out.sub(jet.userData.ai.velocity);
+    }
+
+    /**
+     * Arrive: seek, slowing down inside the slowing radius
+     * @param {THREE.Object3D} jet - The jet
+     * @param {THREE.Vector3} point - Point to arrive at
+     * @param {number} slowRadius - Distance at which to start slowing
+     * @param {THREE.Vector3} out - Steering force (written)
+     * @returns {THREE.Vector3} The steering force
+     */
+    arrive(jet, point, slowRadius, out) {
+        out.subVectors(point, jet.position);
+        const distance = out.length();
+        const speed = jet.userData.speed * Math.min(1, distance / slowRadius);
+        out.setLength(speed);
+        return out.sub(jet.userData.ai.velocity);
+    }
+
+    /**
+     * Separation: steer away from nearby aircraft so they don't pile up
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Array} others - Every enemy
+     * @param {THREE.Vector3} out - Steering force (written)
+     * @returns {THREE.Vector3} The steering force
+     */
+    separation(jet, others, out) {
+        out.set(0, 0, 0);
+
+        others.forEach(other => {
+            if (other === jet) return;
+
+            this.offset.subVectors(jet.position, other.position);
+            const distance = this.offset.length();
+            if (distance > 0 && distance < this.settings.separationRadius) {
+                // Closer jets push harder
+                out.addScaledVector(this.offset.normalize(), 1 - distance / this.settings.separationRadius);
+            }
+        });
+
+        if (out.lengthSq() > 0) {
+            out.setLength(jet.userData.speed);
+        }
+        return out;
+    }
+
+    /**
+     * Obstacle avoidance: pull up when the flight path ahead runs into the terrain
+     * @param {THREE.Object3D} jet - The jet
+     * @param {Function} getHeightAt - Ground height at (x, z)
+     * @param {THREE.Vector3} out - Steering force (written)
+     * @returns {THREE.Vector3} The steering force
+     */
+    avoidTerrain(jet, getHeightAt, out) {
+        out.set(0, 0, 0);
+
+        // Check the ground below the jet and at two points along its path
+        const velocity = jet.userData.ai.velocity;
+        for (let step = 0; step <= 2; step++) {
+            this.ahead.copy(jet.position).addScaledVector(velocity, this.settings.lookAhead * step / 2);
+            const clearance = this.ahead.y - getHeightAt(this.ahead.x, this.ahead.z);
+            const wanted = this.settings.minAltitude * 2;
+
+            if (clearance < wanted) {
+                out.y = Math.max(out.y, (wanted - clearance) / wanted * jet.userData.speed);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Get the angle between a jet's heading and the direction to a point
+     * @param {THREE.Object3D} jet - The jet
+     * @param {THREE.Vector3} point - The point
+     * @returns {number} Angle in radians
+     */
+    getAimAngle(jet, point) {
+        this.offset.subVectors(point, jet.position);
+        return jet.userData.ai.velocity.angleTo(this.offset);
+    }
+
+    /**
+     * Check whether a jet is lined up to shoot at a point
+     * @param {THREE.Object3D} jet - The jet
+     * @param {THREE.Vector3} point - The target position
+     * @returns {boolean} True if the jet may fire
+     */
+    canFire(jet, point) {
+        const state = jet.userData.ai.state;
+        if (state !== this.states.PURSUE && state !== this.states.STRAFE) return false;
+
+        return jet.position.distanceTo(point) < this.settings.fireRange &&
+            this.getAimAngle(jet, point) < this.settings.fireAngle;
+    }
+
+    /**
+     * Point a jet along its velocity, banked into its turn. Jets fly nose-first
+     * along local +X (the procedural model's forward axis).
+     * @param {THREE.Object3D} jet - The jet
+     */
+    orient(jet) {
+        const ai = jet.userData.ai;
+        const velocity = ai.velocity;
+        const horizontal = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+
+        jet.rotation.order = 'YZX'; // heading, then pitch, then roll
+        jet.rotation.set(
+            ai.bank,
+            Math.atan2(-velocity.z, velocity.x),
+            Math.atan2(velocity.y, horizontal)
+        );
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Level Manager for Retro UFO Game
+ * Data-defined classic mode levels: herd size, enemy mix, spawn schedule and time limit
+ */
+
+/**
+ * Level definition:
+ * {
+ *   name: 'First Contact',
+ *   cows: 8,                      // herd to clear
+ *   enemies: { jet: 1 },          // spawn weight per enemy type (missing types never spawn)
+ *   spawn: {
+ *     delay: 4000,                // milliseconds before the first enemy
+ *     interval: 6000,             // milliseconds between spawns
+ *     min: 2000,                  // fastest spawn interval
+ *     speedup: 0.05               // fraction the interval shrinks per cow abducted
+ *   },
+ *   timeLimit: 150                // seconds to clear the herd (0 = no limit)
+ * }
+ */
+class LevelManager {
+    constructor() {
+        // Classic mode levels, played in order
+        this.levels = [
+            {
+                name: 'First Contact',
+                cows: 8,
+                enemies: { jet: 1 },
+                spawn: { delay: 4000, interval: 6000, min: 2500, speedup: 0.05 },
+                timeLimit: 150
+            },
+            {
+                name: 'Air Patrol',
+                cows: 10,
+                enemies: { jet: 4, helicopter: 1 },
+                spawn: { delay: 3000, interval: 5500, min: 2000, speedup: 0.07 },
+                timeLimit: 165
+            },
+            {
+                name: 'Ground Defenses',
+                cows: 12,
+                enemies: { jet: 4, helicopter: 1, turret: 2 },
+                spawn: { delay: 3000, interval: 5000, min: 1500, speedup: 0.08 },
+                timeLimit: 180
+            },
+            {
+                name: 'Angry Farmers',
+                cows: 15,
+                enemies: { jet: 6, helicopter: 1, turret: 1, farmer: 2 },
+                spawn: { delay: 2000, interval: 5000, min: 1000, speedup: 0.1 },
+                timeLimit: 200
+            },
+            {
+                name: 'Full Invasion',
+                cows: 18,
+                enemies: { jet: 5, helicopter: 2, turret: 2, farmer: 2 },
+                spawn: { delay: 2000, interval: 4500, min: 1000, speedup: 0.1 },
+                timeLimit: 220
+            }
+        ];
+
+        // Levels past the end of the table repeat the last one, a little harder each time
+        this.endless = {
+            cows: 2,                // extra cows per level
+            interval: 0.9,          // spawn interval multiplier per level
+            minInterval: 600        // floor for the scaled spawn intervals
+        };
+
+        // Free roam has no levels, only a spawn schedule that speeds up as cows are taken
+        this.freeRoam = {
+            name: 'Free Roam',
+            enemies: null,          // every type at its own spawn weight
+            spawn: { delay: 5000, interval: 5000, min: 1000, speedup: 0.1 }
+        };
+
+        // Time bonus for clearing a level early
+        this.bonusPerSecond = 10;
+
+        // Level state
+        this.index = 0;
+        this.startTime = 0;
+
+        // HUD element
+        this.element = this.createDisplay();
+    }
+
+    /**
+     * Create the level and timer display
+     * @returns {HTMLElement} The display element
+     */
+    createDisplay() {
+        const element = document.createElement('div');
+        element.id = 'level-display';
+        element.className = 'hidden';
+        element.innerHTML = `
+            <span class="level-number"></span>
+            <span class="level-timer"></span>
+            <span class="level-cows"></span>
+        `;
+
+        this.levelText = element.querySelector('.level-number');
+        this.timerText = element.querySelector('.level-timer');
+        this.cowsText = element.querySelector('.level-cows');
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Get a level definition
+     * @param {number} index - Level index (0 is the first level)
+     * @returns {Object} The level definition
+     */
+    getLevel(index = this.index) {
+        if (index < this.levels.length) {
+            return this.levels[index];
+        }
+
+        // Scale the last level for every level past the end of the table
+        const last = this.levels[this.levels.length - 1];
+        const extra = index - this.levels.length + 1;
+        const scale = Math.pow(this.endless.interval, extra);
+        return {
+            ...last,
+            name: `${last.name} ${extra + 1}`,
+            cows: last.cows + this.endless.cows * extra,
+            spawn: {
+                ...last.spawn,
+                interval: Math.max(this.endless.minInterval, last.spawn.interval * scale),
+                min: Math.max(this.endless.minInterval, last.spawn.min * scale)
+            }
+        };
+    }
+
+    /**
+     * Start a level
+     * @param {number} index - Level index
+     * @param {number} time - Simulation time the level starts at (milliseconds)
+     * @returns {Object} The level definition
+     */
+    start(index, time) {
+        this.index = index;
+        this.startTime = time;
+        return this.getLevel();
+    }
+
+    /**
+     * Get how long the current level has been running
+     * @param {number} time - Current simulation time (milliseconds)
+     * @returns {number} Elapsed milliseconds
+     */
+    getElapsed(time) {
+        return time - this.startTime;
+    }
+
+    /**
+     * Get the time left to clear the current level
+     * @param {number} time - Current simulation time (milliseconds)
+     * @returns {number} Milliseconds left (Infinity if the level has no limit)
+     */
+    getTimeLeft(time) {
+        const limit = this.getLevel().timeLimit;
+        if (!limit) return Infinity;
+        return Math.max(0, limit * 1000 - this.getElapsed(time));
+    }
+
+    /**
+     * Get the score bonus for the time left on the clock
+     * @param {number} time - Current simulation time (milliseconds)
+     * @returns {number} Bonus points
+     */
+    getTimeBonus(time) {
+        const timeLeft = this.getTimeLeft(time);
+        if (timeLeft === Infinity) return 0;
+        return Math.floor(timeLeft / 1000) * this.bonusPerSecond;
+    }
+
+    /**
+     * Format milliseconds as m:ss
+     * @param {number} ms - Milliseconds
+     * @returns {string} Formatted time
+     */
+    formatTime(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Update the level and timer display
+     * @param {number} time - Current simulation time (milliseconds)
+     * @param {number} cowsLeft - Abductees still in the herd
+     */
+    updateDisplay(time, cowsLeft) {
+        const timeLeft = this.getTimeLeft(time);
+
+        this.levelText.textContent = `Level ${this.index + 1}`;
+        this.timerText.textContent = timeLeft === Infinity ? '' : this.formatTime(timeLeft);
+        this.cowsText.textContent = `Herd: ${cowsLeft}`;
+        this.element.classList.toggle('warning', timeLeft < 30000);
+    }
+
+    /**
+     * Show or hide the display (only while playing classic mode)
+     * @param {boolean} visible - Whether the display should be visible
+     */
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+    }
+}
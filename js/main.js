@@ -13,52 +13,79 @@ let health = 3;
 // Game objects
 let ufo;
 let terrain;
+let terrainGenerator;
 let skybox;
-let cows = [];
-let jets = [];
-let missiles = [];
+let cows = []; // the herd: cows plus the other abductees (sheep, pigs, chickens, tractors, farmhands)
+let enemies = []; // jets, helicopters, turrets and farmers
+let missiles = []; // enemy projectiles (missiles and cannon shells)
+let flares = []; // decoys dropped by jets
 let tractorBeam;
 let explosions = [];
+let scenery = [];
+let abductedCows = new Set(); // free roam cows abducted this run (not respawned with their chunk)
 
 // Physics and movement
 let velocity = new THREE.Vector3(0, 0, 0);
 let acceleration = new THREE.Vector3(0, 0, 0);
-const MAX_SPEED = 0.5;
-const ACCELERATION = 0.01;
-const DECELERATION = 0.98;
-const HOVER_SPEED = 0.005;
-const HOVER_HEIGHT = 0.1;
 let hoverDirection = 1;
 let hoverOffset = 0;
 
+// Tuning defaults, overridden by config/game.json (see GameConfig for the schema)
+const DEFAULT_CONFIG = {
+    world: {
+        bounds: 200 // classic mode walls at +/- bounds
+    },
+    ufo: {
+        maxSpeed: 0.5,
+        acceleration: 0.01,
+        deceleration: 0.98,
+        hoverSpeed: 0.005,
+        hoverHeight: 0.1,
+        minAltitude: 5 // minimum height above the ground
+    },
+    beam: {
+        range: 10,
+        strength: 0.05
+    },
+    enemies: {
+        jetSpeed: 0.3,
+        minAltitude: 8 // aircraft pull up below this height above the ground
+    }
+};
+let config = DEFAULT_CONFIG;
+
 // Game settings
-const GAME_BOUNDS = 200;
-const COW_COUNT = 15;
-const BEAM_RANGE = 10;
-const BEAM_STRENGTH = 0.05;
-const JET_SPEED = 0.3;
-const MISSILE_SPEED = 0.5;
-const SPAWN_INTERVAL_BASE = 5000; // milliseconds
-const SPAWN_INTERVAL_MIN = 1000; // minimum spawn interval
-const SPAWN_RATE_INCREASE = 0.1; // percentage increase per cow abducted
+const PLAY_AREA = { x: 0, z: 0, size: DEFAULT_CONFIG.world.bounds * 2 }; // classic mode area (sized from the config)
+const TREE_CANDIDATES = 1500; // scatter attempts per PLAY_AREA, kept by biome tree density
+const ROCK_CANDIDATES = 600; // scatter attempts per PLAY_AREA, kept by biome rock density
+const MISSILE_KILL_SCORE = 20;
+const WEAPON_AIM_RANGE = 120; // bolts lock onto targets this close...
+const WEAPON_AIM_ANGLE = Math.PI / 6; // ...and this far either side of the UFO's heading
 
-// Timers
-let lastJetSpawn = 0;
-let currentSpawnInterval = SPAWN_INTERVAL_BASE;
-let lastFrameTime = 0;
-
-// Controls
-const keys = {
-    ArrowUp: false,
-    ArrowDown: false,
-    ArrowLeft: false,
-    ArrowRight: false,
-    Space: false,
-    Shift: false,
-    KeyE: false, // Tractor beam
-    KeyM: false  // Mute
+// Terrain generator settings (the seed comes from the run seed)
+const TERRAIN_SETTINGS = {
+    scale: 0.004,
+    octaves: 5,
+    persistence: 0.5,
+    lacunarity: 2.0,
+    heightScale: 30
 };
 
+// Free roam settings (open world streamed in chunks around the UFO)
+const FREE_ROAM_SETTINGS = {
+    chunkSize: 100,
+    cowCandidates: 2, // cow spawn attempts per chunk, kept by biome grazing
+    fogNear: 200,
+    fogFar: 340 // just inside the loaded chunks
+};
+
+// Timers
+let lastEnemySpawn = 0;
+let currentSpawnInterval = 0; // set from the level's spawn schedule
+
+// Input state for the current tick (from the keyboard or a replay)
+let input = createEmptyInput();
+
 // Camera settings
 let cameraOffset = new THREE.Vector3(0, 5, 10);
 const CAMERA_LAG = 0.1;
@@ -69,6 +96,34 @@ let visualEffects;
 let gameStateManager;
 let particleSystem;
 let miniMap;
+let gameLoop;
+let assetManager;
+let random;
+let inputRecorder;
+let playerWeapon;
+let enemyWeapons;
+let enemyTypes;
+let abductees;
+let replayPlayer;
+let gamepadInput;
+let inputBindings;
+let touchControls;
+let instancedRenderer;
+let resourceCache;
+let debugStats;
+let levelManager;
+let gameConfig;
+let director;
+let cowAI;
+let abductionBeam;
+let powerUps;
+let scoreKeeper;
+
+// Pools for frequently spawned objects
+let missilePool;
+let shellPool;
+let flarePool;
+let explosionLightPool;
 
 // Engine exhaust emitters
 let engineExhaust;
@@ -97,12 +152,63 @@ function init() {
     // Initialize game managers
     initManagers();
     
+    // Load the tuning config, then build the world once models have loaded (or fallen back)
+    loadConfig(() => assetManager.preload(createWorld));
+}
+
+// Load config/game.json over the built-in tuning defaults
+function loadConfig(onComplete) {
+    const defaults = {
+        ...DEFAULT_CONFIG,
+        levels: levelManager.levels,
+        difficulties: gameStateManager.difficulties,
+        director: director.settings,
+        scoring: scoreKeeper.settings,
+        powerUps: { ...powerUps.settings, types: powerUps.types },
+        endless: levelManager.endless,
+        freeRoam: levelManager.freeRoam,
+        particles: particleSystem.particleTypes,
+        visualEffects: visualEffects.settings
+    };
+    
+    gameConfig.load('config/game.json', defaults, (values) => {
+        applyConfig(values);
+        onComplete();
+    });
+}
+
+// Hand the loaded config to the game and its managers
+function applyConfig(values) {
+    config = values;
+    PLAY_AREA.size = config.world.bounds * 2;
+    
+    levelManager.levels = config.levels;
+    levelManager.endless = config.endless;
+    levelManager.freeRoam = config.freeRoam;
+    particleSystem.particleTypes = config.particles;
+    gameStateManager.setDifficulties(config.difficulties);
+    director.settings = config.director;
+    scoreKeeper.settings = config.scoring;
+    const { types: powerUpTypes, ...powerUpSettings } = config.powerUps;
+    powerUps.settings = powerUpSettings;
+    powerUps.types = powerUpTypes;
+    visualEffects.settings = config.visualEffects;
+    
+    // Register enemy types again so they pick up the configured speeds
+    registerEnemyTypes();
+}
+
+// Create the game world and start the game loop
+function createWorld() {
     // Set up lights
     setupLights();
     
     // Create skybox
     createSkybox();
     
+    // Set up instanced scenery and cow models
+    registerInstancedModels();
+    
     // Create terrain
     createTerrain();
     
@@ -121,8 +227,8 @@ function init() {
     // Add event listeners
     window.addEventListener('resize', onWindowResize);
     
-    // Start the animation loop
-    animate(0);
+    // Start the fixed-timestep game loop
+    gameLoop.start();
 }
 
 // Initialize game managers
@@ -133,20 +239,127 @@ function initManagers() {
         console.log('Sound manager initialized');
     });
     
+    // Initialize asset manager
+    assetManager = new AssetManager();
+    
     // Initialize visual effects
     visualEffects = new VisualEffects(renderer, scene, camera);
     
+    // Initialize keyboard bindings
+    inputBindings = new InputBindings();
+    
+    // Initialize gamepad input
+    gamepadInput = new GamepadInput();
+    
     // Initialize game state manager
-    gameStateManager = new GameStateManager();
+    gameStateManager = new GameStateManager(inputBindings, gamepadInput);
     gameStateManager.init({
         onStartGame: startGame,
         onRestartGame: restartGame,
         onPauseGame: pauseGame,
-        onResumeGame: resumeGame
+        onResumeGame: resumeGame,
+        onStartReplay: startReplay,
+        onExportReplay: () => inputRecorder.exportFile(),
+        onImportReplay: importReplay,
+        onNextLevel: () => startLevel(levelManager.index + 1),
+        onGameOver: onGameOver
     });
     
+    // Listen for the gamepad Start button
+    gamepadInput.init({
+        onStartButton: onGamepadStart
+    });
+    
+    // Initialize touch controls (activate themselves on touch devices)
+    touchControls = new TouchControls();
+    touchControls.init({
+        onPause: () => gameStateManager.pauseGame()
+    });
+    
+    // Initialize input recording and replay playback
+    inputRecorder = new InputRecorder();
+    replayPlayer = new ReplayPlayer();
+    replayPlayer.init({
+        onSeek: seekReplay,
+        onSpeedChange: (speed) => { gameLoop.timeScale = speed; },
+        onExit: exitReplay
+    });
+    
+    // Initialize seeded random streams (reseeded for each run)
+    random = new RandomService();
+    
+    // Initialize shared geometry/material cache and instanced rendering
+    resourceCache = new ResourceCache();
+    instancedRenderer = new InstancedRenderer(scene);
+    
     // Initialize particle system
-    particleSystem = new ParticleSystem(scene);
+    particleSystem = new ParticleSystem(scene, random);
+    
+    // Initialize object pools (objects are built on first use)
+    missilePool = new ObjectPool(buildMissile);
+    shellPool = new ObjectPool(buildShell);
+    flarePool = new ObjectPool(buildFlare);
+    explosionLightPool = new ObjectPool(() => new THREE.PointLight(0xff5500, 5));
+    
+    // Initialize enemy weapon definitions and enemy types
+    enemyWeapons = new EnemyWeapons();
+    enemyTypes = new EnemyRegistry();
+    registerEnemyTypes();
+    
+    // Initialize the abductable types
+    abductees = new AbducteeRegistry();
+    registerAbductees();
+    
+    // Initialize the player's weapon
+    playerWeapon = new PlayerWeapon(scene);
+    playerWeapon.init({
+        onFire: (bolt) => {
+            particleSystem.createEmitter('sparkle', bolt.position, bolt.userData.velocity, {
+                oneShot: true,
+                color: 0x66ff66,
+                count: 8
+            });
+        }
+    });
+    
+    // Initialize classic mode levels
+    levelManager = new LevelManager();
+    
+    // Initialize the adaptive difficulty director
+    director = new DifficultyDirector();
+    
+    // Initialize cow behavior (grazing, herding and fleeing)
+    cowAI = new CowAI();
+    
+    // Initialize tractor beam energy and the struggle with caught cows
+    abductionBeam = new AbductionBeam();
+    
+    // Initialize power-up pickups and their effects
+    powerUps = new PowerUpManager(scene);
+    powerUps.init({
+        onCollect: collectPowerUp
+    });
+    
+    // Initialize combo scoring and score popups
+    scoreKeeper = new ScoreKeeper(gameStateManager);
+    
+    // Initialize the tuning config loader (it checks enemy mixes and difficulty presets by name)
+    gameConfig = new GameConfig({
+        enemyTypes: enemyTypes.getNames(),
+        difficulties: Object.keys(gameStateManager.difficulties)
+    });
+    
+    // Initialize the debug counter (toggled with the debug key)
+    debugStats = new DebugStats(renderer);
+    
+    // Initialize game loop (fixed-timestep simulation, interpolated rendering)
+    gameLoop = new GameLoop();
+    gameLoop.init({
+        onTick: updateGame,
+        onRender: renderGame,
+        isActive: () => gameStateManager.isGameActive(),
+        getInterpolatedObjects: () => [ufo, ...cows, ...enemies, ...missiles, ...flares, ...playerWeapon.bolts, ...powerUps.pickups]
+    });
     
     // Set up volume controls
     setupVolumeControls();
@@ -199,6 +412,7 @@ function setupLights() {
     lights.directional.shadow.camera.bottom = -100;
     
     scene.add(lights.directional);
+    scene.add(lights.directional.target);
 
     // Point light for the player's UFO
     lights.ufoLight = new THREE.PointLight(0x00ff00, 2, 10);
@@ -235,6 +449,7 @@ function createSkybox() {
     const skyMaterial = new THREE.MeshBasicMaterial({
         map: texture,
         side: THREE.BackSide, // Render on the inside of the sphere
+        fog: false
     });
     
     // Create the skybox mesh
@@ -242,120 +457,255 @@ function createSkybox() {
     scene.add(skybox);
 }
 
-// Create a procedural terrain
+// Move the sky and sunlight (with its shadow area) to be centered on a point
+function centerWorldOn(position) {
+    skybox.position.set(position.x, 0, position.z);
+    lights.directional.position.set(position.x + 100, 100, position.z + 50);
+    lights.directional.target.position.set(position.x, 0, position.z);
+}
+
+// Create the terrain
 function createTerrain() {
-    // Create a large plane for the ground
-    const terrainSize = 1000;
-    const terrainSegments = 100;
-    const terrainGeometry = new THREE.PlaneGeometry(
-        terrainSize, 
-        terrainSize, 
-        terrainSegments, 
-        terrainSegments
-    );
-    
-    // Apply height variations to create hills
-    const vertices = terrainGeometry.attributes.position.array;
-    for (let i = 0; i < vertices.length; i += 3) {
-        // Skip the y-coordinate (which is the height in this case)
-        if ((i + 1) % 3 === 0) {
-            // Apply Perlin-like noise for natural-looking terrain
-            const x = vertices[i - 1];
-            const z = vertices[i + 1];
-            
-            // Simple noise function (can be replaced with actual Perlin noise)
-            const frequency = 0.01;
-            const height = 10;
-            vertices[i] = Math.sin(x * frequency) * Math.cos(z * frequency) * height;
+    // Remove the previous run's ground
+    if (terrain) {
+        if (terrain.mesh) {
+            scene.remove(terrain.mesh);
         }
+        terrain.dispose();
     }
     
-    // Update the geometry after modifying vertices
-    terrainGeometry.computeVertexNormals();
-    
-    // Rotate the plane to be horizontal
-    terrainGeometry.rotateX(-Math.PI / 2);
-    
-    // Create a green material for the terrain
-    const terrainMaterial = new THREE.MeshStandardMaterial({
-        color: 0x33aa33,
-        flatShading: true,
-        side: THREE.DoubleSide
+    // Generate heights and biomes from the run seed
+    terrainGenerator = new TerrainGenerator({
+        ...TERRAIN_SETTINGS,
+        seed: `${random.seed}:terrain`
     });
+    const heightFunction = (x, z) => terrainGenerator.getHeight(x, z);
+    const colorFunction = (x, z, height) => terrainGenerator.getColor(x, z, height);
+    
+    if (gameStateManager.isFreeRoam()) {
+        // Stream chunks around the UFO, each bringing its own trees, rocks and cows
+        terrain = new ChunkedTerrain(scene, {
+            chunkSize: FREE_ROAM_SETTINGS.chunkSize,
+            heightFunction: heightFunction,
+            colorFunction: colorFunction
+        });
+        terrain.init({
+            onChunkLoad: populateChunk,
+            onChunkUnload: depopulateChunk
+        });
+        
+        // Load the chunks around the start position
+        terrain.update(new THREE.Vector3(0, 0, 0));
+        
+        // Fog hides chunks popping in at the edge of the world
+        scene.fog = new THREE.Fog(0x99ddff, FREE_ROAM_SETTINGS.fogNear, FREE_ROAM_SETTINGS.fogFar);
+        return;
+    }
     
-    // Create the terrain mesh
-    terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
-    terrain.receiveShadow = true;
-    scene.add(terrain);
+    // Build the ground mesh from its heightfield, colored by biome
+    terrain = new Terrain({
+        heightFunction: heightFunction,
+        colorFunction: colorFunction
+    });
+    scene.add(terrain.build());
+    scene.fog = null;
     
-    // Add some random trees and rocks for visual interest
+    // Add trees and rocks for visual interest
     addTerrainDetails();
 }
 
-// Add details to the terrain (trees, rocks)
-function addTerrainDetails() {
-    // Add trees
-    for (let i = 0; i < 100; i++) {
-        // Tree trunk (cylinder)
-        const trunkGeometry = new THREE.CylinderGeometry(0.5, 0.7, 2, 8);
-        const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        
-        // Tree top (cone)
-        const topGeometry = new THREE.ConeGeometry(2, 4, 8);
-        const topMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-        const top = new THREE.Mesh(topGeometry, topMaterial);
-        top.position.y = 3;
-        
-        // Combine trunk and top
-        const tree = new THREE.Group();
-        tree.add(trunk);
-        tree.add(top);
-        
-        // Position the tree randomly on the terrain
-        const x = Math.random() * 200 - 100;
-        const z = Math.random() * 200 - 100;
+// Pick a random point in a square area
+function randomPointInArea(rng, area) {
+    return {
+        x: area.x + (rng.next() - 0.5) * area.size,
+        z: area.z + (rng.next() - 0.5) * area.size
+    };
+}
+
+// Add details to the terrain (trees, rocks) over an area; returns the objects added
+function addTerrainDetails(rng = random.stream('world'), area = PLAY_AREA) {
+    const objects = [];
+    
+    // Scale the number of candidate spots to the area
+    const areaScale = (area.size * area.size) / (PLAY_AREA.size * PLAY_AREA.size);
+    
+    // Add trees, keeping each candidate spot by its biome's tree density
+    const treeCandidates = Math.round(TREE_CANDIDATES * areaScale);
+    for (let i = 0; i < treeCandidates; i++) {
+        const { x, z } = randomPointInArea(rng, area);
+        const y = terrain.getHeightAt(x, z);
         
-        // Find y position based on terrain height (simplified)
-        const y = Math.sin(x * 0.01) * Math.cos(z * 0.01) * 10;
+        if (rng.next() >= terrainGenerator.getBiome(x, z, y).treeDensity) continue;
         
+        // Place the tree on the ground (drawn by the instanced tree batch)
+        const tree = instancedRenderer.add('tree', new THREE.Object3D());
         tree.position.set(x, y, z);
-        tree.castShadow = true;
-        scene.add(tree);
+        scenery.push(tree);
+        objects.push(tree);
     }
     
-    // Add rocks
-    for (let i = 0; i < 50; i++) {
-        const rockGeometry = new THREE.DodecahedronGeometry(
-            Math.random() * 1.5 + 0.5, 
-            0
-        );
-        const rockMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x888888,
-            roughness: 0.8
-        });
-        const rock = new THREE.Mesh(rockGeometry, rockMaterial);
+    // Add rocks, keeping each candidate spot by its biome's rock density
+    const rockCandidates = Math.round(ROCK_CANDIDATES * areaScale);
+    for (let i = 0; i < rockCandidates; i++) {
+        const { x, z } = randomPointInArea(rng, area);
+        const y = terrain.getHeightAt(x, z);
+        
+        if (rng.next() >= terrainGenerator.getBiome(x, z, y).rockDensity) continue;
         
-        // Position the rock randomly
-        const x = Math.random() * 200 - 100;
-        const z = Math.random() * 200 - 100;
-        const y = Math.sin(x * 0.01) * Math.cos(z * 0.01) * 10;
+        const rockSize = rng.next() * 1.5 + 0.5;
+        const rock = instancedRenderer.add('rock', new THREE.Object3D());
+        rock.scale.setScalar(rockSize);
         
         rock.position.set(x, y, z);
         rock.rotation.set(
-            Math.random() * Math.PI, 
-            Math.random() * Math.PI, 
-            Math.random() * Math.PI
+            rng.next() * Math.PI, 
+            rng.next() * Math.PI, 
+            rng.next() * Math.PI
         );
-        rock.castShadow = true;
-        scene.add(rock);
+        scenery.push(rock);
+        objects.push(rock);
+    }
+    
+    return objects;
+}
+
+// Add trees, rocks and cows to a free roam chunk as it streams in
+function populateChunk(chunk) {
+    // Chunks draw from their own streams so they look the same every time they load
+    const rng = new SeededRandom(`${random.seed}:chunk:${chunk.key}`);
+    const area = {
+        x: chunk.terrain.centerX,
+        z: chunk.terrain.centerZ,
+        size: chunk.terrain.size
+    };
+    
+    chunk.objects.push(...addTerrainDetails(rng, area));
+    
+    // Add cows where the biome has good grazing
+    for (let i = 0; i < FREE_ROAM_SETTINGS.cowCandidates; i++) {
+        const cowId = `${chunk.key}:${i}`;
+        const cowRng = new SeededRandom(`${random.seed}:cow:${cowId}`);
+        const { x, z } = randomPointInArea(cowRng, area);
+        const grazing = terrainGenerator.getBiome(x, z, terrain.getHeightAt(x, z)).grazing;
+        
+        if (cowRng.next() >= grazing || abductedCows.has(cowId)) continue;
+        
+        // Skip cows still roaming another chunk since this one last unloaded
+        if (cows.some(cow => cow.userData.chunkCowId === cowId)) continue;
+        
+        const cow = spawnAbductee(x, z, cowRng, abductees.pickType(cowRng));
+        cow.userData.chunkCowId = cowId;
+        chunk.objects.push(cow);
     }
 }
 
+// Remove a free roam chunk's trees, rocks and cows as it streams out
+function depopulateChunk(chunk) {
+    chunk.objects.forEach(object => {
+        const cowIndex = cows.indexOf(object);
+        if (cowIndex !== -1) {
+            // Cows that wandered or were carried onto another loaded chunk move over to it
+            const current = terrain.getChunkAt(object.position.x, object.position.z);
+            if (current && current !== chunk) {
+                current.objects.push(object);
+                return;
+            }
+            
+            // Let a cow already in the beam finish its trip, no longer tied to a chunk
+            if (object.userData.isBeingAbducted) {
+                object.userData.chunkCowId = null;
+                return;
+            }
+            
+            cows.splice(cowIndex, 1);
+        }
+        
+        instancedRenderer.remove(object);
+        
+        const sceneryIndex = scenery.indexOf(object);
+        if (sceneryIndex !== -1) {
+            scenery.splice(sceneryIndex, 1);
+        }
+    });
+}
+
+// Remove all trees and rocks from the terrain
+function clearTerrainDetails() {
+    scenery.forEach(object => instancedRenderer.remove(object));
+    scenery = [];
+}
+
+// Create a procedural tree model (template for the instanced tree batch)
+function createProceduralTreeModel() {
+    // Tree trunk (cylinder)
+    const trunk = new THREE.Mesh(
+        resourceCache.getGeometry('treeTrunk', () => new THREE.CylinderBufferGeometry(0.5, 0.7, 2, 8)),
+        resourceCache.getMaterial('treeTrunk', () => new THREE.MeshStandardMaterial({ color: 0x8B4513 }))
+    );
+    trunk.castShadow = true;
+    
+    // Tree top (cone)
+    const top = new THREE.Mesh(
+        resourceCache.getGeometry('treeTop', () => new THREE.ConeBufferGeometry(2, 4, 8)),
+        resourceCache.getMaterial('treeTop', () => new THREE.MeshStandardMaterial({ color: 0x228B22 }))
+    );
+    top.position.y = 3;
+    top.castShadow = true;
+    
+    // Combine trunk and top
+    const tree = new THREE.Group();
+    tree.add(trunk);
+    tree.add(top);
+    
+    return tree;
+}
+
+// Create a procedural rock model of unit size (instances are scaled)
+function createProceduralRockModel() {
+    const rock = new THREE.Mesh(
+        resourceCache.getGeometry('rock', () => new THREE.DodecahedronBufferGeometry(1, 0)),
+        resourceCache.getMaterial('rock', () => new THREE.MeshStandardMaterial({
+            color: 0x888888,
+            roughness: 0.8
+        }))
+    );
+    rock.castShadow = true;
+    
+    return rock;
+}
+
 // Create the UFO player object
 function createUFO() {
-    // Create a group to hold all UFO parts
+    // Create a group to hold the hull, light and tractor beam
     ufo = new THREE.Group();
+    ufo.add(assetManager.getModel('ufo') || createProceduralUFOModel());
+    
+    // Position the UFO above the terrain
+    ufo.position.set(0, 20, 0);
+    scene.add(ufo);
+    
+    // Attach the UFO light to the UFO
+    lights.ufoLight.position.copy(ufo.position);
+    ufo.add(lights.ufoLight);
+    
+    // Attach the shield bubble (shown while the shield power-up is active)
+    ufo.add(powerUps.shield);
+    
+    // Add collision properties
+    ufo.userData = {
+        type: 'ufo',
+        radius: 2, // Collision radius
+        isColliding: false
+    };
+    
+    // Create engine exhaust particle effect
+    engineExhaust = particleSystem.createEngineExhaust(ufo, new THREE.Vector3(0, -1.5, 0));
+}
+
+// Create a procedural UFO hull model
+function createProceduralUFOModel() {
+    // Create a group to hold all UFO parts
+    const hull = new THREE.Group();
     
     // Create the main body (saucer shape)
     const bodyGeometry = new THREE.SphereGeometry(2, 32, 16, 0, Math.PI * 2, 0, Math.PI * 0.6);
@@ -366,7 +716,7 @@ function createUFO() {
     });
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.castShadow = true;
-    ufo.add(body);
+    hull.add(body);
     
     // Create the bottom part (inverted saucer)
     const bottomGeometry = new THREE.SphereGeometry(1.5, 32, 8, 0, Math.PI * 2, Math.PI * 0.6, Math.PI * 0.3);
@@ -378,7 +728,7 @@ function createUFO() {
     const bottom = new THREE.Mesh(bottomGeometry, bottomMaterial);
     bottom.position.y = -0.3;
     bottom.castShadow = true;
-    ufo.add(bottom);
+    hull.add(bottom);
     
     // Create the dome on top
     const domeGeometry = new THREE.SphereGeometry(1, 16, 16, 0, Math.PI * 2, 0, Math.PI * 0.5);
@@ -390,7 +740,7 @@ function createUFO() {
     const dome = new THREE.Mesh(domeGeometry, domeMaterial);
     dome.position.y = 0.5;
     dome.castShadow = true;
-    ufo.add(dome);
+    hull.add(dome);
     
     // Add lights around the rim
     const lightCount = 8;
@@ -406,26 +756,10 @@ function createUFO() {
         light.position.z = Math.sin(angle) * 1.8;
         light.position.y = 0;
         
-        ufo.add(light);
+        hull.add(light);
     }
     
-    // Position the UFO above the terrain
-    ufo.position.set(0, 20, 0);
-    scene.add(ufo);
-    
-    // Attach the UFO light to the UFO
-    lights.ufoLight.position.copy(ufo.position);
-    ufo.add(lights.ufoLight);
-    
-    // Add collision properties
-    ufo.userData = {
-        type: 'ufo',
-        radius: 2, // Collision radius
-        isColliding: false
-    };
-    
-    // Create engine exhaust particle effect
-    engineExhaust = particleSystem.createEngineExhaust(ufo, new THREE.Vector3(0, -1.5, 0));
+    return hull;
 }
 
 // Create the tractor beam
@@ -453,190 +787,943 @@ function createTractorBeam() {
     tractorBeam.visible = false;
 }
 
-// Create cows and place them randomly on the terrain
-function createCows() {
-    for (let i = 0; i < COW_COUNT; i++) {
-        // Create a cow using procedural geometry
-        const cow = createCowModel();
-        
-        // Position the cow randomly on the terrain
-        const x = Math.random() * GAME_BOUNDS * 2 - GAME_BOUNDS;
-        const z = Math.random() * GAME_BOUNDS * 2 - GAME_BOUNDS;
-        
-        // Find y position based on terrain height (simplified)
-        const y = Math.sin(x * 0.01) * Math.cos(z * 0.01) * 10;
-        
-        cow.position.set(x, y + 1, z); // +1 to place it on top of the terrain
+// Pick a random spot, favoring biomes with good grazing
+function findGrazingSpot(rng) {
+    const maxAttempts = 20;
+    let x = 0;
+    let z = 0;
+    
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        ({ x, z } = randomPointInArea(rng, PLAY_AREA));
         
-        // Random rotation (only around y-axis)
-        cow.rotation.y = Math.random() * Math.PI * 2;
-        
-        // Add to scene and cows array
-        scene.add(cow);
-        cows.push(cow);
-        
-        // Add animation properties
-        cow.userData = {
-            type: 'cow',
-            radius: 1.5, // Collision radius
-            isBeingAbducted: false,
-            abductionProgress: 0,
-            idleAnimation: {
-                timer: Math.random() * Math.PI * 2, // Random start time
-                speed: 0.01 + Math.random() * 0.01 // Random speed
-            }
-        };
+        if (rng.next() < terrainGenerator.getBiome(x, z, terrain.getHeightAt(x, z)).grazing) {
+            break;
+        }
     }
+    
+    // Falls back to the last spot tried if no attempt was accepted
+    return { x, z };
 }
 
-// Create a procedural cow model
-function createCowModel() {
+// Create the level's herd and place it on the terrain
+function createCows() {
+    // Free roam cows arrive with their terrain chunks instead
+    if (gameStateManager.isFreeRoam()) return;
+    
+    const rng = random.stream('world');
+    const count = levelManager.getLevel().cows;
+    
+    for (let i = 0; i < count; i++) {
+        // Pick a spot where cows like to graze
+        const { x, z } = findGrazingSpot(rng);
+        spawnAbductee(x, z, rng, abductees.pickType(rng));
+    }
+}
+
+// Create an abductee of the given type standing on the ground at (x, z)
+function spawnAbductee(x, z, rng, name) {
+    const type = abductees.get(name);
+    const cow = createAbducteeModel(name, rng);
+    
+    // Place it on the ground
+    const y = terrain.getHeightAt(x, z);
+    cow.position.set(x, y + type.standHeight, z);
+    
+    // Random rotation (only around y-axis)
+    cow.rotation.y = rng.next() * Math.PI * 2;
+    
+    // Add to the herd (the type's instanced batch draws it)
+    cows.push(cow);
+    
+    // Add abduction properties and the AI state
+    cow.userData = {
+        type: name,
+        radius: type.radius, // Collision radius
+        weight: type.weight,
+        isBeingAbducted: false,
+        abductionProgress: 0
+    };
+    cowAI.reset(cow, { rng: rng, type: type });
+    
+    return cow;
+}
+
+// Create an abductee (drawn by its type's instanced batch, plus any per-instance
+// extras drawn from the abductee's random stream)
+function createAbducteeModel(name, rng) {
+    const object = instancedRenderer.add(name, new THREE.Object3D());
+    
+    const type = abductees.get(name);
+    if (type.decorate) {
+        type.decorate(object, rng);
+    }
+    
+    return object;
+}
+
+// Play one of an abductee's sounds
+function playAbducteeSound(cow, sound) {
+    const sounds = abductees.get(cow.userData.type).sounds;
+    soundManager.play(sounds.category, sounds[sound]);
+}
+
+// Create a procedural cow model (template for the instanced cow batch)
+function createProceduralCowModel() {
     // Create a group to hold all cow parts
     const cow = new THREE.Group();
+    const cowMaterial = resourceCache.getMaterial('cow', () => new THREE.MeshStandardMaterial({ color: 0xffffff }));
     
     // Create the cow body
-    const bodyGeometry = new THREE.BoxGeometry(3, 1.5, 1.5);
-    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    const bodyGeometry = resourceCache.getGeometry('cowBody', () => new THREE.BoxBufferGeometry(3, 1.5, 1.5));
+    const body = new THREE.Mesh(bodyGeometry, cowMaterial);
     body.castShadow = true;
     cow.add(body);
     
     // Create the cow head
-    const headGeometry = new THREE.BoxGeometry(1, 1, 1);
-    const headMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-    const head = new THREE.Mesh(headGeometry, headMaterial);
+    const headGeometry = resourceCache.getGeometry('cowHead', () => new THREE.BoxBufferGeometry(1, 1, 1));
+    const head = new THREE.Mesh(headGeometry, cowMaterial);
     head.position.set(1.5, 0.5, 0);
     head.castShadow = true;
     cow.add(head);
     
-    // Create the cow legs (4 legs)
-    const legGeometry = new THREE.BoxGeometry(0.4, 1, 0.4);
-    const legMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-    
-    // Front legs
-    const frontLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
-    frontLeftLeg.position.set(1, -1.25, 0.5);
-    frontLeftLeg.castShadow = true;
-    cow.add(frontLeftLeg);
-    
-    const frontRightLeg = new THREE.Mesh(legGeometry, legMaterial);
-    frontRightLeg.position.set(1, -1.25, -0.5);
-    frontRightLeg.castShadow = true;
-    cow.add(frontRightLeg);
-    
-    // Back legs
-    const backLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
-    backLeftLeg.position.set(-1, -1.25, 0.5);
-    backLeftLeg.castShadow = true;
-    cow.add(backLeftLeg);
-    
-    const backRightLeg = new THREE.Mesh(legGeometry, legMaterial);
-    backRightLeg.position.set(-1, -1.25, -0.5);
-    backRightLeg.castShadow = true;
-    cow.add(backRightLeg);
-    
-    // Create spots (random black spots)
-    const spotCount = Math.floor(Math.random() * 5) + 3; // 3-7 spots
+    // Create the cow legs (front left/right, back left/right)
+    const legGeometry = resourceCache.getGeometry('cowLeg', () => new THREE.BoxBufferGeometry(0.4, 1, 0.4));
+    const legPositions = [
+        [1, -1.25, 0.5],
+        [1, -1.25, -0.5],
+        [-1, -1.25, 0.5],
+        [-1, -1.25, -0.5]
+    ];
+    legPositions.forEach(([x, y, z]) => {
+        const leg = new THREE.Mesh(legGeometry, cowMaterial);
+        leg.position.set(x, y, z);
+        leg.castShadow = true;
+        cow.add(leg);
+    });
+    
+    return cow;
+}
+
+// Create the spot model (template for the instanced cow spot batch)
+function createCowSpotModel() {
+    return new THREE.Mesh(
+        resourceCache.getGeometry('cowSpot', () => new THREE.CircleBufferGeometry(0.3, 8)),
+        resourceCache.getMaterial('cowSpot', () => new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.DoubleSide }))
+    );
+}
+
+// Give a cow random black spots (instances that follow the cow)
+function addCowSpots(cow, rng) {
+    const spotCount = Math.floor(rng.next() * 5) + 3; // 3-7 spots
     for (let i = 0; i < spotCount; i++) {
-        const spotGeometry = new THREE.CircleGeometry(0.3, 8);
-        const spotMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.DoubleSide });
-        const spot = new THREE.Mesh(spotGeometry, spotMaterial);
-        
         // Position the spot randomly on the body
-        const spotX = Math.random() * 2.5 - 1.25;
-        const spotY = Math.random() * 0.5 + 0.5;
-        const spotZ = Math.random() > 0.5 ? 0.76 : -0.76; // Either on left or right side
+        const spotX = rng.next() * 2.5 - 1.25;
+        const spotY = rng.next() * 0.5 + 0.5;
+        const spotZ = rng.next() > 0.5 ? 0.76 : -0.76; // Either on left or right side
         
+        const spot = new THREE.Object3D();
         spot.position.set(spotX, spotY, spotZ);
         spot.rotation.y = spotZ > 0 ? Math.PI / 2 : -Math.PI / 2; // Rotate to face outward
-        cow.add(spot);
+        spot.updateMatrix();
+        
+        instancedRenderer.add('cowSpot', cow, spot.matrix);
     }
+}
+
+// Add four box legs to an animal model, centered at height y and +/- x, z
+function addProceduralLegs(animal, name, material, size, height, x, y, z) {
+    const legGeometry = resourceCache.getGeometry(name, () => new THREE.BoxBufferGeometry(size, height, size));
+    [[x, z], [x, -z], [-x, z], [-x, -z]].forEach(([legX, legZ]) => {
+        const leg = new THREE.Mesh(legGeometry, material);
+        leg.position.set(legX, y, legZ);
+        leg.castShadow = true;
+        animal.add(leg);
+    });
+}
+
+// Create a procedural sheep model (template for the instanced sheep batch)
+function createProceduralSheepModel() {
+    const sheep = new THREE.Group();
+    const woolMaterial = resourceCache.getMaterial('sheepWool', () => new THREE.MeshStandardMaterial({ color: 0xeeeeee, flatShading: true }));
+    const faceMaterial = resourceCache.getMaterial('sheepFace', () => new THREE.MeshStandardMaterial({ color: 0x222222 }));
+    
+    // Fluffy body
+    const body = new THREE.Mesh(
+        resourceCache.getGeometry('sheepBody', () => new THREE.IcosahedronBufferGeometry(0.9, 1)),
+        woolMaterial
+    );
+    body.scale.set(1.3, 0.85, 0.85);
+    body.castShadow = true;
+    sheep.add(body);
     
-    return cow;
+    // Black face
+    const head = new THREE.Mesh(resourceCache.getGeometry('sheepHead', () => new THREE.BoxBufferGeometry(0.6, 0.6, 0.5)), faceMaterial);
+    head.position.set(1.2, 0.35, 0);
+    head.castShadow = true;
+    sheep.add(head);
+    
+    // Legs (feet 0.9 below the origin)
+    addProceduralLegs(sheep, 'sheepLeg', faceMaterial, 0.2, 0.7, 0.6, -0.55, 0.35);
+    
+    return sheep;
 }
 
-// Create a fighter jet model
-function createJetModel() {
+// Create a procedural pig model (template for the instanced pig batch)
+function createProceduralPigModel() {
+    const pig = new THREE.Group();
+    const pigMaterial = resourceCache.getMaterial('pig', () => new THREE.MeshStandardMaterial({ color: 0xf4a6b8 }));
+    
+    // Body
+    const body = new THREE.Mesh(resourceCache.getGeometry('pigBody', () => new THREE.BoxBufferGeometry(2, 1, 1.1)), pigMaterial);
+    body.castShadow = true;
+    pig.add(body);
+    
+    // Head and snout
+    const head = new THREE.Mesh(resourceCache.getGeometry('pigHead', () => new THREE.BoxBufferGeometry(0.7, 0.7, 0.8)), pigMaterial);
+    head.position.set(1.2, 0.15, 0);
+    head.castShadow = true;
+    pig.add(head);
+    
+    const snout = new THREE.Mesh(
+        resourceCache.getGeometry('pigSnout', () => new THREE.CylinderBufferGeometry(0.2, 0.2, 0.2, 8)),
+        resourceCache.getMaterial('pigSnout', () => new THREE.MeshStandardMaterial({ color: 0xe07f98 }))
+    );
+    snout.rotation.z = Math.PI / 2;
+    snout.position.set(1.6, 0.05, 0);
+    pig.add(snout);
+    
+    // Short legs (feet 0.7 below the origin)
+    addProceduralLegs(pig, 'pigLeg', pigMaterial, 0.3, 0.4, 0.65, -0.5, 0.35);
+    
+    return pig;
+}
+
+// Create a procedural chicken model (template for the instanced chicken batch)
+function createProceduralChickenModel() {
+    const chicken = new THREE.Group();
+    
+    // Round body and head
+    const featherMaterial = resourceCache.getMaterial('chicken', () => new THREE.MeshStandardMaterial({ color: 0xfafafa }));
+    const body = new THREE.Mesh(resourceCache.getGeometry('chickenBody', () => new THREE.SphereBufferGeometry(0.4, 8, 6)), featherMaterial);
+    body.scale.set(1.2, 1, 0.9);
+    body.castShadow = true;
+    chicken.add(body);
+    
+    const head = new THREE.Mesh(resourceCache.getGeometry('chickenHead', () => new THREE.SphereBufferGeometry(0.2, 8, 6)), featherMaterial);
+    head.position.set(0.35, 0.4, 0);
+    chicken.add(head);
+    
+    // Comb and beak
+    const comb = new THREE.Mesh(
+        resourceCache.getGeometry('chickenComb', () => new THREE.BoxBufferGeometry(0.2, 0.12, 0.06)),
+        resourceCache.getMaterial('chickenComb', () => new THREE.MeshStandardMaterial({ color: 0xdd2222 }))
+    );
+    comb.position.set(0.35, 0.62, 0);
+    chicken.add(comb);
+    
+    const beakMaterial = resourceCache.getMaterial('chickenBeak', () => new THREE.MeshStandardMaterial({ color: 0xffbb22 }));
+    const beak = new THREE.Mesh(resourceCache.getGeometry('chickenBeak', () => new THREE.ConeBufferGeometry(0.07, 0.18, 6)), beakMaterial);
+    beak.rotation.z = -Math.PI / 2;
+    beak.position.set(0.6, 0.38, 0);
+    chicken.add(beak);
+    
+    // Two thin legs (feet 0.5 below the origin)
+    const legGeometry = resourceCache.getGeometry('chickenLeg', () => new THREE.BoxBufferGeometry(0.06, 0.3, 0.06));
+    [0.12, -0.12].forEach(z => {
+        const leg = new THREE.Mesh(legGeometry, beakMaterial);
+        leg.position.set(0, -0.35, z);
+        chicken.add(leg);
+    });
+    
+    return chicken;
+}
+
+// Create a procedural tractor model (template for the instanced tractor batch)
+function createProceduralTractorModel() {
+    const tractor = new THREE.Group();
+    const paintMaterial = resourceCache.getMaterial('tractorPaint', () => new THREE.MeshStandardMaterial({ color: 0xc0392b }));
+    const tireMaterial = resourceCache.getMaterial('tractorTire', () => new THREE.MeshStandardMaterial({ color: 0x222222 }));
+    
+    // Engine housing and cab (the origin is on the ground)
+    const body = new THREE.Mesh(resourceCache.getGeometry('tractorBody', () => new THREE.BoxBufferGeometry(2.6, 1, 1.2)), paintMaterial);
+    body.position.set(0.2, 1.1, 0);
+    body.castShadow = true;
+    tractor.add(body);
+    
+    const cab = new THREE.Mesh(resourceCache.getGeometry('tractorCab', () => new THREE.BoxBufferGeometry(1.1, 1.2, 1.2)), paintMaterial);
+    cab.position.set(-0.7, 2.2, 0);
+    cab.castShadow = true;
+    tractor.add(cab);
+    
+    // Exhaust stack
+    const stack = new THREE.Mesh(resourceCache.getGeometry('tractorStack', () => new THREE.CylinderBufferGeometry(0.08, 0.08, 0.9, 6)), tireMaterial);
+    stack.position.set(0.9, 2, 0.3);
+    tractor.add(stack);
+    
+    // Big rear wheels and small front wheels
+    const rearWheel = resourceCache.getGeometry('tractorRearWheel', () => new THREE.CylinderBufferGeometry(0.8, 0.8, 0.4, 12));
+    const frontWheel = resourceCache.getGeometry('tractorFrontWheel', () => new THREE.CylinderBufferGeometry(0.45, 0.45, 0.3, 10));
+    [
+        [rearWheel, -0.7, 0.8, 0.85],
+        [rearWheel, -0.7, 0.8, -0.85],
+        [frontWheel, 1.1, 0.45, 0.75],
+        [frontWheel, 1.1, 0.45, -0.75]
+    ].forEach(([geometry, x, y, z]) => {
+        const wheel = new THREE.Mesh(geometry, tireMaterial);
+        wheel.rotation.x = Math.PI / 2;
+        wheel.position.set(x, y, z);
+        wheel.castShadow = true;
+        tractor.add(wheel);
+    });
+    
+    return tractor;
+}
+
+// Create a procedural farmhand model (an unarmed farmer; the origin is at the feet)
+function createProceduralFarmhandModel() {
+    const farmhand = new THREE.Group();
+    
+    // Work shirt
+    const body = new THREE.Mesh(
+        resourceCache.getGeometry('farmerBody', () => new THREE.BoxBufferGeometry(0.6, 1.2, 0.8)),
+        resourceCache.getMaterial('farmhandShirt', () => new THREE.MeshStandardMaterial({ color: 0x9c2f2f }))
+    );
+    body.position.y = 0.9;
+    body.castShadow = true;
+    farmhand.add(body);
+    
+    // Head
+    const head = new THREE.Mesh(
+        resourceCache.getGeometry('farmerHead', () => new THREE.SphereBufferGeometry(0.3, 8, 6)),
+        resourceCache.getMaterial('farmerSkin', () => new THREE.MeshStandardMaterial({ color: 0xe0b08a }))
+    );
+    head.position.y = 1.8;
+    farmhand.add(head);
+    
+    // Straw hat
+    const hat = new THREE.Mesh(
+        resourceCache.getGeometry('farmerHat', () => new THREE.CylinderBufferGeometry(0.25, 0.55, 0.3, 8)),
+        resourceCache.getMaterial('farmerHat', () => new THREE.MeshStandardMaterial({ color: 0xd8c078 }))
+    );
+    hat.position.y = 2.1;
+    farmhand.add(hat);
+    
+    return farmhand;
+}
+
+// Set up the instanced batches for scenery and abductees (loaded models or procedural)
+function registerInstancedModels() {
+    instancedRenderer.registerModel('tree', assetManager.getModel('tree') || createProceduralTreeModel(), 1024);
+    instancedRenderer.registerModel('rock', assetManager.getModel('rock') || createProceduralRockModel(), 512);
+    abductees.getNames().forEach(name => {
+        const type = abductees.get(name);
+        instancedRenderer.registerModel(name, type.build(), type.capacity);
+    });
+    instancedRenderer.registerModel('cowSpot', createCowSpotModel(), 512);
+}
+
+// Register the abductable types that can appear in a herd
+function registerAbductees() {
+    abductees.register('cow', {
+        label: 'Cow',
+        build: () => assetManager.getModel('cow') || createProceduralCowModel(),
+        decorate: (cow, rng) => {
+            // Loaded cow models come with their own markings
+            if (!assetManager.hasModel('cow')) {
+                addCowSpots(cow, rng);
+            }
+        },
+        weight: 1,
+        score: 100,
+        sounds: { category: 'cow', grab: 'moo', complete: 'abduction_complete' },
+        spawnWeight: 6
+    });
+    
+    // Sheep are light and skittish
+    abductees.register('sheep', {
+        label: 'Sheep',
+        build: createProceduralSheepModel,
+        weight: 0.7,
+        score: 80,
+        radius: 1.2,
+        standHeight: 0.9,
+        pace: 1.1,
+        sounds: { category: 'sheep', grab: 'bleat', complete: 'abduction_complete' },
+        spawnWeight: 3
+    });
+    
+    // Pigs are heavy for their size
+    abductees.register('pig', {
+        label: 'Pig',
+        build: createProceduralPigModel,
+        weight: 1.4,
+        score: 120,
+        radius: 1.2,
+        standHeight: 0.7,
+        pace: 0.8,
+        sounds: { category: 'pig', grab: 'oink', complete: 'abduction_complete' },
+        spawnWeight: 2
+    });
+    
+    // Chickens are quick on the ground but weigh next to nothing
+    abductees.register('chicken', {
+        label: 'Chicken',
+        build: createProceduralChickenModel,
+        capacity: 32,
+        weight: 0.3,
+        score: 40,
+        radius: 0.8,
+        standHeight: 0.5,
+        pace: 1.4,
+        sounds: { category: 'chicken', grab: 'cluck', complete: 'abduction_complete' },
+        spawnWeight: 2
+    });
+    
+    // Tractors don't run, but take a lot of lifting
+    abductees.register('tractor', {
+        label: 'Tractor',
+        build: createProceduralTractorModel,
+        capacity: 16,
+        weight: 3,
+        score: 300,
+        radius: 2.5,
+        standHeight: 0,
+        pace: 0.7,
+        fearless: true,
+        sounds: { category: 'tractor', grab: 'rumble', complete: 'abduction_complete' },
+        spawnWeight: 0.5
+    });
+    
+    // Unarmed farmhands run for it
+    abductees.register('farmhand', {
+        label: 'Farmhand',
+        build: createProceduralFarmhandModel,
+        capacity: 16,
+        weight: 0.9,
+        score: 150,
+        radius: 1,
+        standHeight: 0,
+        pace: 1.2,
+        sounds: { category: 'farmhand', grab: 'yell', complete: 'abduction_complete' },
+        spawnWeight: 1
+    });
+}
+
+// Register the enemy types that can spawn
+function registerEnemyTypes() {
+    enemyTypes.register('jet', {
+        build: buildJet,
+        ai: new JetAI({ minAltitude: config.enemies.minAltitude }),
+        radius: 2.5,
+        speed: config.enemies.jetSpeed,
+        speedVariation: 0.2,
+        loadout: [
+            { weapon: 'missile', weight: 5 },
+            { weapon: 'homing', weight: 2 },
+            { weapon: 'cannon', weight: 3 }
+        ],
+        flares: 2,
+        exhaust: new THREE.Vector3(-2, 0, 0),
+        score: 50,
+        placement: 'air',
+        spawnWeight: 6
+    });
+    
+    // Attack helicopters hover near cow herds
+    enemyTypes.register('helicopter', {
+        build: buildHelicopter,
+        ai: new HelicopterAI(),
+        radius: 2.5,
+        health: 2,
+        speed: 0.22,
+        speedVariation: 0.1,
+        loadout: [
+            { weapon: 'cannon', weight: 3 },
+            { weapon: 'missile', weight: 1 }
+        ],
+        score: 75,
+        placement: 'air',
+        spawnWeight: 2,
+        maxActive: 3
+    });
+    
+    // Anti-air turrets sit on the terrain
+    enemyTypes.register('turret', {
+        build: buildTurret,
+        ai: new TurretAI(),
+        radius: 2,
+        health: 3,
+        contactDamage: 0,
+        speed: 0,
+        loadout: [
+            { weapon: 'flak', weight: 3 },
+            { weapon: 'homing', weight: 1 }
+        ],
+        score: 100,
+        placement: 'ground',
+        spawnWeight: 2,
+        maxActive: 3
+    });
+    
+    // Farmers defend their cows with shotguns
+    enemyTypes.register('farmer', {
+        build: buildFarmer,
+        ai: new FarmerAI(),
+        radius: 1.2,
+        contactDamage: 0,
+        speed: 0.12,
+        speedVariation: 0.2,
+        loadout: [
+            { weapon: 'shotgun', weight: 1 }
+        ],
+        score: 25,
+        placement: 'herd',
+        spawnWeight: 2,
+        maxActive: 4
+    });
+}
+
+// Build a jet for the jet pool (the model and engine sound are reused between spawns)
+function buildJet() {
+    const jet = assetManager.getModel('jet') || createProceduralJetModel();
+    
+    // Add engine sound
+    const engineSound = soundManager.createPositionalSound(jet, 'jet', 'engine', 50);
+    engineSound.setLoop(true);
+    
+    jet.userData = {
+        type: 'jet',
+        target: new THREE.Vector3(), // Will be set to UFO position
+        engineSound: engineSound,
+        exhaustEmitter: null
+    };
+    
+    return jet;
+}
+
+// Take an enemy from its type's pool and arm it
+function createEnemy(name) {
+    const rng = random.stream('spawn');
+    const type = enemyTypes.get(name);
+    
+    const enemy = enemyTypes.acquire(name);
+    enemy.position.set(0, 0, 0);
+    enemy.rotation.set(0, 0, 0);
+    enemy.updateMatrixWorld();
+    
+    // Random speed variation, scaled by the difficulty
+    const difficulty = gameStateManager.getDifficulty();
+    enemy.userData.speed = type.speed * difficulty.enemySpeed * (1 + (rng.next() * 2 - 1) * type.speedVariation);
+    enemy.userData.radius = type.radius; // Collision radius
+    enemy.userData.health = type.health;
+    
+    // Arm the enemy from its type's weapon loadout (harder difficulties fire more often)
+    enemy.userData.weapon = enemyWeapons.pickWeapon(rng, type.loadout);
+    enemy.userData.fireRate = enemyWeapons.getFireInterval(enemy.userData.weapon, rng) / difficulty.fireRate;
+    enemy.userData.lastFired = 0;
+    enemy.userData.burstRemaining = 0;
+    enemy.userData.burstTimer = 0;
+    enemy.userData.flares = type.flares;
+    enemy.userData.flareCooldown = 0;
+    
+    // Create engine exhaust
+    if (type.exhaust) {
+        enemy.userData.exhaustEmitter = particleSystem.createEngineExhaust(enemy, type.exhaust);
+    }
+    
+    // Start engine sound
+    if (enemy.userData.engineSound) {
+        enemy.userData.engineSound.play();
+    }
+    
+    return enemy;
+}
+
+// Remove an enemy from the scene and return it to its type's pool
+function removeEnemy(enemy) {
+    // Stop engine sound
+    if (enemy.userData.engineSound && enemy.userData.engineSound.isPlaying) {
+        enemy.userData.engineSound.stop();
+    }
+    
+    // Remove exhaust emitter
+    if (enemy.userData.exhaustEmitter) {
+        particleSystem.removeEmitter(enemy.userData.exhaustEmitter);
+        enemy.userData.exhaustEmitter = null;
+    }
+    
+    scene.remove(enemy);
+    enemyTypes.release(enemy);
+}
+
+// Build an attack helicopter for the helicopter pool
+function buildHelicopter() {
+    const heli = new THREE.Group();
+    const hullMaterial = resourceCache.getMaterial('heliHull', () => new THREE.MeshStandardMaterial({ color: 0x4b5320 }));
+    const rotorMaterial = resourceCache.getMaterial('heliRotor', () => new THREE.MeshStandardMaterial({ color: 0x222222 }));
+    
+    // Cabin
+    const cabin = new THREE.Mesh(
+        resourceCache.getGeometry('heliCabin', () => new THREE.BoxBufferGeometry(3, 1.5, 1.5)),
+        hullMaterial
+    );
+    cabin.castShadow = true;
+    heli.add(cabin);
+    
+    // Cockpit glass at the front (+X)
+    const cockpit = new THREE.Mesh(
+        resourceCache.getGeometry('heliCockpit', () => new THREE.SphereBufferGeometry(0.8, 8, 6)),
+        resourceCache.getMaterial('heliCockpit', () => new THREE.MeshStandardMaterial({
+            color: 0x88aaff,
+            transparent: true,
+            opacity: 0.7
+        }))
+    );
+    cockpit.position.set(1.4, 0.1, 0);
+    heli.add(cockpit);
+    
+    // Tail boom
+    const tail = new THREE.Mesh(
+        resourceCache.getGeometry('heliTail', () => new THREE.CylinderBufferGeometry(0.15, 0.3, 3, 6)),
+        hullMaterial
+    );
+    tail.rotation.z = Math.PI / 2;
+    tail.position.set(-2.8, 0.3, 0);
+    tail.castShadow = true;
+    heli.add(tail);
+    
+    // Main rotor
+    const rotor = new THREE.Mesh(
+        resourceCache.getGeometry('heliRotor', () => new THREE.BoxBufferGeometry(6, 0.05, 0.3)),
+        rotorMaterial
+    );
+    rotor.position.set(0, 1, 0);
+    heli.add(rotor);
+    
+    // Tail rotor
+    const tailRotor = new THREE.Mesh(
+        resourceCache.getGeometry('heliTailRotor', () => new THREE.BoxBufferGeometry(1.2, 0.2, 0.05)),
+        rotorMaterial
+    );
+    tailRotor.position.set(-4.2, 0.5, 0.2);
+    heli.add(tailRotor);
+    
+    heli.userData = {
+        type: 'helicopter',
+        rotor: rotor,
+        tailRotor: tailRotor,
+        exhaustEmitter: null
+    };
+    
+    return heli;
+}
+
+// Build an anti-air turret for the turret pool
+function buildTurret() {
+    const turret = new THREE.Group();
+    const metalMaterial = resourceCache.getMaterial('turretMetal', () => new THREE.MeshStandardMaterial({ color: 0x666b5e }));
+    
+    // Base resting on the ground
+    const base = new THREE.Mesh(
+        resourceCache.getGeometry('turretBase', () => new THREE.CylinderBufferGeometry(1.5, 1.8, 1, 8)),
+        metalMaterial
+    );
+    base.position.y = 0.5;
+    base.castShadow = true;
+    turret.add(base);
+    
+    // Head turns to the target's bearing
+    const head = new THREE.Group();
+    head.position.y = 1.5;
+    turret.add(head);
+    
+    const housing = new THREE.Mesh(
+        resourceCache.getGeometry('turretHousing', () => new THREE.BoxBufferGeometry(1.6, 1, 1.4)),
+        metalMaterial
+    );
+    housing.castShadow = true;
+    head.add(housing);
+    
+    // Twin barrels elevate toward the target (they point along the head's +X)
+    const barrel = new THREE.Group();
+    barrel.position.set(0.4, 0.1, 0);
+    head.add(barrel);
+    
+    const barrelGeometry = resourceCache.getGeometry('turretBarrel', () => new THREE.CylinderBufferGeometry(0.12, 0.12, 2.5, 6));
+    const barrelMaterial = resourceCache.getMaterial('turretBarrel', () => new THREE.MeshStandardMaterial({ color: 0x333333 }));
+    [-0.3, 0.3].forEach(offset => {
+        const tube = new THREE.Mesh(barrelGeometry, barrelMaterial);
+        tube.rotation.z = Math.PI / 2;
+        tube.position.set(1.25, 0, offset);
+        tube.castShadow = true;
+        barrel.add(tube);
+    });
+    
+    turret.userData = {
+        type: 'turret',
+        head: head,
+        barrel: barrel,
+        exhaustEmitter: null
+    };
+    
+    return turret;
+}
+
+// Build a farmer for the farmer pool
+function buildFarmer() {
+    const farmer = new THREE.Group();
+    
+    // Overalls
+    const body = new THREE.Mesh(
+        resourceCache.getGeometry('farmerBody', () => new THREE.BoxBufferGeometry(0.6, 1.2, 0.8)),
+        resourceCache.getMaterial('farmerBody', () => new THREE.MeshStandardMaterial({ color: 0x2a4d8f }))
+    );
+    body.position.y = 0.9;
+    body.castShadow = true;
+    farmer.add(body);
+    
+    // Head
+    const head = new THREE.Mesh(
+        resourceCache.getGeometry('farmerHead', () => new THREE.SphereBufferGeometry(0.3, 8, 6)),
+        resourceCache.getMaterial('farmerSkin', () => new THREE.MeshStandardMaterial({ color: 0xe0b08a }))
+    );
+    head.position.y = 1.8;
+    farmer.add(head);
+    
+    // Straw hat
+    const hat = new THREE.Mesh(
+        resourceCache.getGeometry('farmerHat', () => new THREE.CylinderBufferGeometry(0.25, 0.55, 0.3, 8)),
+        resourceCache.getMaterial('farmerHat', () => new THREE.MeshStandardMaterial({ color: 0xd8c078 }))
+    );
+    hat.position.y = 2.1;
+    farmer.add(hat);
+    
+    // Shotgun held forward (+X), angled up
+    const shotgun = new THREE.Mesh(
+        resourceCache.getGeometry('farmerShotgun', () => new THREE.BoxBufferGeometry(1.2, 0.1, 0.1)),
+        resourceCache.getMaterial('farmerShotgun', () => new THREE.MeshStandardMaterial({ color: 0x3b2a1a }))
+    );
+    shotgun.position.set(0.5, 1.2, 0.3);
+    shotgun.rotation.z = Math.PI / 6;
+    farmer.add(shotgun);
+    
+    farmer.userData = {
+        type: 'farmer',
+        exhaustEmitter: null
+    };
+    
+    return farmer;
+}
+
+// Create a procedural fighter jet model
+function createProceduralJetModel() {
     // Create a group to hold all jet parts
     const jet = new THREE.Group();
     
     // Create the jet body
-    const bodyGeometry = new THREE.CylinderGeometry(0.5, 0.5, 4, 8);
-    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x555555 });
+    const bodyGeometry = resourceCache.getGeometry('jetBody', () => new THREE.CylinderBufferGeometry(0.5, 0.5, 4, 8));
+    const bodyMaterial = resourceCache.getMaterial('jetBody', () => new THREE.MeshStandardMaterial({ color: 0x555555 }));
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.rotation.z = Math.PI / 2; // Rotate to horizontal position
     body.castShadow = true;
     jet.add(body);
     
     // Create the jet wings
-    const wingGeometry = new THREE.BoxGeometry(0.2, 5, 1);
-    const wingMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+    const wingGeometry = resourceCache.getGeometry('jetWing', () => new THREE.BoxBufferGeometry(0.2, 5, 1));
+    const wingMaterial = resourceCache.getMaterial('jetWing', () => new THREE.MeshStandardMaterial({ color: 0x333333 }));
     const wings = new THREE.Mesh(wingGeometry, wingMaterial);
     wings.castShadow = true;
     jet.add(wings);
     
     // Create the jet tail
-    const tailGeometry = new THREE.BoxGeometry(1, 0.2, 1);
-    const tailMaterial = new THREE.MeshStandardMaterial({ color: 0x333333 });
+    const tailGeometry = resourceCache.getGeometry('jetTail', () => new THREE.BoxBufferGeometry(1, 0.2, 1));
+    const tailMaterial = resourceCache.getMaterial('jetTail', () => new THREE.MeshStandardMaterial({ color: 0x333333 }));
     const tail = new THREE.Mesh(tailGeometry, tailMaterial);
     tail.position.set(-1.5, 0.5, 0);
     tail.castShadow = true;
     jet.add(tail);
     
     // Create the jet cockpit
-    const cockpitGeometry = new THREE.SphereGeometry(0.5, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
-    const cockpitMaterial = new THREE.MeshStandardMaterial({ 
+    const cockpitGeometry = resourceCache.getGeometry('jetCockpit', () => new THREE.SphereBufferGeometry(0.5, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2));
+    const cockpitMaterial = resourceCache.getMaterial('jetCockpit', () => new THREE.MeshStandardMaterial({ 
         color: 0x88aaff,
         transparent: true,
         opacity: 0.7
-    });
+    }));
     const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
     cockpit.position.set(1.5, 0.3, 0);
     cockpit.rotation.x = -Math.PI / 2;
     cockpit.castShadow = true;
     jet.add(cockpit);
     
-    // Add collision properties
-    jet.userData = {
-        type: 'jet',
-        radius: 2.5, // Collision radius
-        speed: JET_SPEED * (0.8 + Math.random() * 0.4), // Random speed variation
-        lastFired: 0,
-        fireRate: 3000 + Math.random() * 2000, // Random fire rate between 3-5 seconds
-        target: new THREE.Vector3(), // Will be set to UFO position
-        engineSound: null
+    return jet;
+}
+
+// Build a missile for the missile pool (the model and exhaust light are reused)
+function buildMissile() {
+    const missile = assetManager.getModel('missile') || createProceduralMissileModel();
+    
+    // Add a light at the back of the missile
+    const exhaustLight = new THREE.PointLight(0xff6600, 1, 3);
+    exhaustLight.position.set(0, 0, 1);
+    missile.add(exhaustLight);
+    
+    missile.userData = {
+        type: 'missile',
+        pool: missilePool,
+        direction: new THREE.Vector3(),
+        exhaustEmitter: null
     };
     
-    // Create jet engine exhaust
-    jet.userData.exhaustEmitter = particleSystem.createEngineExhaust(
-        jet, 
-        new THREE.Vector3(-2, 0, 0)
+    return missile;
+}
+
+// Build a cannon shell for the shell pool
+function buildShell() {
+    const shell = new THREE.Mesh(
+        resourceCache.getGeometry('shell', () => new THREE.SphereBufferGeometry(0.25, 6, 4)),
+        resourceCache.getMaterial('shell', () => new THREE.MeshBasicMaterial({ color: 0xffcc33 }))
     );
     
-    // Add engine sound
-    jet.userData.engineSound = soundManager.createPositionalSound(jet, 'jet', 'engine', 50);
-    jet.userData.engineSound.setLoop(true);
-    jet.userData.engineSound.play();
+    shell.userData = {
+        type: 'missile',
+        pool: shellPool,
+        direction: new THREE.Vector3(),
+        exhaustEmitter: null
+    };
     
-    return jet;
+    return shell;
+}
+
+// Fire an enemy projectile (taken from the pool for its weapon's model)
+function createMissileModel(position, direction, weaponName = 'missile', target = null) {
+    const weapon = enemyWeapons.get(weaponName);
+    const missile = (weapon.model === 'shell' ? shellPool : missilePool).acquire();
+    
+    // Position the missile and point it along its direction
+    missile.position.copy(position);
+    missile.userData.direction.copy(direction).normalize();
+    missile.lookAt(position.clone().sub(missile.userData.direction));
+    
+    // Create exhaust particle effect
+    if (weapon.exhaustColor !== null) {
+        const exhaustEmitter = particleSystem.createEmitter(
+            'exhaust',
+            new THREE.Vector3(),
+            new THREE.Vector3(0, 0, 1),
+            {
+                color: weapon.exhaustColor,
+                size: 0.1,
+                count: 20,
+                emissionRate: 1
+            }
+        );
+        missile.add(exhaustEmitter.system);
+        missile.userData.exhaustEmitter = exhaustEmitter;
+    }
+    
+    // Set missile data
+    missile.userData.weapon = weapon;
+    missile.userData.speed = weapon.speed * gameStateManager.getDifficulty().missileSpeed;
+    missile.userData.radius = weapon.radius; // Collision radius
+    missile.userData.damage = weapon.damage;
+    missile.userData.target = target; // Homing missiles steer toward this
+    missile.userData.lifeTime = 0; // Track how long the missile has been alive
+    missile.userData.closestApproach = Infinity; // For spotting near misses
+    missile.userData.nearMiss = false;
+    
+    // Play missile sound
+    if (weapon.sound) {
+        soundManager.play('jet', weapon.sound);
+    }
+    
+    // Add to scene and missiles array
+    scene.add(missile);
+    missiles.push(missile);
+    
+    return missile;
 }
 
-// Create a missile model
-function createMissileModel(position, direction) {
+// Remove a missile from the scene and return it to its pool
+function removeMissile(missile) {
+    // Remove exhaust emitter
+    if (missile.userData.exhaustEmitter) {
+        particleSystem.removeEmitter(missile.userData.exhaustEmitter);
+        missile.userData.exhaustEmitter = null;
+    }
+    
+    missile.userData.target = null;
+    scene.remove(missile);
+    missile.userData.pool.release(missile);
+}
+
+// Build a flare for the flare pool
+function buildFlare() {
+    const flare = new THREE.Mesh(
+        resourceCache.getGeometry('flare', () => new THREE.SphereBufferGeometry(0.4, 6, 4)),
+        resourceCache.getMaterial('flare', () => new THREE.MeshBasicMaterial({ color: 0xffeeaa }))
+    );
+    
+    flare.userData = {
+        type: 'flare',
+        velocity: new THREE.Vector3(),
+        trail: null
+    };
+    
+    return flare;
+}
+
+// Drop a flare behind a jet to decoy the player's aim and bolts
+function createFlare(jet) {
+    const settings = enemyWeapons.flares;
+    const flare = flarePool.acquire();
+    
+    // Launch backward from the jet
+    const backward = new THREE.Vector3(-1, 0, 0).transformDirection(jet.matrixWorld);
+    flare.position.copy(jet.position).addScaledVector(backward, 2);
+    flare.userData.velocity.copy(backward).multiplyScalar(settings.drift);
+    flare.userData.radius = settings.radius;
+    flare.userData.lifeTime = settings.lifetime;
+    
+    // Sparkling trail
+    flare.userData.trail = particleSystem.createEmitter('sparkle', flare.position, new THREE.Vector3(0, 1, 0), {
+        color: 0xffaa33,
+        emissionRate: 1
+    });
+    
+    scene.add(flare);
+    flares.push(flare);
+    
+    return flare;
+}
+
+// Remove a flare and return it to the pool
+function removeFlare(flare) {
+    if (flare.userData.trail) {
+        particleSystem.removeEmitter(flare.userData.trail);
+        flare.userData.trail = null;
+    }
+    
+    scene.remove(flare);
+    flarePool.release(flare);
+}
+
+// Create a procedural missile model
+function createProceduralMissileModel() {
     // Create a group for the missile
     const missile = new THREE.Group();
     
     // Create the missile body
-    const bodyGeometry = new THREE.CylinderGeometry(0.2, 0.2, 1.5, 8);
-    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x777777 });
+    const bodyGeometry = resourceCache.getGeometry('missileBody', () => new THREE.CylinderBufferGeometry(0.2, 0.2, 1.5, 8));
+    const bodyMaterial = resourceCache.getMaterial('missileBody', () => new THREE.MeshStandardMaterial({ color: 0x777777 }));
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.rotation.x = Math.PI / 2; // Align with direction of travel
     body.castShadow = true;
     missile.add(body);
     
     // Create the missile nose cone
-    const noseGeometry = new THREE.ConeGeometry(0.2, 0.5, 8);
-    const noseMaterial = new THREE.MeshStandardMaterial({ color: 0x777777 });
+    const noseGeometry = resourceCache.getGeometry('missileNose', () => new THREE.ConeBufferGeometry(0.2, 0.5, 8));
+    const noseMaterial = resourceCache.getMaterial('missileNose', () => new THREE.MeshStandardMaterial({ color: 0x777777 }));
     const nose = new THREE.Mesh(noseGeometry, noseMaterial);
     nose.position.set(0, 0, -1);
     nose.rotation.x = Math.PI / 2; // Align with direction of travel
@@ -644,8 +1731,8 @@ function createMissileModel(position, direction) {
     missile.add(nose);
     
     // Create the missile fins
-    const finGeometry = new THREE.BoxGeometry(0.1, 0.5, 0.5);
-    const finMaterial = new THREE.MeshStandardMaterial({ color: 0x555555 });
+    const finGeometry = resourceCache.getGeometry('missileFin', () => new THREE.BoxBufferGeometry(0.1, 0.5, 0.5));
+    const finMaterial = resourceCache.getMaterial('missileFin', () => new THREE.MeshStandardMaterial({ color: 0x555555 }));
     
     // Add 4 fins around the missile
     for (let i = 0; i < 4; i++) {
@@ -657,44 +1744,6 @@ function createMissileModel(position, direction) {
         missile.add(fin);
     }
     
-    // Position the missile
-    missile.position.copy(position);
-    
-    // Add a light at the back of the missile
-    const exhaustLight = new THREE.PointLight(0xff6600, 1, 3);
-    exhaustLight.position.set(0, 0, 1);
-    missile.add(exhaustLight);
-    
-    // Create exhaust particle effect
-    const exhaustEmitter = particleSystem.createEmitter(
-        'exhaust',
-        new THREE.Vector3(),
-        new THREE.Vector3(0, 0, 1),
-        {
-            size: 0.1,
-            count: 20,
-            emissionRate: 1
-        }
-    );
-    missile.add(exhaustEmitter.system);
-    
-    // Set missile data
-    missile.userData = {
-        type: 'missile',
-        radius: 0.5, // Collision radius
-        direction: direction.clone().normalize(),
-        speed: MISSILE_SPEED,
-        lifeTime: 0, // Track how long the missile has been alive
-        exhaustEmitter: exhaustEmitter
-    };
-    
-    // Play missile sound
-    soundManager.play('jet', 'missile');
-    
-    // Add to scene and missiles array
-    scene.add(missile);
-    missiles.push(missile);
-    
     return missile;
 }
 
@@ -710,61 +1759,28 @@ function createExplosion(position, size = 1) {
     visualEffects.shakeScreen(size * 0.2);
     
     // Create a light flash
-    const explosionLight = new THREE.PointLight(0xff5500, 5, size * 20);
+    const explosionLight = explosionLightPool.acquire();
+    explosionLight.distance = size * 20;
     explosionLight.position.copy(position);
     scene.add(explosionLight);
     
     // Remove light after a short time
     setTimeout(() => {
         scene.remove(explosionLight);
+        explosionLightPool.release(explosionLight);
     }, 200);
 }
 
-// Set up keyboard controls
-function setupControls() {
-    // Add keyboard event listeners
-    document.addEventListener('keydown', (event) => {
-        if (keys.hasOwnProperty(event.code)) {
-            keys[event.code] = true;
-        }
-        
-        // Map Space and Shift keys
-        if (event.code === 'Space') {
-            keys.Space = true;
-        }
-        if (event.code === 'ShiftLeft' || event.code === 'ShiftRight') {
-            keys.Shift = true;
-        }
-        if (event.code === 'KeyE') {
-            keys.KeyE = true;
-        }
-        if (event.code === 'KeyM') {
-            keys.KeyM = true;
-            // Toggle mute
-            const muted = soundManager.toggleMute();
-            document.getElementById('mute-button').textContent = muted ? 'Unmute' : 'Mute';
-        }
+// Set up keyboard controls
+function setupControls() {
+    // Toggle mute with the bound mute key
+    inputBindings.onAction('mute', () => {
+        const muted = soundManager.toggleMute();
+        document.getElementById('mute-button').textContent = muted ? 'Unmute' : 'Mute';
     });
     
-    document.addEventListener('keyup', (event) => {
-        if (keys.hasOwnProperty(event.code)) {
-            keys[event.code] = false;
-        }
-        
-        // Map Space and Shift keys
-        if (event.code === 'Space') {
-            keys.Space = false;
-        }
-        if (event.code === 'ShiftLeft' || event.code === 'ShiftRight') {
-            keys.Shift = false;
-        }
-        if (event.code === 'KeyE') {
-            keys.KeyE = false;
-        }
-        if (event.code === 'KeyM') {
-            keys.KeyM = false;
-        }
-    });
+    // Toggle the debug resource counter
+    inputBindings.onAction('debug', () => debugStats.toggle());
 }
 
 // Handle window resize
@@ -777,67 +1793,115 @@ function onWindowResize() {
     visualEffects.resize();
 }
 
+// Read the keyboard, gamepad and touch controls into an input state for this tick
+function readInput() {
+    const state = createEmptyInput();
+    
+    // Keyboard
+    state.moveX = (inputBindings.isActive('moveRight') ? 1 : 0) - (inputBindings.isActive('moveLeft') ? 1 : 0);
+    state.moveZ = (inputBindings.isActive('moveBack') ? 1 : 0) - (inputBindings.isActive('moveForward') ? 1 : 0);
+    state.ascend = inputBindings.isActive('ascend');
+    state.descend = inputBindings.isActive('descend');
+    state.beam = inputBindings.isActive('beam');
+    state.fire = inputBindings.isActive('fire');
+    
+    // Analog sources add up, clamped to full deflection
+    [gamepadInput.getState(), touchControls.getState()].forEach(source => {
+        state.moveX = THREE.MathUtils.clamp(state.moveX + source.moveX, -1, 1);
+        state.moveZ = THREE.MathUtils.clamp(state.moveZ + source.moveZ, -1, 1);
+        state.ascend = state.ascend || source.ascend;
+        state.descend = state.descend || source.descend;
+        state.beam = state.beam || source.beam;
+        state.fire = state.fire || source.fire;
+    });
+    
+    // Simulate the same precision the replay records
+    state.moveX = quantizeAxis(state.moveX);
+    state.moveZ = quantizeAxis(state.moveZ);
+    
+    return state;
+}
+
+// Handle the gamepad Start button (pause/resume, or start from a menu)
+function onGamepadStart() {
+    switch (gameStateManager.getState()) {
+        case gameStateManager.states.PLAYING:
+            gameStateManager.pauseGame();
+            break;
+        case gameStateManager.states.PAUSED:
+            gameStateManager.resumeGame();
+            break;
+        case gameStateManager.states.LEVEL_COMPLETE:
+            gameStateManager.nextLevel();
+            break;
+        case gameStateManager.states.START:
+            gameStateManager.startGame();
+            break;
+        case gameStateManager.states.GAME_OVER:
+            gameStateManager.restartGame();
+            break;
+    }
+}
+
 // Update UFO position based on controls
 function updateUFO() {
     // Reset acceleration
     acceleration.set(0, 0, 0);
     
+    // The speed boost power-up raises acceleration and top speed
+    const boost = powerUps.getModifier('speed', 'multiplier');
+    const thrust = config.ufo.acceleration * boost;
+    const maxSpeed = config.ufo.maxSpeed * boost;
+    
     // Apply controls to acceleration
-    if (keys.ArrowUp) {
-        acceleration.z -= ACCELERATION;
-    }
-    if (keys.ArrowDown) {
-        acceleration.z += ACCELERATION;
+    acceleration.x += input.moveX * thrust;
+    acceleration.z += input.moveZ * thrust;
+    if (input.ascend) {
+        acceleration.y += thrust;
     }
-    if (keys.ArrowLeft) {
-        acceleration.x -= ACCELERATION;
-    }
-    if (keys.ArrowRight) {
-        acceleration.x += ACCELERATION;
-    }
-    if (keys.Space) {
-        acceleration.y += ACCELERATION;
-    }
-    if (keys.Shift) {
-        acceleration.y -= ACCELERATION;
+    if (input.descend) {
+        acceleration.y -= thrust;
     }
     
     // Apply acceleration to velocity
     velocity.add(acceleration);
     
     // Apply deceleration (drag)
-    velocity.multiplyScalar(DECELERATION);
+    velocity.multiplyScalar(config.ufo.deceleration);
     
     // Limit maximum speed
-    if (velocity.length() > MAX_SPEED) {
-        velocity.normalize().multiplyScalar(MAX_SPEED);
+    if (velocity.length() > maxSpeed) {
+        velocity.normalize().multiplyScalar(maxSpeed);
     }
     
     // Apply velocity to position
     ufo.position.add(velocity);
     
     // Keep UFO above the terrain (minimum height)
-    if (ufo.position.y < 5) {
-        ufo.position.y = 5;
+    const minUfoHeight = terrain.getHeightAt(ufo.position.x, ufo.position.z) + config.ufo.minAltitude;
+    if (ufo.position.y < minUfoHeight) {
+        ufo.position.y = minUfoHeight;
         velocity.y = 0;
     }
     
-    // Keep UFO within game bounds
-    if (Math.abs(ufo.position.x) > GAME_BOUNDS) {
-        ufo.position.x = Math.sign(ufo.position.x) * GAME_BOUNDS;
-        velocity.x *= -0.5; // Bounce off the boundary
-    }
-    if (Math.abs(ufo.position.z) > GAME_BOUNDS) {
-        ufo.position.z = Math.sign(ufo.position.z) * GAME_BOUNDS;
-        velocity.z *= -0.5; // Bounce off the boundary
+    // Keep UFO within game bounds (free roam has none)
+    if (!gameStateManager.isFreeRoam()) {
+        if (Math.abs(ufo.position.x) > config.world.bounds) {
+            ufo.position.x = Math.sign(ufo.position.x) * config.world.bounds;
+            velocity.x *= -0.5; // Bounce off the boundary
+        }
+        if (Math.abs(ufo.position.z) > config.world.bounds) {
+            ufo.position.z = Math.sign(ufo.position.z) * config.world.bounds;
+            velocity.z *= -0.5; // Bounce off the boundary
+        }
     }
     
     // Apply hovering effect
-    hoverOffset += HOVER_SPEED * hoverDirection;
-    if (Math.abs(hoverOffset) > HOVER_HEIGHT) {
+    hoverOffset += config.ufo.hoverSpeed * hoverDirection;
+    if (Math.abs(hoverOffset) > config.ufo.hoverHeight) {
         hoverDirection *= -1;
     }
-    ufo.position.y += HOVER_SPEED * hoverDirection;
+    ufo.position.y += config.ufo.hoverSpeed * hoverDirection;
     
     // Rotate UFO based on movement
     if (velocity.x !== 0 || velocity.z !== 0) {
@@ -870,6 +1934,9 @@ function updateUFO() {
     // Handle tractor beam
     updateTractorBeam();
     
+    // Handle weapon fire
+    updateWeapon();
+    
     // Update engine exhaust position
     if (engineExhaust) {
         const exhaustPos = new THREE.Vector3(0, -1.5, 0);
@@ -887,9 +1954,17 @@ function updateUFO() {
 
 // Update tractor beam state and effect
 function updateTractorBeam() {
-    // Toggle tractor beam visibility based on E key
+    const rng = random.stream('effects');
+    
+    // Toggle tractor beam visibility based on beam input (a drained beam won't start)
     const wasActive = tractorBeam.visible;
-    tractorBeam.visible = keys.KeyE;
+    tractorBeam.visible = input.beam && abductionBeam.canUse();
+    
+    // The super beam power-up widens and strengthens the beam
+    const beamWidth = powerUps.getModifier('beam', 'range');
+    const beamRange = config.beam.range * beamWidth;
+    const beamStrength = config.beam.strength * powerUps.getModifier('beam', 'strength');
+    tractorBeam.scale.set(beamWidth, 1, beamWidth);
     
     // Play tractor beam sound when activated
     if (!wasActive && tractorBeam.visible) {
@@ -898,6 +1973,9 @@ function updateTractorBeam() {
         soundManager.stop('ufo', 'tractor_beam');
     }
     
+    // Cows still rising this tick (they drain extra energy)
+    const lifting = [];
+    
     // If beam is active, check for cows to abduct
     if (tractorBeam.visible) {
         // Get the beam's world position (bottom of the beam)
@@ -905,11 +1983,11 @@ function updateTractorBeam() {
         beamPosition.applyMatrix4(tractorBeam.matrixWorld);
         
         // Create sparkle particles in the beam
-        if (Math.random() < 0.2) {
+        if (rng.next() < 0.2) {
             const sparklePos = new THREE.Vector3(
-                beamPosition.x + (Math.random() - 0.5) * 3,
-                beamPosition.y + Math.random() * 8,
-                beamPosition.z + (Math.random() - 0.5) * 3
+                beamPosition.x + (rng.next() - 0.5) * 3,
+                beamPosition.y + rng.next() * 8,
+                beamPosition.z + (rng.next() - 0.5) * 3
             );
             
             particleSystem.createEmitter('sparkle', sparklePos, new THREE.Vector3(0, 1, 0), {
@@ -918,8 +1996,9 @@ function updateTractorBeam() {
             });
         }
         
-        // Check each cow for abduction
-        cows.forEach((cow, index) => {
+        // Check each cow for abduction (finished ones leave the herd after the loop)
+        const abducted = [];
+        cows.forEach(cow => {
             if (!cow.userData.isBeingAbducted) {
                 // Calculate horizontal distance between beam and cow
                 const horizontalDist = new THREE.Vector2(
@@ -927,17 +2006,24 @@ function updateTractorBeam() {
                     cow.position.z - ufo.position.z
                 ).length();
                 
-                // If cow is within beam range, start abduction
-                if (horizontalDist < BEAM_RANGE / 2 && cow.position.y < ufo.position.y) {
+                // If cow is within beam range, start abduction (falling cows can be caught again)
+                if (horizontalDist < beamRange / 2 && cow.position.y < ufo.position.y) {
                     cow.userData.isBeingAbducted = true;
                     cow.userData.abductionProgress = 0;
+                    abductionBeam.catch(cow);
                     
-                    // Play cow moo sound
-                    soundManager.play('cow', 'moo');
+                    // Play its grab sound
+                    playAbducteeSound(cow, 'grab');
                 }
             } else {
-                // Continue abduction process
-                cow.userData.abductionProgress += BEAM_STRENGTH;
+                // Kicking, or flying too fast, can shake the cow loose
+                if (!abductionBeam.updateGrip(cow, velocity.length(), random.stream('ai'))) {
+                    dropCow(cow);
+                    return;
+                }
+                
+                // Continue abduction process (slower while it kicks, and for heavier abductees)
+                cow.userData.abductionProgress += beamStrength * abductionBeam.getLift(cow) / cow.userData.weight;
                 
                 // Calculate new position (move toward UFO)
                 const targetY = ufo.position.y - 1;
@@ -962,13 +2048,14 @@ function updateTractorBeam() {
                     lerpFactor * 0.05
                 );
                 
-                // Rotate cow as it's being abducted
+                // Rotate cow as it's being abducted, wriggling while it kicks
                 cow.rotation.y += 0.05;
+                cow.rotation.z = cow.userData.struggle > 0 ? Math.sin(cow.userData.struggle * 0.8) * 0.4 : 0;
                 
                 // If cow reaches UFO, complete abduction
                 if (cow.position.distanceTo(ufo.position) < 3) {
                     // Play abduction complete sound
-                    soundManager.play('cow', 'abduction_complete');
+                    playAbducteeSound(cow, 'complete');
                     
                     // Create sparkle effect
                     particleSystem.createEmitter('sparkle', cow.position, new THREE.Vector3(0, 1, 0), {
@@ -976,145 +2063,387 @@ function updateTractorBeam() {
                         count: 30
                     });
                     
-                    // Remove cow from scene and array
-                    scene.remove(cow);
-                    cows.splice(index, 1);
+                    // Remove cow from scene (and from the array below)
+                    instancedRenderer.remove(cow);
+                    abducted.push(cow);
+                    director.recordAbduction(gameLoop.simulationTime);
                     
-                    // Increase score
-                    gameStateManager.updateScore(gameStateManager.score + 100);
+                    // Don't respawn it when its free roam chunk reloads
+                    if (cow.userData.chunkCowId) {
+                        abductedCows.add(cow.userData.chunkCowId);
+                    }
                     
-                    // Increase spawn rate of jets
+                    // Score the abductee's value (quick successive abductions build a combo)
+                    scoreKeeper.recordAbduction(abductees.get(cow.userData.type).score, ufo.position, gameLoop.simulationTime);
+                    
+                    // Increase spawn rate of enemies
+                    const spawn = getSpawnSchedule();
                     currentSpawnInterval = Math.max(
-                        SPAWN_INTERVAL_MIN,
-                        currentSpawnInterval * (1 - SPAWN_RATE_INCREASE)
+                        spawn.min,
+                        currentSpawnInterval * (1 - spawn.speedup)
                     );
+                } else {
+                    lifting.push(cow);
                 }
             }
         });
+        abducted.forEach(cow => cows.splice(cows.indexOf(cow), 1));
+    } else {
+        // Letting go of the beam (or running it dry) drops everything in it
+        cows.forEach(cow => {
+            if (cow.userData.isBeingAbducted) {
+                dropCow(cow);
+            }
+        });
+    }
+    
+    // Drain or recharge the beam
+    abductionBeam.update(tractorBeam.visible, lifting);
+}
+
+// Let go of a cow in the beam: it keeps the UFO's momentum and falls
+function dropCow(cow) {
+    cow.userData.isBeingAbducted = false;
+    cow.userData.abductionProgress = 0;
+    cowAI.drop(cow, velocity);
+    
+    playAbducteeSound(cow, 'grab');
+}
+
+// Kick up dust where a dropped cow lands (a hard landing injures it)
+function landCow(cow) {
+    const hurt = cow.userData.ai.landed === 'hurt';
+    particleSystem.createEmitter('smoke', cow.position, new THREE.Vector3(0, 1, 0), {
+        oneShot: true,
+        count: hurt ? 30 : 10
+    });
+    
+    if (hurt) {
+        playAbducteeSound(cow, 'grab');
+        visualEffects.shakeScreen(0.2);
     }
 }
 
+// Fire and move the UFO's plasma bolts
+function updateWeapon() {
+    playerWeapon.update(input.fire, ufo.position, getWeaponAim());
+}
+
+// Get the weapon's aim: the UFO's heading, locked onto the nearest enemy, missile
+// or flare roughly ahead so targets at other altitudes can be hit
+function getWeaponAim() {
+    const heading = new THREE.Vector3(Math.sin(ufo.rotation.y), 0, Math.cos(ufo.rotation.y));
+    const aim = heading.clone();
+    let closest = WEAPON_AIM_RANGE;
+    
+    [...enemies, ...missiles, ...flares].forEach(target => {
+        const offset = new THREE.Vector3().subVectors(target.position, ufo.position);
+        const distance = offset.length();
+        if (distance >= closest) return;
+        
+        // Compare headings on the ground plane only
+        const flat = new THREE.Vector3(offset.x, 0, offset.z);
+        if (flat.lengthSq() === 0 || flat.angleTo(heading) > WEAPON_AIM_ANGLE) return;
+        
+        closest = distance;
+        aim.copy(offset).normalize();
+    });
+    
+    return aim;
+}
+
 // Update camera position to follow the UFO
-function updateCamera() {
+function updateCamera(deltaTime) {
     // Calculate target camera position
     const targetPosition = ufo.position.clone().add(cameraOffset);
     
-    // Smoothly move camera towards target position (camera lag)
-    camera.position.lerp(targetPosition, CAMERA_LAG);
+    // Smoothly move camera towards target position (camera lag, scaled to frame time)
+    camera.position.lerp(targetPosition, gameLoop.frameBlend(CAMERA_LAG, deltaTime));
     
     // Make camera look at the UFO
     camera.lookAt(ufo.position);
 }
 
-// Update cow animations
+// Let the cows graze, follow their herd and run from the UFO
 function updateCows() {
+    const context = {
+        target: ufo.position,
+        beamActive: tractorBeam.visible,
+        cows: cows,
+        getHeightAt: (x, z) => terrain.getHeightAt(x, z),
+        bounds: gameStateManager.isFreeRoam() ? null : config.world.bounds,
+        rng: random.stream('ai')
+    };
+    
     cows.forEach(cow => {
-        if (!cow.userData.isBeingAbducted) {
-            // Update idle animation timer
-            cow.userData.idleAnimation.timer += cow.userData.idleAnimation.speed;
-            
-            // Apply subtle movement
-            const headBob = Math.sin(cow.userData.idleAnimation.timer) * 0.05;
-            cow.position.y += headBob;
-            
-            // Occasionally make the cow turn slightly
-            if (Math.random() < 0.005) {
-                cow.rotation.y += (Math.random() - 0.5) * 0.5;
-            }
+        if (cow.userData.isBeingAbducted) return;
+        
+        // The cow magnet drags nearby cows toward the UFO
+        if (powerUps.isActive('magnet') && !cowAI.isFalling(cow)) {
+            pullCowToUFO(cow);
+        }
+        
+        // Walk, turn and settle onto the terrain (or fall, if dropped)
+        cowAI.update(cow, context);
+        if (cow.userData.ai.landed) {
+            landCow(cow);
         }
     });
 }
 
-// Spawn and update jets
-function updateJets() {
-    const currentTime = Date.now();
+// Slide a cow toward the point under the UFO (the cow AI keeps it on the ground)
+function pullCowToUFO(cow) {
+    const magnet = powerUps.types.magnet;
+    const offset = new THREE.Vector2(ufo.position.x - cow.position.x, ufo.position.z - cow.position.z);
+    const distance = offset.length();
+    if (distance > magnet.radius || distance < 1) return;
+    
+    offset.multiplyScalar(Math.min(magnet.pull, distance) / distance);
+    cow.position.x += offset.x;
+    cow.position.z += offset.y;
+}
+
+// Spawn field pickups and move, collect and time out power-ups
+function updatePowerUps() {
+    const now = gameLoop.simulationTime;
+    
+    // Struggling players see pickups more often
+    const rate = director.getPowerUpMultiplier();
+    if (powerUps.isFieldSpawnDue(now, rate)) {
+        spawnFieldPowerUp();
+    }
+    
+    powerUps.update({
+        position: ufo.position,
+        radius: ufo.userData.radius,
+        time: now,
+        getHeightAt: (x, z) => terrain.getHeightAt(x, z)
+    });
+}
+
+// Drop a random power-up somewhere around the UFO
+function spawnFieldPowerUp() {
+    const rng = random.stream('powerups');
+    const settings = powerUps.settings;
+    const angle = rng.next() * Math.PI * 2;
+    const distance = settings.fieldMinDistance + rng.next() * (settings.fieldMaxDistance - settings.fieldMinDistance);
+    
+    const position = new THREE.Vector3(
+        ufo.position.x + Math.cos(angle) * distance,
+        0,
+        ufo.position.z + Math.sin(angle) * distance
+    );
     
-    // Spawn new jets based on interval
-    if (currentTime - lastJetSpawn > currentSpawnInterval) {
-        spawnJet();
-        lastJetSpawn = currentTime;
+    // Keep classic mode pickups inside the play area
+    if (!gameStateManager.isFreeRoam()) {
+        position.x = THREE.MathUtils.clamp(position.x, -config.world.bounds, config.world.bounds);
+        position.z = THREE.MathUtils.clamp(position.z, -config.world.bounds, config.world.bounds);
     }
+    position.y = terrain.getHeightAt(position.x, position.z) + settings.hoverHeight;
     
-    // Update existing jets
-    jets.forEach((jet, index) => {
-        // Update jet position to move toward UFO
-        const direction = new THREE.Vector3().subVectors(ufo.position, jet.position).normalize();
-        jet.userData.target.copy(ufo.position);
-        
-        // Move jet toward UFO
-        jet.position.add(direction.multiplyScalar(jet.userData.speed));
+    powerUps.spawn(powerUps.pickType(rng), position, gameLoop.simulationTime);
+}
+
+// Apply a collected power-up (timed effects are tracked by the power-up manager)
+function collectPowerUp(name, type, position) {
+    if (name === 'repair') {
+        const maxHealth = gameStateManager.getDifficulty().health;
+        gameStateManager.updateHealth(Math.min(maxHealth, gameStateManager.health + type.amount));
+    }
+    
+    // Burst of sparkles in the power-up's color
+    particleSystem.createEmitter('sparkle', position, new THREE.Vector3(0, 1, 0), {
+        oneShot: true,
+        color: type.color,
+        count: 40
+    });
+    
+    soundManager.play('ui', 'power_up');
+}
+
+// Spawn and update enemies
+function updateEnemies() {
+    const currentTime = gameLoop.simulationTime;
+    
+    // Spawn new enemies based on interval (the director speeds this up or slows it down)
+    if (currentTime - lastEnemySpawn > currentSpawnInterval * director.getSpawnMultiplier()) {
+        spawnEnemy();
+        lastEnemySpawn = currentTime;
+    }
+    
+    const context = getEnemyContext();
+    
+    // Update existing enemies (backwards, so far-away ones can be removed)
+    for (let enemyIndex = enemies.length - 1; enemyIndex >= 0; enemyIndex--) {
+        const enemy = enemies[enemyIndex];
+        const type = enemyTypes.get(enemy.userData.enemyType);
         
-        // Rotate jet to face direction of travel
-        const targetRotation = Math.atan2(direction.x, direction.z);
-        jet.rotation.y = targetRotation;
+        // Move and aim with the type's AI
+        type.ai.update(enemy, context);
         
-        // Tilt jet based on vertical movement
-        jet.rotation.x = direction.y * 0.5;
+        // Keep aircraft above the terrain
+        if (type.placement === 'air') {
+            const minHeight = terrain.getHeightAt(enemy.position.x, enemy.position.z) + config.enemies.minAltitude;
+            if (enemy.position.y < minHeight) {
+                enemy.position.y = minHeight;
+            }
+        }
         
         // Update exhaust position
-        if (jet.userData.exhaustEmitter) {
-            const exhaustPos = new THREE.Vector3(-2, 0, 0);
-            jet.localToWorld(exhaustPos);
-            particleSystem.updateEmitterPosition(jet.userData.exhaustEmitter, exhaustPos);
+        if (enemy.userData.exhaustEmitter) {
+            const exhaustPos = type.exhaust.clone();
+            enemy.localToWorld(exhaustPos);
+            particleSystem.updateEmitterPosition(enemy.userData.exhaustEmitter, exhaustPos);
         }
         
-        // Check if jet should fire a missile
-        const timeSinceLastFire = currentTime - jet.userData.lastFired;
-        if (timeSinceLastFire > jet.userData.fireRate) {
-            // Fire a missile at the UFO
-            const missilePosition = jet.position.clone();
-            const missileDirection = new THREE.Vector3().subVectors(ufo.position, missilePosition);
-            createMissileModel(missilePosition, missileDirection);
+        // Pull the trigger when the weapon is ready and the UFO is in the
+        // enemy's sights (cannons fire a burst; the director sets how eager they are)
+        const weapon = enemyWeapons.get(enemy.userData.weapon);
+        const timeSinceLastFire = currentTime - enemy.userData.lastFired;
+        const fireRate = enemy.userData.fireRate / director.getAggression();
+        if (timeSinceLastFire > fireRate && type.ai.canFire(enemy, ufo.position)) {
+            enemy.userData.burstRemaining = weapon.burst || 1;
+            enemy.userData.burstTimer = 0;
             
             // Update last fired time
-            jet.userData.lastFired = currentTime;
+            enemy.userData.lastFired = currentTime;
         }
         
-        // Remove jets that are too far away
-        if (jet.position.distanceTo(ufo.position) > GAME_BOUNDS * 1.5) {
-            // Stop engine sound
-            if (jet.userData.engineSound && jet.userData.engineSound.isPlaying) {
-                jet.userData.engineSound.stop();
-            }
-            
-            // Remove exhaust emitter
-            if (jet.userData.exhaustEmitter) {
-                particleSystem.removeEmitter(jet.userData.exhaustEmitter);
+        if (enemy.userData.burstRemaining > 0) {
+            enemy.userData.burstTimer--;
+            if (enemy.userData.burstTimer <= 0) {
+                fireEnemyWeapon(enemy, type, weapon);
+                enemy.userData.burstRemaining--;
+                enemy.userData.burstTimer = weapon.burstInterval || 0;
             }
-            
-            scene.remove(jet);
-            jets.splice(index, 1);
         }
-    });
+        
+        // Drop flares when the player is shooting nearby
+        if (enemy.userData.flareCooldown > 0) {
+            enemy.userData.flareCooldown--;
+        } else if (input.fire && enemy.userData.flares > 0 &&
+            enemy.position.distanceTo(ufo.position) < WEAPON_AIM_RANGE) {
+            createFlare(enemy);
+            enemy.userData.flares--;
+            enemy.userData.flareCooldown = enemyWeapons.flares.cooldown;
+        }
+        
+        // Remove enemies that are too far away
+        if (enemy.position.distanceTo(ufo.position) > config.world.bounds * 1.5) {
+            removeEnemy(enemy);
+            enemies.splice(enemyIndex, 1);
+        }
+    }
 }
 
-// Spawn a new jet at the edge of the game area
-function spawnJet() {
-    // Create a new jet
-    const jet = createJetModel();
-    
-    // Position the jet at the edge of the game area
-    const angle = Math.random() * Math.PI * 2;
-    const distance = GAME_BOUNDS * 1.2;
-    const x = Math.cos(angle) * distance;
-    const z = Math.sin(angle) * distance;
+// Get what enemy AI needs to know this tick
+function getEnemyContext() {
+    return {
+        target: ufo.position,
+        enemies: enemies,
+        cows: cows,
+        getHeightAt: (x, z) => terrain.getHeightAt(x, z),
+        rng: random.stream('ai')
+    };
+}
+
+// Fire one shot of an enemy's weapon at the UFO
+function fireEnemyWeapon(enemy, type, weapon) {
+    const position = new THREE.Vector3();
+    if (type.ai.getMuzzle) {
+        type.ai.getMuzzle(enemy, position);
+    } else {
+        position.copy(enemy.position);
+    }
     
-    // Set y position (altitude)
-    const y = ufo.position.y + (Math.random() * 10 - 5);
+    // Shotguns fire several pellets per shot
+    const pellets = weapon.pellets || 1;
+    for (let i = 0; i < pellets; i++) {
+        const direction = new THREE.Vector3().subVectors(ufo.position, position).normalize();
+        
+        // Shells scatter around the aim point
+        if (weapon.spread) {
+            const rng = random.stream('ai');
+            direction.x += (rng.next() - 0.5) * 2 * weapon.spread;
+            direction.y += (rng.next() - 0.5) * 2 * weapon.spread;
+            direction.z += (rng.next() - 0.5) * 2 * weapon.spread;
+        }
+        
+        createMissileModel(position, direction, enemy.userData.weapon, weapon.turnRate ? ufo : null);
+    }
+}
+
+// Spawn a new enemy of a random type that can appear right now
+function spawnEnemy() {
+    const rng = random.stream('spawn');
+    
+    const name = enemyTypes.pickType(rng, type =>
+        enemyTypes.getActiveCount(type.name) < type.maxActive &&
+        (type.placement !== 'herd' || cows.length > 0),
+        getCurrentLevel().enemies
+    );
+    if (!name) return null;
+    
+    const type = enemyTypes.get(name);
+    const enemy = createEnemy(name);
+    const center = gameStateManager.isFreeRoam() ? ufo.position : PLAY_AREA;
+    
+    if (type.placement === 'ground') {
+        // Somewhere on the ground around the UFO (inside the bounds in classic)
+        const angle = rng.next() * Math.PI * 2;
+        const distance = 60 + rng.next() * 80;
+        let x = ufo.position.x + Math.cos(angle) * distance;
+        let z = ufo.position.z + Math.sin(angle) * distance;
+        if (!gameStateManager.isFreeRoam()) {
+            x = THREE.MathUtils.clamp(x, -config.world.bounds, config.world.bounds);
+            z = THREE.MathUtils.clamp(z, -config.world.bounds, config.world.bounds);
+        }
+        enemy.position.set(x, terrain.getHeightAt(x, z), z);
+    } else if (type.placement === 'herd') {
+        // Beside one of the cows
+        const cow = cows[Math.floor(rng.next() * cows.length)];
+        const angle = rng.next() * Math.PI * 2;
+        const x = cow.position.x + Math.cos(angle) * 5;
+        const z = cow.position.z + Math.sin(angle) * 5;
+        enemy.position.set(x, terrain.getHeightAt(x, z), z);
+    } else {
+        // At the edge of the game area (around the UFO in free roam)
+        const angle = rng.next() * Math.PI * 2;
+        const distance = config.world.bounds * 1.2;
+        const x = center.x + Math.cos(angle) * distance;
+        const z = center.z + Math.sin(angle) * distance;
+        
+        // Set y position (altitude), never below the ground
+        const y = Math.max(
+            ufo.position.y + (rng.next() * 10 - 5),
+            terrain.getHeightAt(x, z) + config.enemies.minAltitude
+        );
+        
+        enemy.position.set(x, y, z);
+    }
     
-    jet.position.set(x, y, z);
+    type.ai.reset(enemy, getEnemyContext());
     
-    // Add to scene and jets array
-    scene.add(jet);
-    jets.push(jet);
+    // Add to scene and enemies array
+    scene.add(enemy);
+    enemies.push(enemy);
     
-    return jet;
+    return enemy;
 }
 
 // Update missiles
 function updateMissiles() {
     for (let missileIndex = missiles.length - 1; missileIndex >= 0; missileIndex--) {
         const missile = missiles[missileIndex];
+        
+        // Homing missiles turn toward their target, limited by their turn rate
+        const target = missile.userData.target;
+        if (target) {
+            const desired = new THREE.Vector3().subVectors(target.position, missile.position).normalize();
+            enemyWeapons.steer(missile.userData.direction, desired, missile.userData.weapon.turnRate);
+            missile.lookAt(missile.position.clone().sub(missile.userData.direction));
+        }
+        
         // Move missile in its direction
         missile.position.add(
             missile.userData.direction.clone().multiplyScalar(missile.userData.speed)
@@ -1123,47 +2452,59 @@ function updateMissiles() {
         // Increment lifetime
         missile.userData.lifeTime++;
         
-        // Remove missiles that have traveled too far or lived too long
-        if (missile.position.distanceTo(ufo.position) > GAME_BOUNDS * 1.5 || 
-            missile.userData.lifeTime > 500) {
-            
-            // Remove exhaust emitter
-            if (missile.userData.exhaustEmitter) {
-                particleSystem.removeEmitter(missile.userData.exhaustEmitter);
-            }
-            
-            scene.remove(missile);
+        // Explode missiles that hit the ground
+        const hitGround = terrain.isBelowGround(missile.position);
+        if (hitGround) {
+            createExplosion(missile.position.clone(), 1);
+        }
+        
+        // Remove missiles that hit the ground, traveled too far or lived too long
+        if (hitGround ||
+            missile.position.distanceTo(ufo.position) > config.world.bounds * 1.5 || 
+            missile.userData.lifeTime > missile.userData.weapon.lifetime) {
+            removeMissile(missile);
             missiles.splice(missileIndex, 1);
         }
     }
 }
 
+// Update flares (they drift down and burn out)
+function updateFlares() {
+    for (let flareIndex = flares.length - 1; flareIndex >= 0; flareIndex--) {
+        const flare = flares[flareIndex];
+        
+        flare.userData.velocity.y -= enemyWeapons.flares.gravity;
+        flare.position.add(flare.userData.velocity);
+        particleSystem.updateEmitterPosition(flare.userData.trail, flare.position);
+        
+        flare.userData.lifeTime--;
+        if (flare.userData.lifeTime <= 0 || terrain.isBelowGround(flare.position)) {
+            removeFlare(flare);
+            flares.splice(flareIndex, 1);
+        }
+    }
+}
+
 // Check for collisions between objects
 function checkCollisions() {
-    // Check UFO collision with jets
-    for (let jetIndex = jets.length - 1; jetIndex >= 0; jetIndex--) {
-        const jet = jets[jetIndex];
-        const distance = jet.position.distanceTo(ufo.position);
-        if (distance < (ufo.userData.radius + jet.userData.radius)) {
+    // Check UFO collision with enemies (ground enemies can't be rammed)
+    for (let enemyIndex = enemies.length - 1; enemyIndex >= 0; enemyIndex--) {
+        const enemy = enemies[enemyIndex];
+        const type = enemyTypes.get(enemy.userData.enemyType);
+        if (type.contactDamage === 0) continue;
+        
+        const distance = enemy.position.distanceTo(ufo.position);
+        if (distance < (ufo.userData.radius + enemy.userData.radius)) {
             // Collision detected
-            createExplosion(jet.position.clone(), 3);
-            
-            // Stop engine sound
-            if (jet.userData.engineSound && jet.userData.engineSound.isPlaying) {
-                jet.userData.engineSound.stop();
-            }
-            
-            // Remove exhaust emitter
-            if (jet.userData.exhaustEmitter) {
-                particleSystem.removeEmitter(jet.userData.exhaustEmitter);
-            }
+            createExplosion(enemy.position.clone(), 3);
             
-            // Remove jet
-            scene.remove(jet);
-            jets.splice(jetIndex, 1);
+            // Remove enemy
+            removeEnemy(enemy);
+            enemies.splice(enemyIndex, 1);
             
             // Damage player
-            damagePlayer();
+            damagePlayer(type.contactDamage);
+            if (!gameStateManager.isGameActive()) return;
         }
     }
     
@@ -1175,25 +2516,92 @@ function checkCollisions() {
             // Collision detected
             createExplosion(missile.position.clone(), 2);
             
-            // Remove exhaust emitter
-            if (missile.userData.exhaustEmitter) {
-                particleSystem.removeEmitter(missile.userData.exhaustEmitter);
-            }
-            
             // Remove missile
-            scene.remove(missile);
+            const damage = missile.userData.damage;
+            removeMissile(missile);
             missiles.splice(missileIndex, 1);
             
             // Damage player
-            damagePlayer();
+            damagePlayer(damage);
+            if (!gameStateManager.isGameActive()) return;
+        } else if (distance > missile.userData.closestApproach) {
+            // Count a near miss once a projectile that came close starts to pull away
+            const nearMissRange = ufo.userData.radius + missile.userData.radius + director.settings.nearMissDistance;
+            if (!missile.userData.nearMiss && missile.userData.closestApproach < nearMissRange) {
+                missile.userData.nearMiss = true;
+                director.recordNearMiss(gameLoop.simulationTime);
+                scoreKeeper.recordNearMiss(ufo.position, gameLoop.simulationTime);
+            }
+        }
+        missile.userData.closestApproach = Math.min(missile.userData.closestApproach, distance);
+    }
+    
+    // Check player bolts against flares, enemies and missiles
+    for (let boltIndex = playerWeapon.bolts.length - 1; boltIndex >= 0; boltIndex--) {
+        const bolt = playerWeapon.bolts[boltIndex];
+        
+        // Flares soak up bolts
+        const flareIndex = flares.findIndex(flare => playerWeapon.hitTest(bolt, flare.position, flare.userData.radius));
+        if (flareIndex !== -1) {
+            createExplosion(flares[flareIndex].position.clone(), 0.5);
+            removeFlare(flares[flareIndex]);
+            flares.splice(flareIndex, 1);
+            playerWeapon.removeBolt(bolt);
+            continue;
+        }
+        
+        const enemyIndex = enemies.findIndex(enemy => playerWeapon.hitTest(bolt, enemy.position, enemy.userData.radius));
+        if (enemyIndex !== -1) {
+            const enemy = enemies[enemyIndex];
+            playerWeapon.removeBolt(bolt);
+            
+            // Tougher enemies take several hits
+            enemy.userData.health--;
+            if (enemy.userData.health > 0) {
+                particleSystem.createEmitter('sparkle', enemy.position, new THREE.Vector3(0, 1, 0), {
+                    oneShot: true,
+                    color: 0xff9900,
+                    count: 10
+                });
+                continue;
+            }
+            
+            createExplosion(enemy.position.clone(), 3);
+            removeEnemy(enemy);
+            enemies.splice(enemyIndex, 1);
+            scoreKeeper.recordKill('enemies', enemyTypes.get(enemy.userData.enemyType).score, enemy.position, gameLoop.simulationTime);
+            
+            // Destroyed enemies sometimes leave a power-up behind
+            powerUps.tryDrop(enemy.position, gameLoop.simulationTime, random.stream('powerups'), director.getPowerUpMultiplier());
+            continue;
+        }
+        
+        const missileIndex = missiles.findIndex(missile => playerWeapon.hitTest(bolt, missile.position, missile.userData.radius));
+        if (missileIndex !== -1) {
+            const missile = missiles[missileIndex];
+            createExplosion(missile.position.clone(), 1);
+            removeMissile(missile);
+            missiles.splice(missileIndex, 1);
+            playerWeapon.removeBolt(bolt);
+            scoreKeeper.recordKill('missiles', MISSILE_KILL_SCORE, missile.position, gameLoop.simulationTime);
         }
     }
 }
 
 // Apply damage to the player
-function damagePlayer() {
+function damagePlayer(amount = 1) {
+    // The shield power-up soaks up hits while it lasts
+    if (powerUps.absorbHit()) {
+        visualEffects.shakeScreen(0.2);
+        soundManager.play('ufo', 'explosion');
+        return;
+    }
+    
+    director.recordDamage(amount, gameLoop.simulationTime);
+    scoreKeeper.recordDamage(gameLoop.simulationTime);
+    
     // Update health
-    gameStateManager.updateHealth(gameStateManager.health - 1);
+    gameStateManager.updateHealth(Math.max(0, gameStateManager.health - amount));
     
     // Visual feedback for damage
     ufo.visible = false;
@@ -1212,46 +2620,208 @@ function damagePlayer() {
         // Create large explosion at UFO position
         createExplosion(ufo.position.clone(), 5);
         
+        // Stop recording; the replay can be exported from the game over screen
+        inputRecorder.stop(gameStateManager.score);
+        
         // End the game
         gameStateManager.endGame();
     }
 }
 
-// Animation loop
-function animate(timestamp) {
-    requestAnimationFrame(animate);
+// Get the current level's definition (free roam has a spawn schedule but no levels)
+function getCurrentLevel() {
+    return gameStateManager.isFreeRoam() ? levelManager.freeRoam : levelManager.getLevel();
+}
+
+// Get the current level's spawn schedule, scaled by the difficulty
+function getSpawnSchedule() {
+    const spawn = getCurrentLevel().spawn;
+    const difficulty = gameStateManager.getDifficulty();
+    
+    return {
+        delay: spawn.delay * difficulty.spawnInterval,
+        interval: spawn.interval * difficulty.spawnInterval,
+        min: spawn.min * difficulty.spawnInterval,
+        speedup: Math.min(0.9, spawn.speedup * difficulty.spawnSpeedup)
+    };
+}
+
+// Restart the spawn timer with the current level's schedule
+function resetSpawnSchedule() {
+    const spawn = getSpawnSchedule();
+    currentSpawnInterval = spawn.interval;
     
-    // Calculate delta time
-    const deltaTime = timestamp - lastFrameTime;
-    lastFrameTime = timestamp;
+    // The first enemy arrives after the level's delay
+    lastEnemySpawn = gameLoop.simulationTime - spawn.interval + spawn.delay;
+}
+
+// Return every enemy, projectile, flare and bolt to its pool (the arrays are
+// emptied in place so the mini-map keeps its references)
+function clearHostiles() {
+    enemies.forEach(removeEnemy);
+    enemies.length = 0;
     
-    // Only update game logic if game is active
-    if (gameStateManager.isGameActive()) {
-        // Update UFO position and rotation
-        updateUFO();
-        
-        // Update camera to follow UFO
-        updateCamera();
-        
-        // Update cows
-        updateCows();
-        
-        // Update jets and missiles
-        updateJets();
-        updateMissiles();
-        
-        // Update particle systems
-        particleSystem.update();
-        
-        // Check for collisions
-        checkCollisions();
-        
-        // Update mini-map
-        if (miniMap) {
-            miniMap.update();
+    missiles.forEach(removeMissile);
+    missiles.length = 0;
+    
+    flares.forEach(removeFlare);
+    flares.length = 0;
+    
+    // Clear bolts and weapon heat
+    playerWeapon.reset();
+}
+
+// Finish the level when the herd is cleared, or end the run when time runs out
+function updateLevel() {
+    if (gameStateManager.isFreeRoam() || !gameStateManager.isGameActive()) return;
+    
+    if (cows.length === 0) {
+        completeLevel();
+    } else if (levelManager.getTimeLeft(gameLoop.simulationTime) <= 0) {
+        inputRecorder.stop(gameStateManager.score);
+        gameStateManager.endGame(`Out of time on level ${levelManager.index + 1}`);
+    }
+}
+
+// Award the time bonus, clear the sky and show the level complete screen
+function completeLevel() {
+    const now = gameLoop.simulationTime;
+    const level = levelManager.getLevel();
+    const bonus = scoreKeeper.recordLevelBonus(levelManager.getTimeBonus(now), now);
+    
+    clearHostiles();
+    tractorBeam.visible = false;
+    soundManager.stop('ufo', 'tractor_beam');
+    soundManager.play('ui', 'game_start');
+    
+    gameStateManager.completeLevel({
+        level: levelManager.index + 1,
+        name: level.name,
+        nextName: levelManager.getLevel(levelManager.index + 1).name,
+        cows: level.cows,
+        time: levelManager.formatTime(levelManager.getElapsed(now)),
+        bonus: bonus
+    });
+}
+
+// Start a classic mode level with a fresh herd and the level's spawn schedule
+function startLevel(index) {
+    levelManager.start(index, gameLoop.simulationTime);
+    createCows();
+    resetSpawnSchedule();
+}
+
+// Advance the game simulation by one fixed tick
+function updateGame() {
+    // Read input for this tick from the replay or the keyboard
+    if (replayPlayer.active) {
+        if (replayPlayer.isFinished()) {
+            // Hold on the last frame at the end of the replay
+            if (!replayPlayer.paused) {
+                replayPlayer.togglePause();
+            }
+            return;
         }
+        input = replayPlayer.nextInput();
+    } else {
+        input = readInput();
+        inputRecorder.record(input);
+    }
+    
+    // Update UFO position and rotation
+    updateUFO();
+    
+    // Stream free roam terrain around the UFO
+    if (gameStateManager.isFreeRoam()) {
+        terrain.update(ufo.position);
     }
+    
+    // Update cows
+    updateCows();
+    
+    // Update enemies and missiles
+    updateEnemies();
+    updateMissiles();
+    updateFlares();
+    
+    // Update power-up pickups and effects
+    updatePowerUps();
+    
+    // Let the director react to how the player is doing
+    director.update(gameLoop.simulationTime);
+    
+    // Let the combo lapse and pay out no-damage streaks
+    scoreKeeper.update(gameLoop.simulationTime);
+    
+    // Update particle systems
+    particleSystem.update();
+    
+    // Check for collisions
+    checkCollisions();
+    
+    // Check for a cleared herd or the clock running out
+    updateLevel();
+}
 
+// Render a frame (objects are already interpolated by the game loop)
+function renderGame(deltaTime) {
+    // Poll the gamepad every frame so Start works while paused
+    gamepadInput.update();
+    
+    // Touch controls are only shown while playing
+    touchControls.setVisible(gameStateManager.isGameActive());
+    
+    // The heat and beam meters and power-up timers are only shown while playing
+    playerWeapon.setVisible(gameStateManager.isGameActive());
+    abductionBeam.setVisible(gameStateManager.isGameActive());
+    powerUps.setVisible(gameStateManager.isGameActive());
+    scoreKeeper.setVisible(gameStateManager.isGameActive());
+    
+    // The level clock is only shown while playing classic mode
+    levelManager.setVisible(gameStateManager.isGameActive() && !gameStateManager.isFreeRoam());
+    levelManager.updateDisplay(gameLoop.simulationTime, cows.length);
+    
+    // Update camera to follow UFO
+    if (gameStateManager.isGameActive()) {
+        updateCamera(deltaTime);
+    }
+    
+    // Float score popups over the world and drain the combo meter
+    scoreKeeper.updateDisplay(camera, gameLoop.simulationTime);
+    
+    // Keep the sky and sunlight around the UFO in the open world
+    if (gameStateManager.isFreeRoam()) {
+        centerWorldOn(ufo.position);
+    }
+    
+    // Update replay scrubber
+    if (replayPlayer.active) {
+        replayPlayer.updateDisplay();
+    }
+    
+    // Draw scenery and cows at their (interpolated) positions
+    instancedRenderer.update();
+    
+    // Redraw the mini-map while playing
+    if (miniMap && gameStateManager.isGameActive()) {
+        miniMap.update();
+    }
+    
+    // Live resource and pool counters (active / allocated)
+    debugStats.update({
+        'Enemies': enemyTypes.getStats(),
+        'Missiles': missilePool.getStats(),
+        'Shells': shellPool.getStats(),
+        'Flares': flarePool.getStats(),
+        'Bolts': playerWeapon.pool.getStats(),
+        'Pickups': powerUps.pool.getStats(),
+        'Popups': scoreKeeper.popups.length,
+        'Emitters': particleSystem.getStats(),
+        'Scenery': scenery.length,
+        'Cows': cows.length,
+        'Intensity': director.intensity.toFixed(2)
+    });
+    
     // Render the scene with visual effects
     visualEffects.render();
 }
@@ -1260,47 +2830,47 @@ function animate(timestamp) {
 function startGame() {
     gameActive = true;
     
+    // Seed the run and regenerate the world from it
+    random.setSeed(gameStateManager.seed);
+    abductedCows.clear();
+    clearTerrainDetails();
+    cows.forEach(cow => instancedRenderer.remove(cow));
+    cows = [];
+    
+    createTerrain();
+    levelManager.start(0, 0);
+    createCows();
+    centerWorldOn(PLAY_AREA);
+    
     // Reset UFO position
     ufo.position.set(0, 20, 0);
+    ufo.rotation.set(0, 0, 0);
     velocity.set(0, 0, 0);
+    hoverDirection = 1;
+    hoverOffset = 0;
+    tractorBeam.visible = false;
+    abductionBeam.reset();
+    input = createEmptyInput();
     
     // Reset camera
     camera.position.copy(ufo.position).add(cameraOffset);
     camera.lookAt(ufo.position);
     
-    // Clear any existing jets and missiles
-    jets.forEach(jet => {
-        // Stop engine sound
-        if (jet.userData.engineSound && jet.userData.engineSound.isPlaying) {
-            jet.userData.engineSound.stop();
-        }
-        
-        // Remove exhaust emitter
-        if (jet.userData.exhaustEmitter) {
-            particleSystem.removeEmitter(jet.userData.exhaustEmitter);
-        }
-        
-        scene.remove(jet);
-    });
-    jets = [];
-    
-    missiles.forEach(missile => {
-        // Remove exhaust emitter
-        if (missile.userData.exhaustEmitter) {
-            particleSystem.removeEmitter(missile.userData.exhaustEmitter);
-        }
-        
-        scene.remove(missile);
-    });
-    missiles = [];
-    
-    // Reset spawn timer
-    lastJetSpawn = Date.now();
-    currentSpawnInterval = SPAWN_INTERVAL_BASE;
-    
-    // Create new cows if needed
-    if (cows.length === 0) {
-        createCows();
+    // Return any existing enemies, missiles and bolts to their pools
+    clearHostiles();
+    
+    // Reset simulation clock, the first level's spawn timer, the director, power-ups and scoring
+    gameLoop.reset();
+    resetSpawnSchedule();
+    director.reset(gameLoop.simulationTime);
+    powerUps.reset(gameLoop.simulationTime);
+    scoreKeeper.reset(gameLoop.simulationTime);
+    
+    // Record player runs; replays are driven by their recording instead
+    if (!gameStateManager.isReplay) {
+        replayPlayer.stop();
+        gameLoop.timeScale = 1;
+        inputRecorder.start(random.seed, gameLoop.tickRate, gameStateManager.mode, gameStateManager.difficulty);
     }
     
     // Initialize visual effects
@@ -1311,18 +2881,27 @@ function startGame() {
         miniMap = new MiniMap({
             ufo: ufo,
             cows: cows,
-            jets: jets,
-            missiles: missiles
+            enemies: enemies,
+            missiles: missiles,
+            powerUps: powerUps.pickups
         });
+    } else {
+        // Update mini-map references
+        miniMap.gameObjects.cows = cows;
+        miniMap.gameObjects.enemies = enemies;
+        miniMap.gameObjects.missiles = missiles;
     }
     
+    // Re-flow touch buttons around the radar
+    touchControls.layout();
+    
     // Play game start sound
     soundManager.play('ui', 'game_start');
     
     // Start background music
     soundManager.play('music', 'background');
     
-    console.log('Game started');
+    console.log(`Game started (seed ${random.seed})`);
 }
 
 // Pause the game
@@ -1341,21 +2920,87 @@ function resumeGame() {
     soundManager.resumeAll();
 }
 
-// Restart the game
+// Restart the game (startGame rebuilds the world from the new seed)
 function restartGame() {
-    // Remove all existing cows
-    cows.forEach(cow => scene.remove(cow));
-    cows = [];
+    startGame();
+}
+
+// Show the score breakdown, and check a replay reproduced its recorded score
+function onGameOver() {
+    gameStateManager.showScoreBreakdown(scoreKeeper.getBreakdown());
+    
+    if (replayPlayer.active && !replayPlayer.matchesScore(gameStateManager.score)) {
+        const message = `Replay desynced: recorded score ${replayPlayer.replay.score}, replayed ${gameStateManager.score}`;
+        console.warn(message);
+        gameStateManager.showReplayError(message);
+    }
+}
+
+// Start playing back the loaded replay
+function startReplay() {
+    replayPlayer.start();
+    startGame();
+}
+
+// Load a replay file and start playing it back
+function importReplay(text) {
+    let replay;
+    try {
+        replay = InputRecorder.parse(text);
+        if (replay.tickRate !== gameLoop.tickRate) {
+            throw new Error(`Replay was recorded at ${replay.tickRate} ticks per second`);
+        }
+        if (!gameStateManager.isValidMode(replay.mode)) {
+            throw new Error(`Unknown game mode: ${replay.mode}`);
+        }
+        if (!gameStateManager.isValidDifficulty(replay.difficulty)) {
+            throw new Error(`Unknown difficulty: ${replay.difficulty}`);
+        }
+    } catch (error) {
+        console.error('Error loading replay', error);
+        gameStateManager.showReplayError(error.message);
+        return;
+    }
     
-    // Create new cows
-    createCows();
+    replayPlayer.load(replay);
+    gameStateManager.startReplay(replay.seed, replay.mode, replay.difficulty);
+}
+
+// Jump the replay to a given tick
+function seekReplay(targetTick) {
+    // The simulation only runs forward, so rewind by restarting the run. A
+    // replay that reached game over can't run on either, so it rewinds too.
+    const gameOver = gameStateManager.getState() === gameStateManager.states.GAME_OVER;
+    if (targetTick < replayPlayer.tick || gameOver) {
+        // Restarting resumes playback; stay paused if the viewer had paused
+        // (holding on the last frame of a finished replay doesn't count)
+        const wasPaused = replayPlayer.paused && !replayPlayer.isFinished();
+        
+        const replay = replayPlayer.replay;
+        gameStateManager.startReplay(replay.seed, replay.mode, replay.difficulty);
+        
+        if (wasPaused) {
+            replayPlayer.togglePause();
+        }
+    }
     
-    // Update mini-map references
-    if (miniMap) {
-        miniMap.gameObjects.cows = cows;
+    // Fast-forward silently to the target tick
+    const wasMuted = soundManager.muted;
+    soundManager.muted = true;
+    while (replayPlayer.tick < targetTick && gameStateManager.isGameActive()) {
+        gameLoop.step();
     }
+    soundManager.muted = wasMuted;
     
-    startGame();
+    replayPlayer.updateDisplay();
+}
+
+// Leave replay playback and return to the start screen
+function exitReplay() {
+    replayPlayer.stop();
+    gameLoop.timeScale = 1;
+    soundManager.stopAll();
+    gameStateManager.exitReplay();
 }
 
 // Initialize the game when the page loads
@@ -1,6 +1,6 @@
 /**
  * Mini-Map / Radar System for Retro UFO Game
- * Shows positions of cows, jets, and the player
+ * Shows positions of cows, enemies, and the player
  */
 
 class MiniMap {
@@ -47,18 +47,35 @@ class MiniMap {
         
         // Blip colors
         this.colors = {
-            player: '#33ff33', // Green
-            cow: '#ffffff',    // White
-            jet: '#ff3333',    // Red
-            missile: '#ff9900' // Orange
+            player: '#33ff33',     // Green
+            cow: '#ffffff',        // White
+            sheep: '#ccccff',      // Pale blue
+            pig: '#ff99cc',        // Pink
+            chicken: '#ffcc66',    // Straw
+            tractor: '#cc6633',    // Rust
+            farmhand: '#99ccff',   // Light blue
+            jet: '#ff3333',        // Red
+            helicopter: '#ff6633', // Red-orange
+            turret: '#ff33ff',     // Magenta
+            farmer: '#ffff33',     // Yellow
+            missile: '#ff9900'     // Orange
         };
         
         // Blip sizes
         this.blipSizes = {
             player: 6,
             cow: 3,
+            sheep: 3,
+            pig: 3,
+            chicken: 2,
+            tractor: 4,
+            farmhand: 3,
             jet: 4,
-            missile: 2
+            helicopter: 4,
+            turret: 4,
+            farmer: 3,
+            missile: 2,
+            powerUp: 3
         };
         
         // Radar sweep effect
@@ -173,30 +190,33 @@ class MiniMap {
             this.blipSizes.player
         );
         
-        // Draw cow blips
+        // Draw herd blips (colored by abductee type)
         this.gameObjects.cows.forEach(cow => {
-            this.drawObjectBlip(cow.position, playerPos, this.colors.cow, this.blipSizes.cow);
+            const type = cow.userData.type;
+            this.drawObjectBlip(cow.position, playerPos, this.colors[type] || this.colors.cow, this.blipSizes[type] || this.blipSizes.cow);
         });
         
-        // Draw jet blips
-        this.gameObjects.jets.forEach(jet => {
-            this.drawObjectBlip(jet.position, playerPos, this.colors.jet, this.blipSizes.jet);
+        // Draw enemy blips (colored by enemy type)
+        this.gameObjects.enemies.forEach(enemy => {
+            const type = enemy.userData.type;
+            const color = this.colors[type] || this.colors.jet;
+            this.drawObjectBlip(enemy.position, playerPos, color, this.blipSizes[type] || this.blipSizes.jet);
             
-            // Add ping effect when jet is within sweep angle
+            // Add ping effect when enemy is within sweep angle
             const angle = Math.atan2(
-                jet.position.z - playerPos.z,
-                jet.position.x - playerPos.x
+                enemy.position.z - playerPos.z,
+                enemy.position.x - playerPos.x
             );
             
             const normalizedAngle = (angle + Math.PI * 2) % (Math.PI * 2);
             const normalizedSweepAngle = (this.sweepAngle + Math.PI * 2) % (Math.PI * 2);
             
             if (Math.abs(normalizedAngle - normalizedSweepAngle) < 0.1) {
-                const mapX = this.size / 2 + (jet.position.x - playerPos.x) * this.scale;
-                const mapY = this.size / 2 + (jet.position.z - playerPos.z) * this.scale;
+                const mapX = this.size / 2 + (enemy.position.x - playerPos.x) * this.scale;
+                const mapY = this.size / 2 + (enemy.position.z - playerPos.z) * this.scale;
                 
                 if (this.isInMapBounds(mapX, mapY)) {
-                    this.addPingEffect(mapX, mapY, this.colors.jet);
+                    this.addPingEffect(mapX, mapY, color);
                 }
             }
         });
@@ -205,6 +225,11 @@ class MiniMap {
         this.gameObjects.missiles.forEach(missile => {
             this.drawObjectBlip(missile.position, playerPos, this.colors.missile, this.blipSizes.missile);
         });
+        
+        // Draw power-up blips (colored by power-up type)
+        this.gameObjects.powerUps.forEach(pickup => {
+            this.drawObjectBlip(pickup.position, playerPos, `#${pickup.material.color.getHexString()}`, this.blipSizes.powerUp);
+        });
     }
     
     /**
@@ -0,0 +1,108 @@
+/**
+ * Noise for Retro UFO Game
+ * Seeded 2D Perlin noise with fractal (multi-octave) sampling
+ */
+
+class PerlinNoise {
+    constructor(seed) {
+        const rng = new SeededRandom(seed);
+
+        // Shuffled permutation table, doubled to avoid index wrapping
+        const permutation = [];
+        for (let i = 0; i < 256; i++) {
+            permutation.push(i);
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+        }
+    }
+
+    /**
+     * Quintic fade curve
+     * @param {number} t - Value in [0, 1]
+     * @returns {number} Smoothed value
+     */
+    fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    /**
+     * Dot product of a pseudo-random gradient with the offset vector
+     * @param {number} hash - Permutation hash
+     * @param {number} x - X offset
+     * @param {number} y - Y offset
+     * @returns {number} Gradient contribution
+     */
+    grad(hash, x, y) {
+        switch (hash & 7) {
+            case 0: return x + y;
+            case 1: return -x + y;
+            case 2: return x - y;
+            case 3: return -x - y;
+            case 4: return x;
+            case 5: return -x;
+            case 6: return y;
+            default: return -y;
+        }
+    }
+
+    /**
+     * Sample 2D Perlin noise
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Noise value (roughly -1 to 1)
+     */
+    noise2D(x, y) {
+        const xi = Math.floor(x) & 255;
+        const yi = Math.floor(y) & 255;
+        const xf = x - Math.floor(x);
+        const yf = y - Math.floor(y);
+
+        const u = this.fade(xf);
+        const v = this.fade(yf);
+
+        const p = this.perm;
+        const aa = p[p[xi] + yi];
+        const ab = p[p[xi] + yi + 1];
+        const ba = p[p[xi + 1] + yi];
+        const bb = p[p[xi + 1] + yi + 1];
+
+        const x1 = THREE.MathUtils.lerp(this.grad(aa, xf, yf), this.grad(ba, xf - 1, yf), u);
+        const x2 = THREE.MathUtils.lerp(this.grad(ab, xf, yf - 1), this.grad(bb, xf - 1, yf - 1), u);
+
+        return THREE.MathUtils.lerp(x1, x2, v);
+    }
+
+    /**
+     * Sample fractal Brownian motion (several octaves of noise)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - octaves, persistence and lacunarity
+     * @returns {number} Noise value normalized to roughly -1 to 1
+     */
+    fbm(x, y, options = {}) {
+        const octaves = options.octaves || 4;
+        const persistence = options.persistence !== undefined ? options.persistence : 0.5;
+        const lacunarity = options.lacunarity || 2;
+
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxAmplitude = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            total += this.noise2D(x * frequency, y * frequency) * amplitude;
+            maxAmplitude += amplitude;
+            amplitude *= persistence;
+            frequency *= lacunarity;
+        }
+
+        return total / maxAmplitude;
+    }
+}
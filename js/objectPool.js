@@ -0,0 +1,88 @@
+/**
+ * Object Pool for Retro UFO Game
+ * Recycles frequently spawned objects instead of allocating new ones
+ */
+
+class ObjectPool {
+    /**
+     * @param {Function} create - Builds a new object when the pool is empty
+     * @param {Object} options - onAcquire(object, ...args), onRelease(object),
+     *     onDispose(object) and maxSize (free objects kept for reuse)
+     */
+    constructor(create, options = {}) {
+        this.create = create;
+        this.onAcquire = options.onAcquire || null;
+        this.onRelease = options.onRelease || null;
+        this.onDispose = options.onDispose || null;
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : Infinity;
+
+        // Released objects waiting to be reused
+        this.free = [];
+
+        // Statistics
+        this.created = 0;
+        this.active = 0;
+    }
+
+    /**
+     * Take an object from the pool (building one if none are free)
+     * @param {...*} args - Passed to onAcquire
+     * @returns {*} The object
+     */
+    acquire(...args) {
+        let object = this.free.pop();
+        if (object === undefined) {
+            object = this.create();
+            this.created++;
+        }
+
+        this.active++;
+        if (this.onAcquire) this.onAcquire(object, ...args);
+
+        return object;
+    }
+
+    /**
+     * Return an object to the pool. Objects beyond maxSize are disposed.
+     * @param {*} object - The object
+     */
+    release(object) {
+        this.active--;
+        if (this.onRelease) this.onRelease(object);
+
+        if (this.free.length < this.maxSize) {
+            this.free.push(object);
+        } else {
+            this.disposeObject(object);
+        }
+    }
+
+    /**
+     * Dispose an object that leaves the pool for good
+     * @param {*} object - The object
+     */
+    disposeObject(object) {
+        this.created--;
+        if (this.onDispose) this.onDispose(object);
+    }
+
+    /**
+     * Dispose every free object (active objects are unaffected)
+     */
+    clear() {
+        this.free.forEach(object => this.disposeObject(object));
+        this.free = [];
+    }
+
+    /**
+     * Get pool statistics
+     * @returns {Object} Active, free and total object counts
+     */
+    getStats() {
+        return {
+            active: this.active,
+            free: this.free.length,
+            total: this.created
+        };
+    }
+}
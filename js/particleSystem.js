@@ -4,10 +4,26 @@
  */
 
 class ParticleSystem {
-    constructor(scene) {
+    constructor(scene, random = null) {
         this.scene = scene;
+        this.random = random; // RandomService (falls back to Math.random)
         this.particleSystems = [];
         
+        // Emitters are recycled; pools are keyed by particle count since that
+        // fixes the size of an emitter's buffers
+        this.pools = {};
+        this.maxPooledPerSize = 16;
+        
+        // All emitters share one material
+        this.material = new THREE.PointsMaterial({
+            size: 1.0,
+            vertexColors: true,
+            transparent: true,
+            opacity: 1.0,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        
         // Particle types and their settings
         this.particleTypes = {
             exhaust: {
@@ -58,7 +74,15 @@ class ParticleSystem {
     }
     
     /**
-     * Create a particle emitter
+     * Get the next random number from the effects stream
+     * @returns {number} Random number in [0, 1)
+     */
+    nextRandom() {
+        return this.random ? this.random.stream('effects').next() : Math.random();
+    }
+    
+    /**
+     * Create a particle emitter (reusing a pooled one when available)
      * @param {string} type - Particle type (exhaust, explosion, sparkle, smoke)
      * @param {THREE.Vector3} position - Position of the emitter
      * @param {THREE.Vector3} direction - Direction of the emission
@@ -69,82 +93,108 @@ class ParticleSystem {
         // Get settings for this particle type
         const settings = { ...this.particleTypes[type], ...options };
         
-        // Create particle geometry
+        // Take an emitter with the right number of particles and reset it
+        const particleSystem = this.getPool(settings.count).acquire();
+        this.resetParticles(particleSystem.system.geometry, settings, direction);
+        
+        const system = particleSystem.system;
+        system.position.copy(position);
+        
+        // Add to scene
+        this.scene.add(system);
+        
+        // Store the settings with the particle system
+        particleSystem.settings = settings;
+        particleSystem.active = true;
+        particleSystem.oneShot = options.oneShot || false;
+        particleSystem.emissionRate = options.emissionRate || 1;
+        particleSystem.emissionCounter = 0;
+        
+        this.particleSystems.push(particleSystem);
+        
+        return particleSystem;
+    }
+    
+    /**
+     * Get the emitter pool for a particle count
+     * @param {number} count - Particles per emitter
+     * @returns {ObjectPool} The pool
+     */
+    getPool(count) {
+        if (!this.pools[count]) {
+            this.pools[count] = new ObjectPool(() => this.createParticleSystem(count), {
+                maxSize: this.maxPooledPerSize,
+                onDispose: (particleSystem) => particleSystem.system.geometry.dispose()
+            });
+        }
+        return this.pools[count];
+    }
+    
+    /**
+     * Build an emitter's points object and buffers
+     * @param {number} count - Number of particles
+     * @returns {Object} An inactive particle system
+     */
+    createParticleSystem(count) {
         const particles = new THREE.BufferGeometry();
-        const positions = [];
-        const velocities = [];
-        const colors = [];
-        const sizes = [];
-        const lifetimes = [];
-        const opacities = [];
+        particles.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        particles.setAttribute('velocity', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        particles.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        particles.setAttribute('size', new THREE.BufferAttribute(new Float32Array(count), 1));
+        particles.setAttribute('lifetime', new THREE.BufferAttribute(new Float32Array(count), 1));
+        particles.setAttribute('opacity', new THREE.BufferAttribute(new Float32Array(count), 1));
+        
+        return {
+            system: new THREE.Points(particles, this.material),
+            settings: null,
+            active: false,
+            oneShot: false,
+            emissionRate: 1,
+            emissionCounter: 0
+        };
+    }
+    
+    /**
+     * Fill an emitter's buffers with fresh particles
+     * @param {THREE.BufferGeometry} geometry - Emitter geometry
+     * @param {Object} settings - Particle settings
+     * @param {THREE.Vector3} direction - Direction of the emission
+     */
+    resetParticles(geometry, settings, direction) {
+        const attributes = geometry.attributes;
+        const color = new THREE.Color();
+        const velocity = new THREE.Vector3();
         
-        // Create particles
         for (let i = 0; i < settings.count; i++) {
             // Initial position (at emitter)
-            positions.push(0, 0, 0);
+            attributes.position.setXYZ(i, 0, 0, 0);
             
             // Random velocity based on direction and spread
-            const velocity = direction.clone().normalize();
-            velocity.x += (Math.random() - 0.5) * settings.spread;
-            velocity.y += (Math.random() - 0.5) * settings.spread;
-            velocity.z += (Math.random() - 0.5) * settings.spread;
-            velocity.normalize().multiplyScalar(settings.speed * (0.5 + Math.random()));
-            
-            velocities.push(velocity.x, velocity.y, velocity.z);
+            velocity.copy(direction).normalize();
+            velocity.x += (this.nextRandom() - 0.5) * settings.spread;
+            velocity.y += (this.nextRandom() - 0.5) * settings.spread;
+            velocity.z += (this.nextRandom() - 0.5) * settings.spread;
+            velocity.normalize().multiplyScalar(settings.speed * (0.5 + this.nextRandom()));
+            attributes.velocity.setXYZ(i, velocity.x, velocity.y, velocity.z);
             
             // Color (with slight variation)
-            const color = new THREE.Color(settings.color);
-            color.r += (Math.random() - 0.5) * 0.1;
-            color.g += (Math.random() - 0.5) * 0.1;
-            color.b += (Math.random() - 0.5) * 0.1;
-            colors.push(color.r, color.g, color.b);
+            color.set(settings.color);
+            color.r += (this.nextRandom() - 0.5) * 0.1;
+            color.g += (this.nextRandom() - 0.5) * 0.1;
+            color.b += (this.nextRandom() - 0.5) * 0.1;
+            attributes.color.setXYZ(i, color.r, color.g, color.b);
             
             // Size (with variation)
-            sizes.push(settings.size * (0.7 + Math.random() * 0.6));
+            attributes.size.setX(i, settings.size * (0.7 + this.nextRandom() * 0.6));
             
             // Lifetime and opacity
-            lifetimes.push(0); // Current lifetime
-            opacities.push(settings.opacity);
+            attributes.lifetime.setX(i, 0); // Current lifetime
+            attributes.opacity.setX(i, settings.opacity);
         }
         
-        // Add attributes to geometry
-        particles.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        particles.setAttribute('velocity', new THREE.Float32BufferAttribute(velocities, 3));
-        particles.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        particles.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
-        particles.setAttribute('lifetime', new THREE.Float32BufferAttribute(lifetimes, 1));
-        particles.setAttribute('opacity', new THREE.Float32BufferAttribute(opacities, 1));
-        
-        // Create material
-        const material = new THREE.PointsMaterial({
-            size: 1.0,
-            vertexColors: true,
-            transparent: true,
-            opacity: 1.0,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
+        Object.values(attributes).forEach(attribute => {
+            attribute.needsUpdate = true;
         });
-        
-        // Create the particle system
-        const system = new THREE.Points(particles, material);
-        system.position.copy(position);
-        
-        // Add to scene
-        this.scene.add(system);
-        
-        // Store particle system with its settings
-        const particleSystem = {
-            system: system,
-            settings: settings,
-            active: true,
-            oneShot: options.oneShot || false,
-            emissionRate: options.emissionRate || 1,
-            emissionCounter: 0
-        };
-        
-        this.particleSystems.push(particleSystem);
-        
-        return particleSystem;
     }
     
     /**
@@ -208,8 +258,8 @@ class ParticleSystem {
                     }
                     
                     if (allDead) {
-                        this.scene.remove(ps.system);
                         this.particleSystems.splice(i, 1);
+                        this.releaseEmitter(ps);
                     }
                 }
             }
@@ -250,9 +300,9 @@ class ParticleSystem {
                     opacities[index] = ps.settings.opacity;
                     
                     // Randomize velocity slightly
-                    velocities[i] += (Math.random() - 0.5) * 0.02;
-                    velocities[i + 1] += (Math.random() - 0.5) * 0.02;
-                    velocities[i + 2] += (Math.random() - 0.5) * 0.02;
+                    velocities[i] += (this.nextRandom() - 0.5) * 0.02;
+                    velocities[i + 1] += (this.nextRandom() - 0.5) * 0.02;
+                    velocities[i + 2] += (this.nextRandom() - 0.5) * 0.02;
                 }
                 
                 // Update position based on velocity
@@ -324,22 +374,49 @@ class ParticleSystem {
         if (emitter) {
             const index = this.particleSystems.indexOf(emitter);
             if (index !== -1) {
-                this.scene.remove(emitter.system);
                 this.particleSystems.splice(index, 1);
+                this.releaseEmitter(emitter);
             }
         }
     }
     
+    /**
+     * Detach an emitter and return it to its pool
+     * @param {Object} emitter - The particle emitter
+     */
+    releaseEmitter(emitter) {
+        // Emitters may be attached to other objects (e.g. missiles)
+        if (emitter.system.parent) {
+            emitter.system.parent.remove(emitter.system);
+        }
+        
+        emitter.active = false;
+        this.getPool(emitter.settings.count).release(emitter);
+    }
+    
     /**
      * Clear all particle systems
      */
     clear() {
-        // Remove all particle systems from the scene
-        this.particleSystems.forEach(ps => {
-            this.scene.remove(ps.system);
-        });
+        // Return all particle systems to their pools
+        this.particleSystems.forEach(ps => this.releaseEmitter(ps));
         
         // Clear the array
         this.particleSystems = [];
     }
+    
+    /**
+     * Get emitter counts for debugging
+     * @returns {Object} Active, pooled and total emitters
+     */
+    getStats() {
+        const stats = { active: 0, free: 0, total: 0 };
+        Object.values(this.pools).forEach(pool => {
+            const poolStats = pool.getStats();
+            stats.active += poolStats.active;
+            stats.free += poolStats.free;
+            stats.total += poolStats.total;
+        });
+        return stats;
+    }
 }
\ No newline at end of file
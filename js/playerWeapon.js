@@ -0,0 +1,214 @@
+/**
+ * Player Weapon for Retro UFO Game
+ * Plasma bolts fired from the UFO, with a fire cooldown and an overheat meter
+ */
+
+class PlayerWeapon {
+    constructor(scene, settings = {}) {
+        this.scene = scene;
+
+        // Weapon settings (times are in simulation ticks)
+        this.settings = {
+            cooldown: settings.cooldown || 10,        // ticks between shots
+            boltSpeed: settings.boltSpeed || 2,       // units per tick
+            boltLife: settings.boltLife || 90,        // ticks before a bolt fizzles
+            boltRadius: settings.boltRadius || 0.6,   // collision radius
+            heatPerShot: settings.heatPerShot || 0.12,
+            coolRate: settings.coolRate || 0.006,     // heat lost per tick
+            recoverHeat: settings.recoverHeat || 0.3  // an overheated weapon unlocks below this
+        };
+
+        // Weapon state
+        this.heat = 0;
+        this.overheated = false;
+        this.cooldownTicks = 0;
+
+        // Bolts in flight
+        this.bolts = [];
+
+        // Bolts share one geometry and material and are recycled through a pool
+        this.geometry = new THREE.CylinderBufferGeometry(0.15, 0.15, 1.5, 6);
+        this.geometry.rotateX(Math.PI / 2); // Point along +Z
+        this.material = new THREE.MeshBasicMaterial({ color: 0x66ff66 });
+        this.pool = new ObjectPool(() => this.createBolt());
+
+        // Reusable segment for hit tests
+        this.segment = new THREE.Line3();
+        this.closestPoint = new THREE.Vector3();
+
+        // Callbacks
+        this.onFire = null;
+        this.onOverheat = null;
+
+        // Heat meter DOM element
+        this.element = this.createHeatDisplay();
+    }
+
+    /**
+     * Initialize the weapon
+     * @param {Object} callbacks - Callback functions for weapon events
+     */
+    init(callbacks = {}) {
+        this.onFire = callbacks.onFire || null;
+        this.onOverheat = callbacks.onOverheat || null;
+    }
+
+    /**
+     * Create the heat meter
+     * @returns {HTMLElement} The heat meter element
+     */
+    createHeatDisplay() {
+        const element = document.createElement('div');
+        element.id = 'weapon-heat';
+        element.innerHTML = `
+            <span class="weapon-heat-label">Heat</span>
+            <div class="weapon-heat-bar"><div class="weapon-heat-fill"></div></div>
+        `;
+
+        this.fill = element.querySelector('.weapon-heat-fill');
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Build a bolt for the pool
+     * @returns {THREE.Mesh} The bolt
+     */
+    createBolt() {
+        const bolt = new THREE.Mesh(this.geometry, this.material);
+        bolt.userData = {
+            velocity: new THREE.Vector3(),
+            previous: new THREE.Vector3(), // Position before this tick's move
+            life: 0
+        };
+        return bolt;
+    }
+
+    /**
+     * Advance the weapon by one tick: cool down, fire if the trigger is held and
+     * move the bolts in flight
+     * @param {boolean} trigger - Whether fire is held this tick
+     * @param {THREE.Vector3} origin - Muzzle position
+     * @param {THREE.Vector3} direction - Normalized aim direction
+     */
+    update(trigger, origin, direction) {
+        // Cool down
+        if (this.cooldownTicks > 0) {
+            this.cooldownTicks--;
+        }
+        this.heat = Math.max(0, this.heat - this.settings.coolRate);
+        if (this.overheated && this.heat < this.settings.recoverHeat) {
+            this.overheated = false;
+        }
+
+        if (trigger && this.canFire()) {
+            this.fire(origin, direction);
+        }
+
+        // Move bolts, dropping the ones that have fizzled out
+        for (let i = this.bolts.length - 1; i >= 0; i--) {
+            const bolt = this.bolts[i];
+            bolt.userData.previous.copy(bolt.position);
+            bolt.position.add(bolt.userData.velocity);
+
+            bolt.userData.life--;
+            if (bolt.userData.life <= 0) {
+                this.removeBolt(bolt);
+            }
+        }
+
+        this.updateDisplay();
+    }
+
+    /**
+     * Check whether the weapon is ready to fire
+     * @returns {boolean} True if off cooldown and not overheated
+     */
+    canFire() {
+        return this.cooldownTicks === 0 && !this.overheated;
+    }
+
+    /**
+     * Fire a bolt
+     * @param {THREE.Vector3} origin - Muzzle position
+     * @param {THREE.Vector3} direction - Normalized aim direction
+     */
+    fire(origin, direction) {
+        const bolt = this.pool.acquire();
+        bolt.position.copy(origin);
+        bolt.userData.previous.copy(origin);
+        bolt.userData.velocity.copy(direction).multiplyScalar(this.settings.boltSpeed);
+        bolt.userData.life = this.settings.boltLife;
+        bolt.lookAt(origin.x + direction.x, origin.y + direction.y, origin.z + direction.z);
+
+        this.scene.add(bolt);
+        this.bolts.push(bolt);
+
+        this.cooldownTicks = this.settings.cooldown;
+        this.heat = Math.min(1, this.heat + this.settings.heatPerShot);
+        if (this.heat >= 1) {
+            this.overheated = true;
+            if (this.onOverheat) this.onOverheat();
+        }
+
+        if (this.onFire) this.onFire(bolt);
+    }
+
+    /**
+     * Check whether a bolt passed through a sphere this tick. The whole path
+     * since the last tick is tested so fast bolts can't skip over small targets.
+     * @param {THREE.Mesh} bolt - The bolt
+     * @param {THREE.Vector3} position - Target center
+     * @param {number} radius - Target radius
+     * @returns {boolean} True on a hit
+     */
+    hitTest(bolt, position, radius) {
+        this.segment.set(bolt.userData.previous, bolt.position);
+        this.segment.closestPointToPoint(position, true, this.closestPoint);
+
+        const reach = radius + this.settings.boltRadius;
+        return this.closestPoint.distanceToSquared(position) < reach * reach;
+    }
+
+    /**
+     * Remove a bolt and return it to the pool
+     * @param {THREE.Mesh} bolt - The bolt
+     */
+    removeBolt(bolt) {
+        const index = this.bolts.indexOf(bolt);
+        if (index === -1) return;
+
+        this.bolts.splice(index, 1);
+        this.scene.remove(bolt);
+        this.pool.release(bolt);
+    }
+
+    /**
+     * Remove every bolt and reset heat (on game start)
+     */
+    reset() {
+        this.bolts.slice().forEach(bolt => this.removeBolt(bolt));
+        this.heat = 0;
+        this.overheated = false;
+        this.cooldownTicks = 0;
+        this.updateDisplay();
+    }
+
+    /**
+     * Update the heat meter
+     */
+    updateDisplay() {
+        this.fill.style.width = `${Math.round(this.heat * 100)}%`;
+        this.element.classList.toggle('overheated', this.overheated);
+    }
+
+    /**
+     * Show or hide the heat meter (only while playing)
+     * @param {boolean} visible - Whether the meter should be visible
+     */
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Power-Up Manager for Retro UFO Game
+ * Collectible pickups (shield, repair, speed boost, super beam, cow magnet),
+ * their timed effects and the HUD that shows what is running
+ */
+
+/**
+ * Power-up definition:
+ * {
+ *   name: 'Shield',
+ *   color: 0x33ffff,
+ *   weight: 2,            // how often it is picked for a drop
+ *   duration: 10000       // milliseconds the effect lasts (0 = applied once on pickup)
+ *   ...                   // effect values (multipliers, radius, pull, amount)
+ * }
+ */
+class PowerUpManager {
+    constructor(scene, settings = {}) {
+        this.scene = scene;
+
+        // Spawn settings (times in simulation milliseconds)
+        this.settings = {
+            dropChance: 0.2,        // chance a destroyed enemy drops a pickup
+            fieldInterval: 25000,   // time between pickups appearing near the UFO
+            fieldMinDistance: 30,
+            fieldMaxDistance: 90,
+            maxPickups: 4,          // pickups waiting to be collected at once
+            lifetime: 15000,        // uncollected pickups vanish after this long
+            hoverHeight: 2,         // pickups float this far above the ground
+            fallSpeed: 0.2,         // units per tick a dropped pickup sinks
+            radius: 1.5,            // collection radius (added to the UFO's)
+            ...settings
+        };
+
+        // Power-up types
+        this.types = {
+            shield: {
+                name: 'Shield',
+                color: 0x33ffff,
+                weight: 2,
+                duration: 10000
+            },
+            repair: {
+                name: 'Repair',
+                color: 0xff3366,
+                weight: 2,
+                duration: 0,
+                amount: 1           // health restored (up to the difficulty's starting health)
+            },
+            speed: {
+                name: 'Speed Boost',
+                color: 0xffff33,
+                weight: 2,
+                duration: 8000,
+                multiplier: 1.6     // top speed and acceleration
+            },
+            beam: {
+                name: 'Super Beam',
+                color: 0x33ff33,
+                weight: 2,
+                duration: 12000,
+                range: 1.8,         // beam width multiplier
+                strength: 1.6       // abduction speed multiplier
+            },
+            magnet: {
+                name: 'Cow Magnet',
+                color: 0xff99ff,
+                weight: 1,
+                duration: 10000,
+                radius: 40,         // cows this close (on the ground) are pulled in
+                pull: 0.12          // units per tick
+            }
+        };
+
+        // Pickups waiting to be collected, and when each running effect ends
+        this.pickups = [];
+        this.expires = {};
+        this.lastFieldSpawn = 0;
+
+        // Pickups share one geometry and a material per type
+        this.geometry = new THREE.OctahedronBufferGeometry(0.8);
+        this.materials = {};
+        this.pool = new ObjectPool(() => this.createPickup());
+
+        // Shield bubble (attached to the UFO by the game)
+        this.shield = new THREE.Mesh(
+            new THREE.SphereBufferGeometry(3, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0x33ffff, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        this.shield.visible = false;
+        this.shieldFlash = 0;
+
+        // Callbacks
+        this.onCollect = null;
+
+        // HUD element (rebuilt only when its contents change)
+        this.lastRows = '';
+        this.element = this.createDisplay();
+    }
+
+    /**
+     * Initialize the power-up manager
+     * @param {Object} callbacks - Callback functions for power-up events
+     */
+    init(callbacks = {}) {
+        this.onCollect = callbacks.onCollect || null;
+    }
+
+    /**
+     * Create the active power-up display
+     * @returns {HTMLElement} The display element
+     */
+    createDisplay() {
+        const element = document.createElement('div');
+        element.id = 'power-ups';
+        element.className = 'hidden';
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Build a pickup for the pool
+     * @returns {THREE.Mesh} The pickup
+     */
+    createPickup() {
+        const pickup = new THREE.Mesh(this.geometry);
+        pickup.userData = {
+            type: 'powerUp',
+            powerUp: null,
+            spawnTime: 0,
+            baseY: 0,
+            phase: 0
+        };
+        return pickup;
+    }
+
+    /**
+     * Get the shared material for a power-up type
+     * @param {string} name - Power-up name
+     * @returns {THREE.Material} The material
+     */
+    getMaterial(name) {
+        if (!this.materials[name]) {
+            this.materials[name] = new THREE.MeshBasicMaterial({ color: this.types[name].color });
+        }
+        return this.materials[name];
+    }
+
+    /**
+     * Pick a power-up type by weight
+     * @param {SeededRandom} rng - Random stream
+     * @returns {string} Power-up name
+     */
+    pickType(rng) {
+        return rng.pickWeighted(Object.keys(this.types), name => this.types[name].weight);
+    }
+
+    /**
+     * Place a pickup in the world
+     * @param {string} name - Power-up name
+     * @param {THREE.Vector3} position - Where it appears (it sinks to hover height)
+     * @param {number} time - Simulation time (milliseconds)
+     * @returns {THREE.Mesh|null} The pickup, or null if the field is full
+     */
+    spawn(name, position, time) {
+        if (this.pickups.length >= this.settings.maxPickups) return null;
+
+        const pickup = this.pool.acquire();
+        pickup.material = this.getMaterial(name);
+        pickup.visible = true;
+        pickup.position.copy(position);
+        pickup.rotation.set(0, 0, 0);
+        pickup.userData.powerUp = name;
+        pickup.userData.spawnTime = time;
+        pickup.userData.baseY = position.y;
+        pickup.userData.phase = 0;
+
+        this.scene.add(pickup);
+        this.pickups.push(pickup);
+
+        return pickup;
+    }
+
+    /**
+     * Maybe drop a pickup where an enemy was destroyed
+     * @param {THREE.Vector3} position - Where the enemy was
+     * @param {number} time - Simulation time (milliseconds)
+     * @param {SeededRandom} rng - Random stream
+     * @param {number} multiplier - Drop chance multiplier (from the difficulty director)
+     */
+    tryDrop(position, time, rng, multiplier = 1) {
+        if (rng.next() < this.settings.dropChance * multiplier) {
+            this.spawn(this.pickType(rng), position, time);
+        }
+    }
+
+    /**
+     * Check whether it is time for a pickup to appear in the field
+     * @param {number} time - Simulation time (milliseconds)
+     * @param {number} multiplier - Spawn rate multiplier (from the difficulty director)
+     * @returns {boolean} True if a field pickup is due (the timer restarts)
+     */
+    isFieldSpawnDue(time, multiplier = 1) {
+        if (multiplier <= 0 || time - this.lastFieldSpawn < this.settings.fieldInterval / multiplier) {
+            return false;
+        }
+        this.lastFieldSpawn = time;
+        return true;
+    }
+
+    /**
+     * Advance pickups and effects by one tick
+     * @param {Object} context - {position (UFO), radius (UFO), time, getHeightAt}
+     */
+    update(context) {
+        const settings = this.settings;
+        const reach = settings.radius + context.radius;
+
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            const data = pickup.userData;
+            const age = context.time - data.spawnTime;
+
+            // Sink to hover height, then bob and spin
+            const hoverY = context.getHeightAt(pickup.position.x, pickup.position.z) + settings.hoverHeight;
+            data.baseY = Math.max(hoverY, data.baseY - settings.fallSpeed);
+            data.phase += 0.08;
+            pickup.position.y = data.baseY + Math.sin(data.phase) * 0.3;
+            pickup.rotation.y += 0.05;
+
+            // Blink for the last few seconds before vanishing
+            const timeLeft = settings.lifetime - age;
+            pickup.visible = timeLeft > 3000 || Math.floor(timeLeft / 200) % 2 === 1;
+
+            if (pickup.position.distanceTo(context.position) < reach) {
+                const name = data.powerUp;
+                const position = pickup.position.clone();
+                this.removePickup(pickup);
+                this.activate(name, context.time, position);
+            } else if (timeLeft <= 0) {
+                this.removePickup(pickup);
+            }
+        }
+
+        // End effects that have run out
+        Object.keys(this.expires).forEach(name => {
+            if (context.time >= this.expires[name]) {
+                delete this.expires[name];
+            }
+        });
+
+        // Shield bubble shimmers, and flashes when it takes a hit
+        this.shield.visible = this.isActive('shield');
+        if (this.shield.visible) {
+            this.shieldFlash = Math.max(0, this.shieldFlash - 0.05);
+            this.shield.material.opacity = 0.2 + Math.sin(context.time * 0.01) * 0.05 + this.shieldFlash * 0.5;
+        }
+
+        this.updateDisplay(context.time);
+    }
+
+    /**
+     * Start a power-up's effect (timed effects restart their clock)
+     * @param {string} name - Power-up name
+     * @param {number} time - Simulation time (milliseconds)
+     * @param {THREE.Vector3} position - Where it was collected
+     */
+    activate(name, time, position) {
+        const type = this.types[name];
+        if (type.duration > 0) {
+            this.expires[name] = time + type.duration;
+        }
+        if (this.onCollect) this.onCollect(name, type, position);
+    }
+
+    /**
+     * Check whether a timed effect is running
+     * @param {string} name - Power-up name
+     * @returns {boolean} True if active
+     */
+    isActive(name) {
+        return this.expires[name] !== undefined;
+    }
+
+    /**
+     * Get an effect value while its power-up is active
+     * @param {string} name - Power-up name
+     * @param {string} property - Effect value name
+     * @param {number} inactive - Value to use when the power-up is not active
+     * @returns {number} The effect value
+     */
+    getModifier(name, property, inactive = 1) {
+        return this.isActive(name) ? this.types[name][property] : inactive;
+    }
+
+    /**
+     * Let the shield soak up a hit
+     * @returns {boolean} True if the shield absorbed the hit
+     */
+    absorbHit() {
+        if (!this.isActive('shield')) return false;
+        this.shieldFlash = 1;
+        return true;
+    }
+
+    /**
+     * Remove a pickup and return it to the pool
+     * @param {THREE.Mesh} pickup - The pickup
+     */
+    removePickup(pickup) {
+        const index = this.pickups.indexOf(pickup);
+        if (index === -1) return;
+
+        this.pickups.splice(index, 1);
+        this.scene.remove(pickup);
+        this.pool.release(pickup);
+    }
+
+    /**
+     * Remove every pickup and end every effect
+     * @param {number} time - Simulation time the field timer restarts from (milliseconds)
+     */
+    reset(time = 0) {
+        this.pickups.slice().forEach(pickup => this.removePickup(pickup));
+        this.expires = {};
+        this.lastFieldSpawn = time;
+        this.shield.visible = false;
+        this.shieldFlash = 0;
+        this.updateDisplay(time);
+    }
+
+    /**
+     * Update the active power-up display
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    updateDisplay(time) {
+        const rows = Object.keys(this.expires).map(name => {
+            const type = this.types[name];
+            const left = Math.max(0, this.expires[name] - time);
+            const color = `#${type.color.toString(16).padStart(6, '0')}`;
+            return `
+                <div class="power-up" style="color: ${color}">
+                    <span class="power-up-name">${type.name}</span>
+                    <span class="power-up-time">${Math.ceil(left / 1000)}s</span>
+                    <div class="power-up-bar"><div class="power-up-fill" style="width: ${Math.round(left / type.duration * 100)}%; background-color: ${color}"></div></div>
+                </div>
+            `;
+        }).join('');
+
+        // Only touch the DOM when something changed
+        if (rows !== this.lastRows) {
+            this.element.innerHTML = rows;
+            this.lastRows = rows;
+        }
+    }
+
+    /**
+     * Show or hide the display (only while playing)
+     * @param {boolean} visible - Whether the display should be visible
+     */
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Seeded Random Number Generation for Retro UFO Game
+ * Provides reproducible random streams derived from a single run seed
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hash(String(seed));
+    }
+
+    /**
+     * Hash a string into a 32-bit unsigned integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} 32-bit hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} Random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random number in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (exclusive)
+     * @returns {number} Random number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get a random integer in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (inclusive)
+     * @returns {number} Random integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Roll a chance
+     * @param {number} probability - Probability of success (0.0 to 1.0)
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Get a random number centered on zero
+     * @param {number} spread - Total width of the range
+     * @returns {number} Random number in [-spread / 2, spread / 2)
+     */
+    spread(spread) {
+        return (this.next() - 0.5) * spread;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} A random item
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Pick a random element from an array, weighted
+     * @param {Array} entries - Entries to pick from
+     * @param {Function} weightOf - Gets an entry's weight
+     * @returns {*} A random entry, or null if there are none
+     */
+    pickWeighted(entries, weightOf) {
+        const total = entries.reduce((sum, entry) => sum + weightOf(entry), 0);
+        let roll = this.next() * total;
+
+        for (const entry of entries) {
+            roll -= weightOf(entry);
+            if (roll < 0) return entry;
+        }
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+}
+
+class RandomService {
+    constructor(seed = RandomService.randomSeed()) {
+        this.streams = {};
+        this.setSeed(seed);
+    }
+
+    /**
+     * Generate a new random seed
+     * @returns {string} A short, human-readable seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36).toUpperCase();
+    }
+
+    /**
+     * Get today's shared daily challenge seed
+     * @returns {string} Seed for the current (UTC) date
+     */
+    static dailySeed() {
+        return `DAILY-${new Date().toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Set the run seed and reset all streams
+     * @param {string|number} seed - The new seed
+     */
+    setSeed(seed) {
+        this.seed = String(seed).trim().toUpperCase();
+        this.streams = {};
+    }
+
+    /**
+     * Get a named random stream derived from the run seed.
+     * Separate streams keep e.g. cosmetic particles from shifting world generation.
+     * @param {string} name - Stream name (world, spawn, ai, effects)
+     * @returns {SeededRandom} The stream
+     */
+    stream(name) {
+        if (!this.streams[name]) {
+            this.streams[name] = new SeededRandom(`${this.seed}:${name}`);
+        }
+        return this.streams[name];
+    }
+}
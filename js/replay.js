@@ -0,0 +1,444 @@
+/**
+ * Input Recording and Replay for Retro UFO Game
+ * Records per-tick player input with the run seed and plays it back
+ */
+
+/**
+ * Compact replay format (version 1):
+ * {
+ *   version: 1,
+ *   seed: 'ABC123',
+ *   mode: 'classic',
+ *   difficulty: 'normal',
+ *   tickRate: 60,
+ *   ticks: 1234,
+ *   score: 4200,
+ *   input: [[count, moveX, moveZ, flags], ...]
+ * }
+ * input is run-length encoded: each run repeats one input state for count ticks.
+ * moveX/moveZ are stored as integers in [-100, 100]; flags is a bitmask of
+ * INPUT_FLAGS. mode is the game mode ('classic' if missing, for older files)
+ * and difficulty the difficulty preset ('normal' if missing). score is the
+ * final score of a run that ended, checked when the replay reaches game over
+ * (missing for runs that were abandoned, and in older files).
+ */
+const REPLAY_VERSION = 1;
+
+const INPUT_FLAGS = {
+    ascend: 1,
+    descend: 2,
+    beam: 4,
+    fire: 8
+};
+
+/**
+ * Create an input state with nothing pressed
+ * @returns {Object} Empty input state
+ */
+function createEmptyInput() {
+    return {
+        moveX: 0,
+        moveZ: 0,
+        ascend: false,
+        descend: false,
+        beam: false,
+        fire: false
+    };
+}
+
+/**
+ * Round an analog axis to the hundredths a replay stores, so live runs
+ * simulate exactly the value their recording plays back
+ * @param {number} value - Axis value in [-1, 1]
+ * @returns {number} Quantized axis value
+ */
+function quantizeAxis(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class InputRecorder {
+    constructor() {
+        this.recording = false;
+        this.replay = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Start recording a new run
+     * @param {string} seed - The run seed
+     * @param {number} tickRate - Simulation ticks per second
+     * @param {string} mode - The game mode
+     * @param {string} difficulty - The difficulty preset
+     */
+    start(seed, tickRate, mode, difficulty) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: seed,
+            mode: mode,
+            difficulty: difficulty,
+            tickRate: tickRate,
+            ticks: 0,
+            input: []
+        };
+        this.lastRun = null;
+        this.recording = true;
+    }
+
+    /**
+     * Stop recording (the replay stays available for export)
+     * @param {number} [score] - Final score, if the run ended
+     */
+    stop(score) {
+        if (this.recording && score !== undefined) {
+            this.replay.score = score;
+        }
+        this.recording = false;
+    }
+
+    /**
+     * Record the input state for one tick
+     * @param {Object} input - Input state for the tick
+     */
+    record(input) {
+        if (!this.recording) return;
+
+        const moveX = Math.round(input.moveX * 100);
+        const moveZ = Math.round(input.moveZ * 100);
+        const flags = (input.ascend ? INPUT_FLAGS.ascend : 0) |
+            (input.descend ? INPUT_FLAGS.descend : 0) |
+            (input.beam ? INPUT_FLAGS.beam : 0) |
+            (input.fire ? INPUT_FLAGS.fire : 0);
+
+        const run = this.lastRun;
+        if (run && run[1] === moveX && run[2] === moveZ && run[3] === flags) {
+            run[0]++;
+        } else {
+            this.lastRun = [1, moveX, moveZ, flags];
+            this.replay.input.push(this.lastRun);
+        }
+
+        this.replay.ticks++;
+    }
+
+    /**
+     * Check if there is a recorded replay to export
+     * @returns {boolean} True if a replay is available
+     */
+    hasReplay() {
+        return Boolean(this.replay && this.replay.ticks > 0);
+    }
+
+    /**
+     * Serialize the current replay
+     * @returns {string} Replay JSON
+     */
+    toJSON() {
+        return JSON.stringify(this.replay);
+    }
+
+    /**
+     * Download the current replay as a JSON file
+     */
+    exportFile() {
+        if (!this.hasReplay()) return;
+
+        const blob = new Blob([this.toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ufo-replay-${this.replay.seed}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Parse and validate a replay file
+     * @param {string} text - Replay JSON
+     * @returns {Object} The replay
+     * @throws {Error} If the file is not a valid replay
+     */
+    static parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Replay file is not valid JSON');
+        }
+
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+        }
+        if (typeof replay.seed !== 'string' || replay.seed.length === 0) {
+            throw new Error('Replay is missing its seed');
+        }
+        if (replay.mode === undefined) {
+            replay.mode = 'classic';
+        } else if (typeof replay.mode !== 'string') {
+            throw new Error('Replay game mode is malformed');
+        }
+        if (replay.difficulty === undefined) {
+            replay.difficulty = 'normal';
+        } else if (typeof replay.difficulty !== 'string') {
+            throw new Error('Replay difficulty is malformed');
+        }
+        if (replay.score !== undefined && !Number.isInteger(replay.score)) {
+            throw new Error('Replay score is malformed');
+        }
+        if (!Array.isArray(replay.input)) {
+            throw new Error('Replay is missing its input data');
+        }
+
+        let ticks = 0;
+        replay.input.forEach((run, index) => {
+            const valid = Array.isArray(run) && run.length === 4 &&
+                run.every(value => Number.isInteger(value)) && run[0] > 0;
+            if (!valid) {
+                throw new Error(`Replay input run ${index} is malformed`);
+            }
+            ticks += run[0];
+        });
+        replay.ticks = ticks;
+
+        return replay;
+    }
+}
+
+class ReplayPlayer {
+    constructor() {
+        this.replay = null;
+        this.active = false;
+        this.tick = 0;
+
+        // Run-length cursor
+        this.runIndex = 0;
+        this.runOffset = 0;
+
+        // Playback speed options
+        this.speeds = [0.5, 1, 2, 4];
+        this.speed = 1;
+        this.paused = false;
+
+        // Callbacks
+        this.onSeek = null;
+        this.onSpeedChange = null;
+        this.onExit = null;
+
+        // Create replay controls DOM element
+        this.element = this.createControls();
+        this.hide();
+    }
+
+    /**
+     * Initialize the replay player
+     * @param {Object} callbacks - Callback functions for playback controls
+     */
+    init(callbacks = {}) {
+        this.onSeek = callbacks.onSeek || null;
+        this.onSpeedChange = callbacks.onSpeedChange || null;
+        this.onExit = callbacks.onExit || null;
+    }
+
+    /**
+     * Create the playback controls element
+     * @returns {HTMLElement} The replay controls element
+     */
+    createControls() {
+        const controls = document.createElement('div');
+        controls.id = 'replay-controls';
+
+        const speedButtons = this.speeds
+            .map(speed => `<button class="replay-speed" data-speed="${speed}">${speed}x</button>`)
+            .join('');
+
+        controls.innerHTML = `
+            <div class="replay-label">REPLAY <span id="replay-seed"></span></div>
+            <div class="replay-buttons">
+                <button id="replay-play-button">Pause</button>
+                ${speedButtons}
+                <button id="replay-exit-button">Exit</button>
+            </div>
+            <input type="range" id="replay-scrubber" min="0" max="0" value="0">
+            <div class="replay-time"><span id="replay-time">0:00</span> / <span id="replay-duration">0:00</span></div>
+        `;
+
+        document.getElementById('ui-overlay').appendChild(controls);
+
+        this.playButton = controls.querySelector('#replay-play-button');
+        this.scrubber = controls.querySelector('#replay-scrubber');
+        this.timeDisplay = controls.querySelector('#replay-time');
+        this.durationDisplay = controls.querySelector('#replay-duration');
+        this.seedDisplay = controls.querySelector('#replay-seed');
+
+        this.playButton.addEventListener('click', () => this.togglePause());
+
+        controls.querySelectorAll('.replay-speed').forEach(button => {
+            button.addEventListener('click', () => this.setSpeed(parseFloat(button.dataset.speed)));
+        });
+
+        controls.querySelector('#replay-exit-button').addEventListener('click', () => {
+            if (this.onExit) this.onExit();
+        });
+
+        // Seek when the scrubber is released
+        this.scrubbing = false;
+        this.scrubber.addEventListener('input', () => {
+            this.scrubbing = true;
+        });
+        this.scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+            if (this.onSeek) this.onSeek(parseInt(this.scrubber.value, 10));
+        });
+
+        return controls;
+    }
+
+    /**
+     * Load a replay for playback
+     * @param {Object} replay - Parsed replay data
+     */
+    load(replay) {
+        this.replay = replay;
+        this.scrubber.max = replay.ticks;
+        this.seedDisplay.textContent = replay.seed;
+        this.durationDisplay.textContent = this.formatTicks(replay.ticks);
+        this.rewind();
+    }
+
+    /**
+     * Start playback from the beginning
+     */
+    start() {
+        this.active = true;
+        this.paused = false;
+        this.playButton.textContent = 'Pause';
+        this.rewind();
+        this.setSpeed(this.speed);
+        this.show();
+    }
+
+    /**
+     * Stop playback and hide the controls
+     */
+    stop() {
+        this.active = false;
+        this.hide();
+    }
+
+    /**
+     * Move the cursor back to the first tick
+     */
+    rewind() {
+        this.tick = 0;
+        this.runIndex = 0;
+        this.runOffset = 0;
+        this.updateDisplay();
+    }
+
+    /**
+     * Check whether playback has consumed every recorded tick
+     * @returns {boolean} True if the replay has ended
+     */
+    isFinished() {
+        return !this.replay || this.tick >= this.replay.ticks;
+    }
+
+    /**
+     * Check a finished playback against the score the run was recorded with
+     * @param {number} score - Score the playback reached
+     * @returns {boolean} False if the playback desynced from the recording
+     */
+    matchesScore(score) {
+        return !this.replay || this.replay.score === undefined || this.replay.score === score;
+    }
+
+    /**
+     * Get the recorded input for the next tick
+     * @returns {Object} Input state
+     */
+    nextInput() {
+        const input = createEmptyInput();
+        if (this.isFinished()) {
+            return input;
+        }
+
+        const run = this.replay.input[this.runIndex];
+        input.moveX = run[1] / 100;
+        input.moveZ = run[2] / 100;
+        input.ascend = (run[3] & INPUT_FLAGS.ascend) !== 0;
+        input.descend = (run[3] & INPUT_FLAGS.descend) !== 0;
+        input.beam = (run[3] & INPUT_FLAGS.beam) !== 0;
+        input.fire = (run[3] & INPUT_FLAGS.fire) !== 0;
+
+        // Advance the cursor
+        this.tick++;
+        this.runOffset++;
+        if (this.runOffset >= run[0]) {
+            this.runIndex++;
+            this.runOffset = 0;
+        }
+
+        return input;
+    }
+
+    /**
+     * Toggle paused playback
+     */
+    togglePause() {
+        this.paused = !this.paused;
+        this.playButton.textContent = this.paused ? 'Play' : 'Pause';
+        this.setSpeed(this.speed);
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed - Speed multiplier
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+
+        this.element.querySelectorAll('.replay-speed').forEach(button => {
+            button.classList.toggle('active', parseFloat(button.dataset.speed) === speed);
+        });
+
+        if (this.onSpeedChange) {
+            this.onSpeedChange(this.paused ? 0 : speed);
+        }
+    }
+
+    /**
+     * Update the scrubber and time display
+     */
+    updateDisplay() {
+        if (!this.scrubbing) {
+            this.scrubber.value = this.tick;
+        }
+        this.timeDisplay.textContent = this.formatTicks(this.tick);
+    }
+
+    /**
+     * Format a tick count as m:ss
+     * @param {number} ticks - Number of ticks
+     * @returns {string} Formatted time
+     */
+    formatTicks(ticks) {
+        const tickRate = this.replay ? this.replay.tickRate : 60;
+        const seconds = Math.floor(ticks / tickRate);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Show the replay controls
+     */
+    show() {
+        this.element.style.display = 'block';
+    }
+
+    /**
+     * Hide the replay controls
+     */
+    hide() {
+        this.element.style.display = 'none';
+    }
+}
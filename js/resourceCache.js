@@ -0,0 +1,47 @@
+/**
+ * Resource Cache for Retro UFO Game
+ * Shares geometries and materials between every model built from them
+ */
+
+class ResourceCache {
+    constructor() {
+        this.geometries = new Map();
+        this.materials = new Map();
+    }
+
+    /**
+     * Get a shared geometry, creating it on first use
+     * @param {string} key - Cache key
+     * @param {Function} create - Creates the geometry
+     * @returns {THREE.BufferGeometry} The shared geometry
+     */
+    getGeometry(key, create) {
+        if (!this.geometries.has(key)) {
+            this.geometries.set(key, create());
+        }
+        return this.geometries.get(key);
+    }
+
+    /**
+     * Get a shared material, creating it on first use
+     * @param {string} key - Cache key
+     * @param {Function} create - Creates the material
+     * @returns {THREE.Material} The shared material
+     */
+    getMaterial(key, create) {
+        if (!this.materials.has(key)) {
+            this.materials.set(key, create());
+        }
+        return this.materials.get(key);
+    }
+
+    /**
+     * Dispose every cached geometry and material
+     */
+    dispose() {
+        this.geometries.forEach(geometry => geometry.dispose());
+        this.materials.forEach(material => material.dispose());
+        this.geometries.clear();
+        this.materials.clear();
+    }
+}
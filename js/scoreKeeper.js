@@ -0,0 +1,317 @@
+/**
+ * Score Keeper for Retro UFO Game
+ * Every source of points (abductions, combos, near misses, streaks, kills and
+ * time bonuses), the floating score popups and the breakdown shown at game over
+ */
+
+class ScoreKeeper {
+    constructor(gameStateManager, settings = {}) {
+        this.gameStateManager = gameStateManager;
+
+        // Scoring settings (times in simulation milliseconds)
+        this.settings = {
+            comboWindow: 5000,      // abductions this close together build a combo
+            comboStep: 0.5,         // multiplier added per abduction in the combo
+            maxMultiplier: 4,
+            multiWindow: 1000,      // abductions this close together count as one multi-abduction...
+            multiBonus: 150,        // ...worth this much per abductee after the first
+            nearMissBonus: 25,      // a missile that passed close without hitting
+            streakInterval: 30000,  // time without damage for each streak bonus...
+            streakBonus: 200,       // ...worth this much times the streak length
+            popupLifetime: 1200,
+            popupRise: 40,          // pixels a popup floats up over its lifetime
+            maxPopups: 16,
+            ...settings
+        };
+
+        // Score sources, in the order the breakdown lists them
+        this.sources = {
+            abductions: 'Abductions',
+            combo: 'Combo bonus',
+            multi: 'Multi-abductions',
+            nearMiss: 'Near misses',
+            streak: 'No-damage streaks',
+            enemies: 'Enemies destroyed',
+            missiles: 'Missiles shot down',
+            level: 'Time bonuses'
+        };
+
+        // Points earned per source this run
+        this.totals = {};
+
+        // Combo, multi-abduction and no-damage streak state
+        this.combo = 0;
+        this.multi = 0;
+        this.lastAbduction = -Infinity;
+        this.streak = 0;
+        this.streakStart = 0;
+
+        // Popups on screen ({element, position (null for HUD popups), time})
+        this.popups = [];
+        this.projected = new THREE.Vector3();
+
+        // HUD elements
+        this.popupLayer = this.createPopupLayer();
+        this.element = this.createComboDisplay();
+    }
+
+    /**
+     * Create the layer the score popups are drawn in
+     * @returns {HTMLElement} The popup layer
+     */
+    createPopupLayer() {
+        const layer = document.createElement('div');
+        layer.id = 'score-popups';
+
+        document.getElementById('ui-overlay').appendChild(layer);
+
+        return layer;
+    }
+
+    /**
+     * Create the combo meter
+     * @returns {HTMLElement} The combo meter element
+     */
+    createComboDisplay() {
+        const element = document.createElement('div');
+        element.id = 'combo-meter';
+        element.className = 'hidden';
+        element.innerHTML = `
+            <span class="combo-label"></span>
+            <div class="combo-bar"><div class="combo-fill"></div></div>
+        `;
+
+        this.comboLabel = element.querySelector('.combo-label');
+        this.comboFill = element.querySelector('.combo-fill');
+
+        document.getElementById('ui-overlay').appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Start scoring a new run
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    reset(time = 0) {
+        this.totals = {};
+        this.combo = 0;
+        this.multi = 0;
+        this.lastAbduction = -Infinity;
+        this.streak = 0;
+        this.streakStart = time;
+        this.popups.slice().forEach(popup => this.removePopup(popup));
+    }
+
+    /**
+     * Add points to the score and to their source's total
+     * @param {string} source - Score source name
+     * @param {number} points - Unscaled points
+     * @returns {number} Points actually added (after the difficulty multiplier)
+     */
+    award(source, points) {
+        const scaled = this.gameStateManager.addScore(points);
+        this.totals[source] = (this.totals[source] || 0) + scaled;
+        return scaled;
+    }
+
+    /**
+     * Score a completed abduction, building the combo and multi-abduction chains
+     * @param {number} points - The abductee's value
+     * @param {THREE.Vector3} position - Where it was abducted
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordAbduction(points, position, time) {
+        const settings = this.settings;
+        const gap = time - this.lastAbduction;
+        this.lastAbduction = time;
+
+        this.combo = gap <= settings.comboWindow ? this.combo + 1 : 1;
+        this.multi = gap <= settings.multiWindow ? this.multi + 1 : 1;
+
+        const multiplier = this.getComboMultiplier();
+        const earned = this.award('abductions', points) +
+            (multiplier > 1 ? this.award('combo', points * (multiplier - 1)) : 0);
+        this.showPopup(multiplier > 1 ? `+${earned} x${multiplier}` : `+${earned}`, position, time,
+            multiplier > 1 ? 'combo' : '');
+
+        if (this.multi > 1) {
+            const bonus = this.award('multi', settings.multiBonus * (this.multi - 1));
+            this.showPopup(`Multi x${this.multi} +${bonus}`, null, time, 'bonus');
+        }
+    }
+
+    /**
+     * Score a missile that passed close without hitting
+     * @param {THREE.Vector3} position - Where the player was
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordNearMiss(position, time) {
+        const bonus = this.award('nearMiss', this.settings.nearMissBonus);
+        this.showPopup(`Close call +${bonus}`, position, time, 'near-miss');
+    }
+
+    /**
+     * Score a destroyed enemy or missile
+     * @param {string} source - 'enemies' or 'missiles'
+     * @param {number} points - Unscaled points
+     * @param {THREE.Vector3} position - Where it was destroyed
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordKill(source, points, position, time) {
+        this.showPopup(`+${this.award(source, points)}`, position, time, 'kill');
+    }
+
+    /**
+     * Score the time left on a finished level's clock
+     * @param {number} points - Unscaled points
+     * @param {number} time - Simulation time (milliseconds)
+     * @returns {number} Points actually added
+     */
+    recordLevelBonus(points, time) {
+        const bonus = this.award('level', points);
+        this.showPopup(`Time bonus +${bonus}`, null, time, 'bonus');
+        return bonus;
+    }
+
+    /**
+     * Break the combo and the no-damage streak
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    recordDamage(time) {
+        this.combo = 0;
+        this.multi = 0;
+        this.streak = 0;
+        this.streakStart = time;
+    }
+
+    /**
+     * Let the combo lapse and pay out no-damage streaks (once per tick)
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    update(time) {
+        const settings = this.settings;
+
+        if (this.combo > 0 && time - this.lastAbduction > settings.comboWindow) {
+            this.combo = 0;
+        }
+
+        if (time - this.streakStart >= settings.streakInterval) {
+            this.streak++;
+            this.streakStart = time;
+            const bonus = this.award('streak', settings.streakBonus * this.streak);
+            this.showPopup(`No damage x${this.streak} +${bonus}`, null, time, 'bonus');
+        }
+    }
+
+    /**
+     * Get the multiplier the current combo gives an abduction
+     * @returns {number} Combo multiplier (1 with no combo)
+     */
+    getComboMultiplier() {
+        const settings = this.settings;
+        return Math.min(settings.maxMultiplier, 1 + settings.comboStep * Math.max(0, this.combo - 1));
+    }
+
+    /**
+     * Get the points earned from each source this run
+     * @returns {Array} {label, points} for every source that scored
+     */
+    getBreakdown() {
+        return Object.keys(this.sources)
+            .filter(source => this.totals[source])
+            .map(source => ({ label: this.sources[source], points: this.totals[source] }));
+    }
+
+    /**
+     * Show a floating score popup
+     * @param {string} text - Popup text
+     * @param {THREE.Vector3|null} position - World position to float from (null to show it by the score)
+     * @param {number} time - Simulation time (milliseconds)
+     * @param {string} className - Extra class for the popup's color
+     */
+    showPopup(text, position, time, className = '') {
+        if (this.popups.length >= this.settings.maxPopups) {
+            this.removePopup(this.popups[0]);
+        }
+
+        const element = document.createElement('div');
+        element.className = `score-popup ${position ? '' : 'hud'} ${className}`;
+        element.textContent = text;
+
+        // HUD popups stack below the ones still floating by the score
+        if (!position) {
+            element.style.marginTop = `${this.popups.filter(popup => !popup.position).length * 18}px`;
+        }
+        this.popupLayer.appendChild(element);
+
+        this.popups.push({
+            element: element,
+            position: position ? position.clone() : null,
+            time: time
+        });
+    }
+
+    /**
+     * Remove a popup from the screen
+     * @param {Object} popup - The popup
+     */
+    removePopup(popup) {
+        const index = this.popups.indexOf(popup);
+        if (index === -1) return;
+
+        this.popups.splice(index, 1);
+        popup.element.remove();
+    }
+
+    /**
+     * Float, fade and place the popups and update the combo meter (every frame)
+     * @param {THREE.Camera} camera - Camera used to place popups over the world
+     * @param {number} time - Simulation time (milliseconds)
+     */
+    updateDisplay(camera, time) {
+        const settings = this.settings;
+
+        this.popups.slice().forEach(popup => {
+            const age = (time - popup.time) / settings.popupLifetime;
+            if (age >= 1 || age < 0) {
+                this.removePopup(popup);
+                return;
+            }
+
+            const rise = -age * settings.popupRise;
+            popup.element.style.opacity = 1 - age * age;
+
+            if (!popup.position) {
+                popup.element.style.transform = `translateY(${rise}px)`;
+                return;
+            }
+
+            // Hide popups that are behind the camera
+            this.projected.copy(popup.position).project(camera);
+            popup.element.style.visibility = this.projected.z > 1 ? 'hidden' : 'visible';
+
+            const x = (this.projected.x + 1) / 2 * window.innerWidth;
+            const y = (1 - this.projected.y) / 2 * window.innerHeight + rise;
+            popup.element.style.transform = `translate(${x}px, ${y}px) translate(-50%, -100%)`;
+        });
+
+        // The combo meter drains until the combo lapses
+        const left = Math.max(0, settings.comboWindow - (time - this.lastAbduction));
+        const comboActive = this.combo > 1 && left > 0;
+        this.element.classList.toggle('active', comboActive);
+        if (comboActive) {
+            this.comboLabel.textContent = `Combo x${this.getComboMultiplier()}`;
+            this.comboFill.style.width = `${Math.round(left / settings.comboWindow * 100)}%`;
+        }
+    }
+
+    /**
+     * Show or hide the combo meter and popups (only while playing)
+     * @param {boolean} visible - Whether they should be visible
+     */
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+        this.popupLayer.classList.toggle('hidden', !visible);
+    }
+}
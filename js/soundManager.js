@@ -12,6 +12,11 @@ class SoundManager {
         this.sounds = {
             ufo: {},
             cow: {},
+            sheep: {},
+            pig: {},
+            chicken: {},
+            tractor: {},
+            farmhand: {},
             jet: {},
             ui: {},
             music: {}
@@ -64,6 +69,13 @@ class SoundManager {
         this.loadSound('cow', 'moo', 'assets/sounds/cow/moo.mp3', false);
         this.loadSound('cow', 'abduction_complete', 'assets/sounds/cow/abduction_complete.mp3', false);
         
+        // Other abductees (pitched takes on the cow and jet sounds)
+        this.loadSoundSet('sheep', 'bleat', 'assets/sounds/cow/moo.mp3', 1.6);
+        this.loadSoundSet('pig', 'oink', 'assets/sounds/cow/moo.mp3', 1.3);
+        this.loadSoundSet('chicken', 'cluck', 'assets/sounds/cow/moo.mp3', 2.4);
+        this.loadSoundSet('tractor', 'rumble', 'assets/sounds/jet/engine.mp3', 0.5);
+        this.loadSoundSet('farmhand', 'yell', 'assets/sounds/cow/moo.mp3', 0.8);
+        
         // Jet sounds
         this.loadSound('jet', 'engine', 'assets/sounds/jet/engine.mp3', true);
         this.loadSound('jet', 'missile', 'assets/sounds/jet/missile.mp3', false);
@@ -71,6 +83,7 @@ class SoundManager {
         // UI sounds
         this.loadSound('ui', 'game_start', 'assets/sounds/ui/game_start.mp3', false);
         this.loadSound('ui', 'game_over', 'assets/sounds/ui/game_over.mp3', false);
+        this.loadSound('ui', 'power_up', 'assets/sounds/ui/game_start.mp3', false); // shares the start jingle
         
         // Background music
         this.loadSound('music', 'background', 'assets/sounds/music/background.mp3', true);
@@ -81,14 +94,27 @@ class SoundManager {
         }
     }
     
+    /**
+     * Load an abductee's grab sound and its abduction complete sound
+     * @param {string} category - Abductee sound category
+     * @param {string} grab - Name of the sound played when it is caught
+     * @param {string} path - Path to the grab sound file
+     * @param {number} rate - Playback rate (pitch) for both sounds
+     */
+    loadSoundSet(category, grab, path, rate) {
+        this.loadSound(category, grab, path, false, rate);
+        this.loadSound(category, 'abduction_complete', 'assets/sounds/cow/abduction_complete.mp3', false, rate);
+    }
+    
     /**
      * Load a single sound file
-     * @param {string} category - Sound category (ufo, cow, jet, ui, music)
+     * @param {string} category - Sound category (ufo, cow, jet, ui, music, or an abductee)
      * @param {string} name - Sound name
      * @param {string} path - Path to sound file
      * @param {boolean} loop - Whether the sound should loop
+     * @param {number} rate - Playback rate (pitch)
      */
-    loadSound(category, name, path, loop) {
+    loadSound(category, name, path, loop, rate = 1) {
         this.totalSounds++;
         
         // Create audio object
@@ -107,6 +133,7 @@ class SoundManager {
             (buffer) => {
                 sound.setBuffer(buffer);
                 sound.setLoop(loop);
+                sound.setPlaybackRate(rate);
                 
                 // Store the sound
                 this.sounds[category][name] = sound;
@@ -0,0 +1,269 @@
+/**
+ * Terrain for Retro UFO Game
+ * Builds the ground mesh from a heightfield and answers height queries
+ */
+
+class Terrain {
+    constructor(options = {}) {
+        // Terrain dimensions
+        this.size = options.size || 1000;
+        this.segments = options.segments || 100;
+        this.cellSize = this.size / this.segments;
+        this.halfSize = this.size / 2;
+
+        // World position of the terrain's center (non-zero for streamed chunks)
+        this.centerX = options.centerX || 0;
+        this.centerZ = options.centerZ || 0;
+        this.originX = this.centerX - this.halfSize;
+        this.originZ = this.centerZ - this.halfSize;
+
+        // Heightfield samples: heights[row * (segments + 1) + col]
+        // where col runs along +x and row along +z, starting at the origin corner
+        this.heights = new Float32Array((this.segments + 1) * (this.segments + 1));
+
+        // Height function used to generate the heightfield
+        this.heightFunction = options.heightFunction || Terrain.defaultHeight;
+
+        // Optional vertex color function (x, z, height) -> THREE.Color; without it
+        // the terrain is a single green
+        this.colorFunction = options.colorFunction || null;
+
+        // Hang a skirt from the mesh edges (streamed chunks, whose neighbours may
+        // be at another level of detail)
+        this.skirt = options.skirt || false;
+
+        this.mesh = null;
+    }
+
+    /**
+     * Default rolling-hills height function
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Height at (x, z)
+     */
+    static defaultHeight(x, z) {
+        const frequency = 0.01;
+        const height = 10;
+        return Math.sin(x * frequency) * Math.cos(z * frequency) * height;
+    }
+
+    /**
+     * Generate the heightfield and build the mesh
+     * @returns {THREE.Mesh} The terrain mesh
+     */
+    build() {
+        this.sample();
+        return this.createMesh();
+    }
+
+    /**
+     * Sample the height function at every grid point
+     */
+    sample() {
+        const rowLength = this.segments + 1;
+
+        for (let row = 0; row <= this.segments; row++) {
+            const z = this.originZ + row * this.cellSize;
+            for (let col = 0; col <= this.segments; col++) {
+                const x = this.originX + col * this.cellSize;
+                this.heights[row * rowLength + col] = this.heightFunction(x, z);
+            }
+        }
+    }
+
+    /**
+     * Build the mesh from the sampled heightfield, replacing any previous mesh.
+     * A lower segment count gives a coarser mesh (level of detail) that uses
+     * every n-th sample, so it must divide the heightfield's segment count.
+     * @param {number} segments - Mesh segments per side
+     * @returns {THREE.Mesh} The terrain mesh
+     */
+    createMesh(segments = this.segments) {
+        const step = this.segments / segments;
+        const rowLength = this.segments + 1;
+
+        this.dispose();
+
+        // Create a plane for the ground (buffer geometry so vertices can be edited)
+        const geometry = new THREE.PlaneBufferGeometry(this.size, this.size, segments, segments);
+
+        // Rotate the plane to be horizontal; plane row 0 (top edge) ends up at the
+        // origin corner, so plane vertex order matches the heightfield order
+        geometry.rotateX(-Math.PI / 2);
+
+        // Apply heights to the vertices
+        const positions = geometry.attributes.position.array;
+        const colors = this.colorFunction ? new Float32Array(positions.length) : null;
+
+        for (let row = 0, i = 0; row <= segments; row++) {
+            for (let col = 0; col <= segments; col++, i++) {
+                const height = this.heights[row * step * rowLength + col * step];
+                positions[i * 3 + 1] = height;
+
+                // Color the vertex (e.g. by biome)
+                if (colors) {
+                    const color = this.colorFunction(
+                        positions[i * 3] + this.centerX,
+                        positions[i * 3 + 2] + this.centerZ,
+                        height
+                    );
+                    colors[i * 3] = color.r;
+                    colors[i * 3 + 1] = color.g;
+                    colors[i * 3 + 2] = color.b;
+                }
+            }
+        }
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+
+        if (colors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        }
+
+        // Create the terrain material (green unless vertex colors are used)
+        const material = new THREE.MeshStandardMaterial({
+            color: this.colorFunction ? 0xffffff : 0x33aa33,
+            vertexColors: !!this.colorFunction,
+            flatShading: true,
+            side: THREE.DoubleSide
+        });
+
+        // Create the terrain mesh
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(this.centerX, 0, this.centerZ);
+        this.mesh.receiveShadow = true;
+
+        if (this.skirt) {
+            const skirt = new THREE.Mesh(this.createSkirtGeometry(positions, colors, segments), material);
+            skirt.receiveShadow = true;
+            this.mesh.add(skirt);
+        }
+
+        return this.mesh;
+    }
+
+    /**
+     * Build the skirt below the mesh edges. Neighbouring meshes at different levels
+     * of detail don't share every edge vertex, so cracks open between them; each
+     * edge's skirt drops below the lowest height sample on that edge to cover them.
+     * @param {Float32Array} positions - Mesh vertex positions
+     * @param {Float32Array|null} colors - Mesh vertex colors
+     * @param {number} segments - Mesh segments per side
+     * @returns {THREE.BufferGeometry} The skirt geometry
+     */
+    createSkirtGeometry(positions, colors, segments) {
+        const rowLength = this.segments + 1;
+        const meshRowLength = segments + 1;
+
+        // [row, col] of point i along each edge of an n-segment grid
+        const edges = [
+            (i, n) => [0, i],
+            (i, n) => [n, i],
+            (i, n) => [i, 0],
+            (i, n) => [i, n]
+        ];
+
+        const vertexCount = edges.length * meshRowLength * 2;
+        const skirtPositions = new Float32Array(vertexCount * 3);
+        const skirtColors = colors ? new Float32Array(vertexCount * 3) : null;
+        const indices = [];
+
+        edges.forEach((edge, e) => {
+            // Bottom of the skirt, just under every full-detail sample on the edge
+            let bottom = Infinity;
+            for (let i = 0; i <= this.segments; i++) {
+                const [row, col] = edge(i, this.segments);
+                bottom = Math.min(bottom, this.heights[row * rowLength + col]);
+            }
+            bottom -= 1;
+
+            const first = e * meshRowLength * 2;
+            for (let i = 0; i <= segments; i++) {
+                const [row, col] = edge(i, segments);
+                const source = (row * meshRowLength + col) * 3;
+                const top = (first + i * 2) * 3;
+                const base = top + 3;
+
+                skirtPositions[top] = skirtPositions[base] = positions[source];
+                skirtPositions[top + 1] = positions[source + 1];
+                skirtPositions[base + 1] = bottom;
+                skirtPositions[top + 2] = skirtPositions[base + 2] = positions[source + 2];
+
+                if (skirtColors) {
+                    for (let c = 0; c < 3; c++) {
+                        skirtColors[top + c] = skirtColors[base + c] = colors[source + c];
+                    }
+                }
+
+                // Quad down to the next point along the edge
+                if (i < segments) {
+                    const a = first + i * 2;
+                    indices.push(a, a + 1, a + 2, a + 2, a + 1, a + 3);
+                }
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(skirtPositions, 3));
+        if (skirtColors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(skirtColors, 3));
+        }
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        return geometry;
+    }
+
+    /**
+     * Free the mesh's GPU resources
+     */
+    dispose() {
+        if (!this.mesh) return;
+
+        this.mesh.children.forEach(skirt => skirt.geometry.dispose());
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh = null;
+    }
+
+    /**
+     * Get the ground height at a world position, matching the full-detail triangles
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Ground height
+     */
+    getHeightAt(x, z) {
+        const rowLength = this.segments + 1;
+
+        // Grid coordinates (clamped to the terrain edge)
+        const gx = THREE.MathUtils.clamp((x - this.originX) / this.cellSize, 0, this.segments);
+        const gz = THREE.MathUtils.clamp((z - this.originZ) / this.cellSize, 0, this.segments);
+
+        const col = Math.min(Math.floor(gx), this.segments - 1);
+        const row = Math.min(Math.floor(gz), this.segments - 1);
+        const fx = gx - col;
+        const fz = gz - row;
+
+        // Corner heights of the cell
+        const h00 = this.heights[row * rowLength + col];
+        const h10 = this.heights[row * rowLength + col + 1];
+        const h01 = this.heights[(row + 1) * rowLength + col];
+        const h11 = this.heights[(row + 1) * rowLength + col + 1];
+
+        // PlaneGeometry splits each cell along the h10-h01 diagonal
+        if (fx + fz <= 1) {
+            return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+        }
+        return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+    }
+
+    /**
+     * Check whether a point is at or below the ground
+     * @param {THREE.Vector3} position - World position
+     * @param {number} clearance - Extra height above the ground that still counts
+     * @returns {boolean} True if the point touches the ground
+     */
+    isBelowGround(position, clearance = 0) {
+        return position.y <= this.getHeightAt(position.x, position.z) + clearance;
+    }
+}
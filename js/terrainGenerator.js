@@ -0,0 +1,120 @@
+/**
+ * Terrain Generator for Retro UFO Game
+ * Produces seeded multi-octave terrain heights and biome zones
+ */
+
+class TerrainGenerator {
+    constructor(options = {}) {
+        // Generator settings
+        this.settings = {
+            seed: 'UFO',
+            scale: 0.004,       // Horizontal frequency of the base octave
+            octaves: 5,
+            persistence: 0.5,   // Amplitude falloff per octave
+            lacunarity: 2.0,    // Frequency growth per octave
+            heightScale: 30,    // Peak height in game units
+            biomeScale: 0.002,  // Frequency of temperature/moisture fields
+            ...options
+        };
+
+        // Biome definitions: terrain color, scenery densities (chance a scatter
+        // candidate is kept) and how much cows like to graze there
+        this.biomes = {
+            pasture: {
+                name: 'pasture',
+                color: new THREE.Color(0x33aa33),
+                treeDensity: 0.08,
+                rockDensity: 0.1,
+                grazing: 1.0
+            },
+            forest: {
+                name: 'forest',
+                color: new THREE.Color(0x1f7a2a),
+                treeDensity: 0.6,
+                rockDensity: 0.15,
+                grazing: 0.3
+            },
+            desert: {
+                name: 'desert',
+                color: new THREE.Color(0xd8c078),
+                treeDensity: 0.01,
+                rockDensity: 0.4,
+                grazing: 0.05
+            },
+            snow: {
+                name: 'snow',
+                color: new THREE.Color(0xf0f4ff),
+                treeDensity: 0.15,
+                rockDensity: 0.25,
+                grazing: 0.1
+            }
+        };
+
+        this.setSeed(this.settings.seed);
+    }
+
+    /**
+     * Reseed the generator (independent noise fields for height and biomes)
+     * @param {string} seed - Terrain seed
+     */
+    setSeed(seed) {
+        this.settings.seed = seed;
+        this.heightNoise = new PerlinNoise(`${seed}:height`);
+        this.temperatureNoise = new PerlinNoise(`${seed}:temperature`);
+        this.moistureNoise = new PerlinNoise(`${seed}:moisture`);
+    }
+
+    /**
+     * Get the terrain height at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Height
+     */
+    getHeight(x, z) {
+        const s = this.settings;
+        const n = this.heightNoise.fbm(x * s.scale, z * s.scale, s);
+
+        // Flatten valleys and sharpen peaks a little
+        const shaped = Math.sign(n) * Math.pow(Math.abs(n), 1.2);
+        return shaped * s.heightScale;
+    }
+
+    /**
+     * Get the biome at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} height - Terrain height (computed if omitted)
+     * @returns {Object} Biome definition
+     */
+    getBiome(x, z, height = this.getHeight(x, z)) {
+        const s = this.settings;
+        const fieldOptions = { octaves: 3 };
+
+        // Higher ground is colder
+        const altitude = height / s.heightScale;
+        const temperature = this.temperatureNoise.fbm(x * s.biomeScale, z * s.biomeScale, fieldOptions) - altitude * 0.6;
+        const moisture = this.moistureNoise.fbm(x * s.biomeScale, z * s.biomeScale, fieldOptions);
+
+        if (altitude > 0.55 || temperature < -0.35) {
+            return this.biomes.snow;
+        }
+        if (temperature > 0.1 && moisture < -0.1) {
+            return this.biomes.desert;
+        }
+        if (moisture > 0.12) {
+            return this.biomes.forest;
+        }
+        return this.biomes.pasture;
+    }
+
+    /**
+     * Get the terrain color at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} height - Terrain height
+     * @returns {THREE.Color} Vertex color
+     */
+    getColor(x, z, height) {
+        return this.getBiome(x, z, height).color;
+    }
+}
@@ -0,0 +1,356 @@
+/**
+ * Touch Controls for Retro UFO Game
+ * On-screen virtual joystick and action buttons for phones and tablets
+ */
+
+class TouchControls {
+    constructor() {
+        // Joystick properties
+        this.joystickRadius = 60; // Base radius in pixels
+        this.deadZone = 0.1;
+        this.joystickTouchId = null;
+        this.joystickOrigin = { x: 0, y: 0 };
+
+        // Action buttons and the touches currently holding each one
+        this.buttonActions = ['ascend', 'descend', 'beam', 'fire'];
+        this.buttonLabels = {
+            ascend: 'UP',
+            descend: 'DOWN',
+            beam: 'BEAM',
+            fire: 'FIRE'
+        };
+        this.buttonTouches = {};
+        this.buttonSize = 64;
+        this.buttonGap = 12;
+
+        // Current state
+        this.state = createEmptyInput();
+        this.active = false;
+        this.visible = false;
+
+        // Callbacks
+        this.onPause = null;
+
+        // Create DOM elements
+        this.element = this.createElements();
+        this.hide();
+
+        // Activate on touch devices, or on the first touch if detection missed it
+        if (TouchControls.isTouchDevice()) {
+            this.activate();
+        } else {
+            window.addEventListener('touchstart', () => this.activate(), { once: true });
+        }
+
+        window.addEventListener('resize', () => this.layout());
+    }
+
+    /**
+     * Initialize the touch controls
+     * @param {Object} callbacks - Callback functions for touch buttons
+     */
+    init(callbacks = {}) {
+        this.onPause = callbacks.onPause || null;
+    }
+
+    /**
+     * Check if the browser supports touch input
+     * @returns {boolean} True on touch devices
+     */
+    static isTouchDevice() {
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+
+    /**
+     * Create the joystick and button elements
+     * @returns {HTMLElement} The touch controls container
+     */
+    createElements() {
+        const container = document.createElement('div');
+        container.id = 'touch-controls';
+
+        // Virtual joystick
+        this.joystick = document.createElement('div');
+        this.joystick.className = 'touch-joystick';
+        this.joystick.style.width = `${this.joystickRadius * 2}px`;
+        this.joystick.style.height = `${this.joystickRadius * 2}px`;
+
+        this.knob = document.createElement('div');
+        this.knob.className = 'touch-joystick-knob';
+        this.joystick.appendChild(this.knob);
+        container.appendChild(this.joystick);
+
+        // Action buttons
+        this.buttonPanel = document.createElement('div');
+        this.buttonPanel.className = 'touch-buttons';
+        this.buttons = {};
+
+        this.buttonActions.forEach(action => {
+            const button = document.createElement('div');
+            button.className = 'touch-button';
+            button.dataset.action = action;
+            button.textContent = this.buttonLabels[action];
+            button.style.width = `${this.buttonSize}px`;
+            button.style.height = `${this.buttonSize}px`;
+
+            this.buttons[action] = button;
+            this.buttonTouches[action] = new Set();
+            this.buttonPanel.appendChild(button);
+        });
+        container.appendChild(this.buttonPanel);
+
+        // Pause button (touch devices have no P key)
+        this.pauseButton = document.createElement('div');
+        this.pauseButton.className = 'touch-pause';
+        this.pauseButton.textContent = 'II';
+        container.appendChild(this.pauseButton);
+
+        document.getElementById('ui-overlay').appendChild(container);
+
+        return container;
+    }
+
+    /**
+     * Turn touch controls on and hook up touch handlers
+     */
+    activate() {
+        if (this.active) return;
+        this.active = true;
+
+        document.body.classList.add('touch-enabled');
+
+        const options = { passive: false };
+
+        // Joystick
+        this.joystick.addEventListener('touchstart', (event) => this.onJoystickStart(event), options);
+        this.joystick.addEventListener('touchmove', (event) => this.onJoystickMove(event), options);
+        this.joystick.addEventListener('touchend', (event) => this.onJoystickEnd(event), options);
+        this.joystick.addEventListener('touchcancel', (event) => this.onJoystickEnd(event), options);
+
+        // Buttons (each tracks its own touches so several can be held at once)
+        this.buttonActions.forEach(action => {
+            const button = this.buttons[action];
+            button.addEventListener('touchstart', (event) => this.onButtonStart(event, action), options);
+            button.addEventListener('touchend', (event) => this.onButtonEnd(event, action), options);
+            button.addEventListener('touchcancel', (event) => this.onButtonEnd(event, action), options);
+        });
+
+        this.pauseButton.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            if (this.onPause) this.onPause();
+        }, options);
+
+        this.layout();
+    }
+
+    /**
+     * Handle a finger landing on the joystick
+     * @param {TouchEvent} event - Touch event
+     */
+    onJoystickStart(event) {
+        event.preventDefault();
+        if (this.joystickTouchId !== null) return;
+
+        const touch = event.changedTouches[0];
+        const rect = this.joystick.getBoundingClientRect();
+
+        this.joystickTouchId = touch.identifier;
+        this.joystickOrigin.x = rect.left + rect.width / 2;
+        this.joystickOrigin.y = rect.top + rect.height / 2;
+
+        this.updateJoystick(touch);
+    }
+
+    /**
+     * Handle the joystick finger moving
+     * @param {TouchEvent} event - Touch event
+     */
+    onJoystickMove(event) {
+        event.preventDefault();
+
+        const touch = this.findTouch(event.changedTouches, this.joystickTouchId);
+        if (touch) {
+            this.updateJoystick(touch);
+        }
+    }
+
+    /**
+     * Handle the joystick finger lifting
+     * @param {TouchEvent} event - Touch event
+     */
+    onJoystickEnd(event) {
+        event.preventDefault();
+
+        if (this.findTouch(event.changedTouches, this.joystickTouchId)) {
+            this.resetJoystick();
+        }
+    }
+
+    /**
+     * Update joystick output from a touch position
+     * @param {Touch} touch - The joystick touch
+     */
+    updateJoystick(touch) {
+        let dx = touch.clientX - this.joystickOrigin.x;
+        let dy = touch.clientY - this.joystickOrigin.y;
+
+        // Keep the knob inside the base
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > this.joystickRadius) {
+            dx = (dx / distance) * this.joystickRadius;
+            dy = (dy / distance) * this.joystickRadius;
+        }
+
+        this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+        // Screen up/down maps to forward/back
+        const magnitude = Math.min(distance, this.joystickRadius) / this.joystickRadius;
+        if (magnitude < this.deadZone) {
+            this.state.moveX = 0;
+            this.state.moveZ = 0;
+        } else {
+            this.state.moveX = dx / this.joystickRadius;
+            this.state.moveZ = dy / this.joystickRadius;
+        }
+    }
+
+    /**
+     * Center the joystick and stop moving
+     */
+    resetJoystick() {
+        this.joystickTouchId = null;
+        this.knob.style.transform = 'translate(0px, 0px)';
+        this.state.moveX = 0;
+        this.state.moveZ = 0;
+    }
+
+    /**
+     * Handle a finger pressing an action button
+     * @param {TouchEvent} event - Touch event
+     * @param {string} action - Button action
+     */
+    onButtonStart(event, action) {
+        event.preventDefault();
+
+        Array.from(event.changedTouches).forEach(touch => {
+            this.buttonTouches[action].add(touch.identifier);
+        });
+        this.updateButton(action);
+    }
+
+    /**
+     * Handle a finger releasing an action button
+     * @param {TouchEvent} event - Touch event
+     * @param {string} action - Button action
+     */
+    onButtonEnd(event, action) {
+        event.preventDefault();
+
+        Array.from(event.changedTouches).forEach(touch => {
+            this.buttonTouches[action].delete(touch.identifier);
+        });
+        this.updateButton(action);
+    }
+
+    /**
+     * Update a button's pressed state
+     * @param {string} action - Button action
+     */
+    updateButton(action) {
+        const pressed = this.buttonTouches[action].size > 0;
+        this.state[action] = pressed;
+        this.buttons[action].classList.toggle('pressed', pressed);
+    }
+
+    /**
+     * Find a touch by identifier
+     * @param {TouchList} touches - Touches to search
+     * @param {number} id - Touch identifier
+     * @returns {Touch|null} The touch, if present
+     */
+    findTouch(touches, id) {
+        return Array.from(touches).find(touch => touch.identifier === id) || null;
+    }
+
+    /**
+     * Position the buttons so they avoid the radar and volume panel.
+     * Buttons stack in a column above the radar when there is room, otherwise
+     * they sit in a row to the left of it.
+     */
+    layout() {
+        if (!this.active) return;
+
+        const margin = 20;
+        const miniMap = document.getElementById('mini-map');
+        const volumeControls = document.getElementById('volume-controls');
+
+        // Radar defaults to a 150px circle in the bottom-right corner before it exists
+        const mapRect = miniMap && miniMap.style.display !== 'none'
+            ? miniMap.getBoundingClientRect()
+            : { top: window.innerHeight - 170, left: window.innerWidth - 170 };
+        const volumeBottom = volumeControls ? volumeControls.getBoundingClientRect().bottom : 0;
+
+        const count = this.buttonActions.length;
+        const columnHeight = count * this.buttonSize + (count - 1) * this.buttonGap;
+        const columnBottom = window.innerHeight - mapRect.top + margin;
+        const columnTop = window.innerHeight - columnBottom - columnHeight;
+
+        const style = this.buttonPanel.style;
+        if (columnTop > volumeBottom + margin) {
+            style.flexDirection = 'column';
+            style.right = `${margin}px`;
+            style.bottom = `${columnBottom}px`;
+        } else {
+            style.flexDirection = 'row';
+            style.right = `${window.innerWidth - mapRect.left + margin}px`;
+            style.bottom = `${margin}px`;
+        }
+        style.gap = `${this.buttonGap}px`;
+    }
+
+    /**
+     * Get the current touch input state
+     * @returns {Object} Input state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Show or hide the controls (only while playing)
+     * @param {boolean} visible - Whether the controls should be visible
+     */
+    setVisible(visible) {
+        visible = visible && this.active;
+        if (visible === this.visible) return;
+
+        if (visible) {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Show the touch controls
+     */
+    show() {
+        this.visible = true;
+        this.element.style.display = 'block';
+        this.layout();
+    }
+
+    /**
+     * Hide the touch controls and release everything held
+     */
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+
+        this.resetJoystick();
+        this.buttonActions.forEach(action => {
+            this.buttonTouches[action].clear();
+            this.updateButton(action);
+        });
+    }
+}
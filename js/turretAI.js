@@ -0,0 +1,112 @@
+/**
+ * Turret AI for Retro UFO Game
+ * Ground anti-air turrets track the UFO with a slewing head and elevating barrel
+ */
+
+class TurretAI {
+    constructor(settings = {}) {
+        // AI settings (distances in units, angles in radians)
+        this.settings = {
+            range: settings.range || 130,
+            slewRate: settings.slewRate || 0.03,       // head yaw per tick
+            elevateRate: settings.elevateRate || 0.02, // barrel pitch per tick
+            minElevation: settings.minElevation || 0.05,
+            maxElevation: settings.maxElevation || 1.4,
+            fireAngle: settings.fireAngle || 0.08,
+            barrelLength: settings.barrelLength || 2.5
+        };
+
+        // Reusable vector
+        this.offset = new THREE.Vector3();
+    }
+
+    /**
+     * Give a newly placed turret its AI state
+     * @param {THREE.Object3D} turret - The turret (positioned on the ground)
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    reset(turret, context) {
+        turret.userData.ai = {
+            yaw: context.rng.next() * Math.PI * 2,
+            elevation: this.settings.minElevation,
+            yawError: Math.PI,
+            elevationError: Math.PI
+        };
+        turret.rotation.set(0, 0, 0);
+        this.orient(turret);
+    }
+
+    /**
+     * Advance a turret's AI by one tick (turrets don't move, they only aim)
+     * @param {THREE.Object3D} turret - The turret
+     * @param {Object} context - {target, enemies, cows, getHeightAt, rng}
+     */
+    update(turret, context) {
+        const ai = turret.userData.ai;
+        const settings = this.settings;
+
+        // Stay planted on the ground
+        turret.position.y = context.getHeightAt(turret.position.x, turret.position.z);
+
+        // Slew toward the target's bearing and elevation
+        this.offset.subVectors(context.target, turret.position);
+        const horizontal = Math.sqrt(this.offset.x * this.offset.x + this.offset.z * this.offset.z);
+        const wantedYaw = Math.atan2(-this.offset.z, this.offset.x);
+        const wantedElevation = THREE.MathUtils.clamp(
+            Math.atan2(this.offset.y, horizontal),
+            settings.minElevation,
+            settings.maxElevation
+        );
+
+        let turn = wantedYaw - ai.yaw;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        ai.yaw += THREE.MathUtils.clamp(turn, -settings.slewRate, settings.slewRate);
+
+        const lift = wantedElevation - ai.elevation;
+        ai.elevation += THREE.MathUtils.clamp(lift, -settings.elevateRate, settings.elevateRate);
+
+        ai.yawError = Math.abs(turn);
+        ai.elevationError = Math.abs(Math.atan2(this.offset.y, horizontal) - ai.elevation);
+
+        this.orient(turret);
+    }
+
+    /**
+     * Check whether a turret is on target
+     * @param {THREE.Object3D} turret - The turret
+     * @param {THREE.Vector3} point - The target position
+     * @returns {boolean} True if the turret may fire
+     */
+    canFire(turret, point) {
+        const ai = turret.userData.ai;
+        return turret.position.distanceTo(point) < this.settings.range &&
+            ai.yawError < this.settings.fireAngle &&
+            ai.elevationError < this.settings.fireAngle;
+    }
+
+    /**
+     * Get the muzzle position at the tip of the barrel
+     * @param {THREE.Object3D} turret - The turret
+     * @param {THREE.Vector3} out - Muzzle position (written)
+     * @returns {THREE.Vector3} The muzzle position
+     */
+    getMuzzle(turret, out) {
+        turret.userData.barrel.updateWorldMatrix(true, false);
+        return turret.userData.barrel.localToWorld(out.set(this.settings.barrelLength, 0, 0));
+    }
+
+    /**
+     * Turn the head and barrel to the current aim. The barrel points along the
+     * head's local +X.
+     * @param {THREE.Object3D} turret - The turret
+     */
+    orient(turret) {
+        const ai = turret.userData.ai;
+        if (turret.userData.head) {
+            turret.userData.head.rotation.y = ai.yaw;
+        }
+        if (turret.userData.barrel) {
+            turret.userData.barrel.rotation.z = ai.elevation;
+        }
+    }
+}